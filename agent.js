@@ -0,0 +1,331 @@
+/**
+ * agent.js  –  Background unlock agent (ssh-agent style) for cmd.js
+ *
+ * `my-wallet agent start` unlocks the vault once and keeps it in a detached
+ * process that answers on a Unix socket (AGENT_SOCKET, in a 0700 directory of
+ * the active profile, socket mode 0600), so each profile has its own agent. Scripted commands then run without --pass/WALLET_PASS.
+ * The agent exits after its TTL, on `agent stop`, or when the vault can no
+ * longer be opened with the password it holds (e.g. after `passwd`).
+ *
+ *   startAgent(password, { ttlMinutes })  → { pid, expiresAt }   (throws on a wrong password);
+ *                                           ttlMinutes is at most MAX_TTL_MINUTES
+ *   stopAgent()                           → true if an agent was running
+ *   agentStatus()                         → { pid, wallets, startedAt, expiresAt } or null
+ *   agentWallets()                        → [{ name, wallet: AgentSigner, seedId?, index?, ... }] or null
+ *   agentPrivateKey(address)              → private key held by the agent
+ *   AgentSigner                           → ethers signer whose keys stay inside the agent
+ *
+ * Protocol: one JSON request line ({ op, ...args }) per connection, answered
+ * by one JSON line ({ ok: true, ... } or { ok: false, error }).
+ *
+ * The server side runs when this file is executed directly with `--serve`;
+ * the password arrives on stdin so it never shows up in argv or the environment.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { CONFIG_DIR, onProfileChange, profileEnv } from './profiles.js';
+
+let AGENT_DIR;
+export let AGENT_SOCKET;
+function resolvePaths() {
+    AGENT_DIR    = path.join(CONFIG_DIR, 'agent');
+    AGENT_SOCKET = path.join(AGENT_DIR, 'agent.sock');
+}
+resolvePaths();
+onProfileChange(resolvePaths);
+
+export const DEFAULT_TTL_MINUTES = 15;
+// setTimeout takes a signed 32-bit delay; anything longer fires at once
+export const MAX_TTL_MINUTES = Math.floor((2 ** 31 - 1) / 60_000);
+const START_TIMEOUT_MS = 30_000;
+
+// JSON cannot carry bigint (typed-data values, tx fields)
+const toJson = (value) => JSON.stringify(value, (k, v) => typeof v === 'bigint' ? v.toString() : v);
+
+function assertSupported() {
+    if (process.platform === 'win32') throw new Error('The unlock agent needs Unix domain sockets and is not available on Windows.');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Client
+// ─────────────────────────────────────────────────────────────────────────────
+
+function request(op, args = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(AGENT_SOCKET);
+        let data = '';
+        socket.setEncoding('utf8');
+        socket.on('connect', () => socket.write(toJson({ op, ...args }) + '\n'));
+        socket.on('data', chunk => { data += chunk; });
+        socket.on('error', reject);
+        socket.on('end', () => {
+            try {
+                const res = JSON.parse(data);
+                if (!res.ok) return reject(new Error(res.error));
+                resolve(res);
+            } catch {
+                reject(new Error('Malformed response from the unlock agent.'));
+            }
+        });
+    });
+}
+
+/**
+ * @returns {Promise<{ pid: number, wallets: number, startedAt: string, expiresAt: string }|null>}
+ */
+export async function agentStatus() {
+    if (process.platform === 'win32' || !fs.existsSync(AGENT_SOCKET)) return null;
+    try {
+        const { status } = await request('status');
+        return status;
+    } catch (e) {
+        // Left behind by an agent that was killed
+        if (e.code === 'ECONNREFUSED' || e.code === 'ENOENT') {
+            try { fs.unlinkSync(AGENT_SOCKET); } catch { /* already gone */ }
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Unlock the vault in a detached agent process.
+ *
+ * @param {string} password
+ * @param {{ ttlMinutes?: number }} [opts]
+ * @returns {Promise<{ pid: number, expiresAt: string }>}
+ */
+export async function startAgent(password, { ttlMinutes = DEFAULT_TTL_MINUTES } = {}) {
+    assertSupported();
+    const running = await agentStatus();
+    if (running) throw new Error(`An agent is already running (pid ${running.pid}). Stop it first.`);
+
+    const child = spawn(process.execPath, [fileURLToPath(import.meta.url), '--serve', String(ttlMinutes)], {
+        detached: true,
+        stdio: ['pipe', 'pipe', 'ignore'],
+        env: { ...process.env, ...profileEnv() }
+    });
+    child.stdin.end(password + '\n');
+
+    // The agent reports one line: READY <json> or ERROR <message>
+    const line = await new Promise((resolve, reject) => {
+        let out = '';
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for the agent to start.')), START_TIMEOUT_MS);
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            out += chunk;
+            if (out.includes('\n')) {
+                clearTimeout(timer);
+                resolve(out.split('\n')[0]);
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            resolve(out.split('\n')[0] || `ERROR Agent exited with code ${code}.`);
+        });
+    });
+    child.stdout.destroy();
+    child.unref();
+
+    if (line.startsWith('READY ')) return JSON.parse(line.slice(6));
+    throw new Error(line.replace(/^ERROR /, ''));
+}
+
+export async function stopAgent() {
+    if (!(await agentStatus())) return false;
+    await request('stop');
+    return true;
+}
+
+/**
+ * Wallets held by the running agent, or null when no agent is running.
+ *
+ * @returns {Promise<object[]|null>}
+ */
+export async function agentWallets() {
+    if (!(await agentStatus())) return null;
+    const { wallets } = await request('list');
+    return wallets.map(({ chain, ...w }) => {
+        const wallet = w.watchOnly ? new ethers.VoidSigner(w.address) : new AgentSigner(w.address);
+        if (chain) wallet.chain = chain; // Solana keypairs: balances are read on Solana
+        return { ...w, wallet };
+    });
+}
+
+export async function agentPrivateKey(address) {
+    const { privateKey } = await request('exportKey', { address });
+    return privateKey;
+}
+
+/**
+ * Signer for an account held by the agent. Transactions are populated
+ * locally (nonce, gas, chainId through the connected provider) and only the
+ * unsigned serialisation is sent for signing.
+ */
+export class AgentSigner extends ethers.AbstractSigner {
+    constructor(address, provider = null) {
+        super(provider);
+        this.address = address;
+    }
+
+    connect(provider) {
+        return new AgentSigner(this.address, provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async signTransaction(tx) {
+        const { from, ...rest } = await ethers.resolveProperties(tx);
+        if (from && ethers.getAddress(await ethers.resolveAddress(from, this.provider)) !== this.address) {
+            throw new Error('Transaction from address does not match the signer.');
+        }
+        if (rest.to) rest.to = await ethers.resolveAddress(rest.to, this.provider);
+        const unsigned = ethers.Transaction.from(rest).unsignedSerialized;
+        const { signed } = await request('signTransaction', { address: this.address, unsigned });
+        return signed;
+    }
+
+    async signMessage(message) {
+        const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+        const { signature } = await request('signMessage', { address: this.address, data: ethers.hexlify(data) });
+        return signature;
+    }
+
+    async signTypedData(domain, types, value) {
+        const { signature } = await request('signTypedData', { address: this.address, domain, types, value });
+        return signature;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Server (`node agent.js --serve <ttlMinutes>`)
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function serve(ttlMinutes) {
+    ttlMinutes = Math.min(ttlMinutes, MAX_TTL_MINUTES);
+    const { lockVault, WALLETS_FILE } = await import('./vault.js');
+    const { peekJson } = await import('./storage.js');
+    const { openWallets } = await import('./core.js');
+
+    let password = (await new Promise(resolve => {
+        let input = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { input += chunk; });
+        process.stdin.on('end', () => resolve(input));
+    })).replace(/\r?\n$/, '');
+
+    let wallets = [];
+    let loadedAt = null;
+
+    async function load() {
+        const opened = await openWallets(password);
+        loadedAt = (peekJson(WALLETS_FILE) || {}).updatedAt || null;
+        wallets = opened.map(w => ({ ...w, address: w.wallet.address, chain: w.wallet.chain }));
+    }
+
+    // Follow edits made by other processes (derive, rename, watch, …)
+    async function refresh() {
+        const current = (peekJson(WALLETS_FILE) || {}).updatedAt || null;
+        if (current !== loadedAt) await load();
+    }
+
+    function signerFor(address) {
+        const w = wallets.find(w => w.address === address);
+        if (!w) throw new Error(`Unknown wallet ${address}.`);
+        if (w.watchOnly) throw new Error(`${w.name} is watch-only; it has no private key.`);
+        return w.wallet;
+    }
+
+    const startedAt = new Date();
+    const expiresAt = new Date(startedAt.getTime() + ttlMinutes * 60_000);
+    const status = () => ({ pid: process.pid, wallets: wallets.length, startedAt: startedAt.toISOString(), expiresAt: expiresAt.toISOString() });
+
+    const ops = {
+        status: async () => ({ status: status() }),
+        list: async () => ({ wallets: wallets.map(({ wallet, ...info }) => info) }),
+        exportKey: async ({ address }) => ({ privateKey: signerFor(address).privateKey }),
+        signMessage: async ({ address, data }) => ({ signature: await signerFor(address).signMessage(ethers.getBytes(data)) }),
+        signTransaction: async ({ address, unsigned }) => ({ signed: await signerFor(address).signTransaction(ethers.Transaction.from(unsigned)) }),
+        signTypedData: async ({ address, domain, types, value }) => ({ signature: await signerFor(address).signTypedData(domain, types, value) })
+    };
+
+    let server = null;
+    function shutdown(code = 0) {
+        wallets = [];
+        password = null;
+        lockVault();
+        if (server) server.close();
+        try { fs.unlinkSync(AGENT_SOCKET); } catch { /* already gone */ }
+        process.exit(code);
+    }
+
+    try {
+        await load();
+    } catch (e) {
+        process.stdout.write(`ERROR ${e.message}\n`);
+        process.exit(1);
+    }
+
+    fs.mkdirSync(AGENT_DIR, { recursive: true, mode: 0o700 });
+    fs.chmodSync(AGENT_DIR, 0o700);
+    try { fs.unlinkSync(AGENT_SOCKET); } catch { /* no stale socket */ }
+
+    server = net.createServer(socket => {
+        let data = '';
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', async function onData(chunk) {
+            data += chunk;
+            if (!data.includes('\n')) return;
+            // One request per connection: whatever follows the first line is ignored
+            socket.off('data', onData);
+            let request;
+            try {
+                request = JSON.parse(data.split('\n')[0]);
+            } catch {
+                request = null;
+            }
+            if (!request || typeof request !== 'object') {
+                socket.end(toJson({ ok: false, error: 'Malformed request.' }) + '\n');
+                return;
+            }
+            const { op, ...args } = request;
+            if (op === 'stop') {
+                socket.end(toJson({ ok: true }) + '\n', () => shutdown());
+                return;
+            }
+            try {
+                if (!Object.hasOwn(ops, op)) throw new Error(`Unknown agent request "${op}".`);
+                await refresh();
+                socket.end(toJson({ ok: true, ...(await ops[op](args)) }) + '\n');
+            } catch (e) {
+                socket.end(toJson({ ok: false, error: e.message }) + '\n');
+                // The vault no longer opens with our password (changed): nothing left to serve
+                if (e.message === 'Wrong vault password.') shutdown(1);
+            }
+        });
+    });
+
+    const oldMask = process.umask(0o177);
+    server.listen(AGENT_SOCKET, () => {
+        process.umask(oldMask);
+        fs.chmodSync(AGENT_SOCKET, 0o600);
+        process.stdout.write(`READY ${toJson({ pid: process.pid, expiresAt: expiresAt.toISOString() })}\n`);
+    });
+
+    setTimeout(() => shutdown(), ttlMinutes * 60_000);
+    process.on('SIGTERM', () => shutdown());
+    process.on('SIGINT', () => shutdown());
+    process.stdout.on('error', () => {}); // the starter stops reading after READY
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url) && process.argv[2] === '--serve') {
+    serve(Number(process.argv[3]) || DEFAULT_TTL_MINUTES);
+}
@@ -0,0 +1,246 @@
+/**
+ * bundle.js  –  Password-protected copy of a whole profile, for moving machines
+ *
+ * A bundle is one JSON file:
+ *   { format: "my-wallet-bundle", version: 1, createdAt,
+ *     kdf: { algorithm: "scrypt", n, r, p, salt }, iv, tag, data }
+ * `data` is AES-256-GCM over the payload, keyed by scrypt(bundle password):
+ *   { wallets: [entry], trash: [entry], settings: {…} }
+ * Entries travel in the unencrypted-vault shape (privateKey / mnemonic / path
+ * plus name and metadata), so the bundle password is the only protection
+ * while in transit; on import each entry is sealed under the target vault.
+ *
+ *   exportBundle(vaultPassword, bundlePassword) → { doc, counts }
+ *   openBundle(doc, bundlePassword)             → payload       (throws 'Wrong bundle password.')
+ *   planBundleImport(payload)                   → plan; wallets get action add | rename | duplicate | upgrade
+ *   applyBundleImport(plan, vaultPassword)      → counts of what was written
+ *   writeBundleFile(file, doc, { overwrite })   → file (mode 0600)
+ *
+ * Merging is by address. A wallet already in the vault is skipped, except a
+ * watch-only one, which is upgraded to the bundle's key (keeping its name and
+ * labels). A new wallet whose name is taken gets a suggested new name; the
+ * caller may change `item.name` or set `item.action = 'skip'` before applying.
+ * Saved tokens, custom networks and contacts are merged (a network whose key
+ * the profile already uses, or a contact whose label or address it already
+ * has, is skipped); the other settings only apply to a profile that has none yet.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import util from 'util';
+import { loadVault, saveVault, openVault, openEntry, openPlainEntry, sealEntry, TRASH_FILE } from './vault.js';
+import { readJson, peekJson, writeJson } from './storage.js';
+import { seedMeta } from './hd.js';
+import { pickMeta } from './metadata.js';
+import { CONFIG_DIR } from './profiles.js';
+
+export const BUNDLE_FORMAT  = 'my-wallet-bundle';
+export const BUNDLE_VERSION = 1;
+
+const scrypt = util.promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { n: 131072, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+const settingsFile = () => path.join(CONFIG_DIR, 'settings.json');
+
+function bundleKey(password, { n, r, p, salt }) {
+    return scrypt(password, Buffer.from(salt, 'hex'), 32, { N: n, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+// Same shape as an entry of an unencrypted vault
+function portableEntry(raw, wallet) {
+    const entry = { name: raw.name, address: wallet.address };
+    if (raw.watchOnly) {
+        entry.watchOnly = true;
+        if (raw.ens) entry.ens = raw.ens;
+    } else {
+        entry.privateKey = wallet.privateKey;
+        if (wallet.chain) entry.chain = wallet.chain;
+        if (wallet.mnemonic) Object.assign(entry, { mnemonic: wallet.mnemonic.phrase, path: wallet.path });
+        Object.assign(entry, seedMeta(wallet));
+    }
+    return { ...entry, ...pickMeta(raw) };
+}
+
+/**
+ * @param {string|null} vaultPassword  – null for an unencrypted vault
+ * @param {string} bundlePassword
+ * @returns {Promise<{ doc: object, counts: { wallets: number, trash: number, trashSkipped: number, tokens: number } }>}
+ */
+export async function exportBundle(vaultPassword, bundlePassword) {
+    const vault = loadVault();
+    const opened = vault.encrypted
+        ? await openVault(vaultPassword)
+        : vault.entries.map(raw => ({ raw, wallet: openPlainEntry(raw) }));
+
+    // Trash may hold entries sealed under an older password: those stay behind
+    const trash = [];
+    let trashSkipped = 0;
+    for (const raw of peekJson(TRASH_FILE, [])) {
+        try {
+            const wallet = raw.watchOnly || (!raw.secret && !raw.data) ? openPlainEntry(raw) : await openEntry(raw, vaultPassword);
+            trash.push(portableEntry(raw, wallet));
+        } catch {
+            trashSkipped++;
+        }
+    }
+
+    const settings = peekJson(settingsFile(), {});
+    const payload = { wallets: opened.map(o => portableEntry(o.raw, o.wallet)), trash, settings };
+
+    const kdf = { algorithm: 'scrypt', ...SCRYPT_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+    const key = await bundleKey(bundlePassword, kdf);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(BUNDLE_FORMAT));
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    key.fill(0);
+
+    return {
+        doc: {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            createdAt: new Date().toISOString(),
+            kdf,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            data: data.toString('base64')
+        },
+        counts: { wallets: payload.wallets.length, trash: trash.length, trashSkipped, tokens: (settings.savedTokens || []).length, networks: (settings.customNetworks || []).length, contacts: (settings.contacts || []).length }
+    };
+}
+
+/**
+ * @param {object} doc
+ * @param {string} bundlePassword
+ * @returns {Promise<{ wallets: object[], trash: object[], settings: object }>}
+ */
+export async function openBundle(doc, bundlePassword) {
+    if (!doc || doc.format !== BUNDLE_FORMAT) throw new Error('Not a my-wallet bundle.');
+    if (doc.version > BUNDLE_VERSION) throw new Error(`Bundle version ${doc.version} is newer than this my-wallet (supports ${BUNDLE_VERSION}). Update my-wallet.`);
+
+    const key = await bundleKey(bundlePassword, doc.kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(doc.iv, 'hex'));
+    decipher.setAAD(Buffer.from(BUNDLE_FORMAT));
+    decipher.setAuthTag(Buffer.from(doc.tag, 'hex'));
+    try {
+        const plain = Buffer.concat([decipher.update(Buffer.from(doc.data, 'base64')), decipher.final()]);
+        return JSON.parse(plain.toString('utf8'));
+    } catch {
+        throw new Error('Wrong bundle password.');
+    } finally {
+        key.fill(0);
+    }
+}
+
+function uniqueName(name, taken) {
+    if (!taken.has(name)) return name;
+    let i = 2;
+    while (taken.has(`${name} (${i})`)) i++;
+    return `${name} (${i})`;
+}
+
+const tokenKey = t => `${t.network}:${String(t.address).toLowerCase()}`;
+// EVM addresses compare in any case; Solana addresses are case-sensitive
+const contactKeys = c => [`label:${c.label.toLowerCase()}`, `address:${c.chain === 'solana' ? c.address : c.address.toLowerCase()}`];
+
+/**
+ * Work out what an import would do. Reads the target profile only; nothing
+ * is decrypted or written.
+ *
+ * @param {{ wallets: object[], trash: object[], settings: object }} payload
+ */
+export function planBundleImport(payload) {
+    const entries = loadVault().entries;
+    const byAddress = new Map(entries.map(e => [e.address, e]));
+    const taken = new Set(entries.map(e => e.name));
+
+    const wallets = (payload.wallets || []).map(entry => {
+        const existing = byAddress.get(entry.address);
+        if (existing) {
+            const upgrade = existing.watchOnly && !entry.watchOnly;
+            return { entry, name: existing.name, action: upgrade ? 'upgrade' : 'duplicate', existingName: existing.name };
+        }
+        const name = uniqueName(entry.name, taken);
+        taken.add(name);
+        byAddress.set(entry.address, entry); // the bundle itself may repeat an address
+        return { entry, name, action: name === entry.name ? 'add' : 'rename' };
+    });
+
+    const trashed = new Set([...entries, ...peekJson(TRASH_FILE, [])].map(e => e.address));
+    const trash = (payload.trash || []).filter(e => !trashed.has(e.address) && !byAddress.has(e.address));
+
+    const current = peekJson(settingsFile(), null);
+    const knownTokens = new Set(((current && current.savedTokens) || []).map(tokenKey));
+    const tokens = ((payload.settings && payload.settings.savedTokens) || []).filter(t => !knownTokens.has(tokenKey(t)));
+    const knownNetworks = new Set(((current && current.customNetworks) || []).map(n => n.key));
+    const networks = ((payload.settings && payload.settings.customNetworks) || []).filter(n => !knownNetworks.has(n.key));
+    const knownContacts = new Set(((current && current.contacts) || []).flatMap(contactKeys));
+    const contacts = [];
+    for (const c of (payload.settings && payload.settings.contacts) || []) {
+        if (contactKeys(c).some(k => knownContacts.has(k))) continue;
+        contactKeys(c).forEach(k => knownContacts.add(k));
+        contacts.push(c);
+    }
+
+    return { wallets, trash, tokens, networks, contacts, settings: current ? 'keep' : 'apply', payloadSettings: payload.settings || {}, taken };
+}
+
+async function storable(entry, name, encrypted, vaultPassword) {
+    const wallet = openPlainEntry(entry);
+    const meta = { ...entry, name, createdAt: entry.createdAt || new Date().toISOString() };
+    if (!encrypted) return meta;
+    return sealEntry(wallet, meta, vaultPassword);
+}
+
+/**
+ * @param {ReturnType<typeof planBundleImport>} plan
+ * @param {string|null} vaultPassword  – required when the target vault is encrypted
+ * @returns {Promise<{ added: number, upgraded: number, skipped: number, trash: number, tokens: number, networks: number, contacts: number, settings: boolean }>}
+ */
+export async function applyBundleImport(plan, vaultPassword) {
+    const vault = loadVault();
+    const raw = vault.entries;
+    let added = 0, upgraded = 0, skipped = 0;
+
+    for (const item of plan.wallets) {
+        if (item.action === 'add' || item.action === 'rename') {
+            raw.push(await storable(item.entry, item.name, vault.encrypted, vaultPassword));
+            added++;
+        } else if (item.action === 'upgrade') {
+            const i = raw.findIndex(e => e.address === item.entry.address);
+            const { watchOnly, ens, ...keyed } = item.entry;
+            raw[i] = await storable({ ...keyed, ...pickMeta(raw[i]) }, raw[i].name, vault.encrypted, vaultPassword);
+            upgraded++;
+        } else {
+            skipped++;
+        }
+    }
+    if (added + upgraded > 0) saveVault(raw);
+
+    if (plan.trash.length > 0) {
+        const trash = readJson(TRASH_FILE, []);
+        for (const entry of plan.trash) trash.push(await storable(entry, entry.name, vault.encrypted, vaultPassword));
+        writeJson(TRASH_FILE, trash);
+    }
+
+    const applySettings = plan.settings === 'apply' && Object.keys(plan.payloadSettings).length > 0;
+    if (applySettings || plan.tokens.length > 0 || plan.networks.length > 0 || plan.contacts.length > 0) {
+        const settings = applySettings ? { ...plan.payloadSettings } : readJson(settingsFile(), {});
+        if (!applySettings) {
+            settings.savedTokens = [...(settings.savedTokens || []), ...plan.tokens];
+            settings.customNetworks = [...(settings.customNetworks || []), ...plan.networks];
+            settings.contacts = [...(settings.contacts || []), ...plan.contacts];
+        }
+        writeJson(settingsFile(), settings);
+    }
+
+    return { added, upgraded, skipped, trash: plan.trash.length, tokens: plan.tokens.length, networks: plan.networks.length, contacts: plan.contacts.length, settings: applySettings };
+}
+
+export function writeBundleFile(file, doc, { overwrite = false } = {}) {
+    if (fs.existsSync(file) && !overwrite) throw new Error(`${file} already exists.`);
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2), { mode: 0o600 });
+    return file;
+}
@@ -3,20 +3,115 @@ import fs from 'fs';
 import inquirer from 'inquirer';
 import { ethers } from 'ethers';
 import { SignClient } from "@walletconnect/sign-client";
-import os from 'os';
 import path from 'path';
 import 'dotenv/config'; // Load .env
 import { setupDrive, setupRclone, triggerBackup } from './drive.js';
+import { loadVault, vaultExists, changeVaultPassword, WALLETS_FILE, TRASH_FILE } from './vault.js';
+import { readJson, listGenerations, rollback } from './storage.js';
+import {
+  DECRYPTED_WALLETS,
+  USER_SETTINGS,
+  SETTINGS_FILE,
+  NETWORKS,
+  ROUTERS,
+  WRAPPED_NATIVE,
+  loadSettings,
+  saveSettings,
+  isVaultEncrypted,
+  unlockWallets,
+  lockWallets,
+  encryptVault,
+  decryptVault,
+  addWallet,
+  updateWallet,
+  trashWallet,
+  restoreFromTrash,
+  addNetwork,
+  removeNetwork,
+  fetchChainId,
+  explorerTxUrl,
+  networkKeyOf,
+  networkKeyForChainId,
+  getProvider,
+  rpcStatus,
+  defaultNetworkKey,
+  isTestnetMode,
+  setTestnetMode,
+  configureLocalDev,
+  devAccounts,
+  LOCAL_DEV_DEFAULTS,
+  tokensFor,
+  fetchTokenInfo,
+  getPrice,
+  getNetworkPrices,
+  getNativeBalance,
+  getTokenBalances,
+  getWalletValue,
+  routerAllowance,
+  transferRequest,
+  approveRequest,
+  swapRequest,
+  prepareTransaction,
+  feeQuote,
+  sendPrepared,
+  customFee,
+  FEE_SPEEDS,
+  sendAsset,
+  SolanaWallet,
+  isSolanaAddress,
+  isSolanaWallet,
+  solanaNetworkKey,
+  solanaTransferQuote,
+  solanaNetworkForChain,
+  sendSolanaTransaction,
+  SOLANA_NETWORKS,
+  networkInfo,
+  isEnsName,
+  resolveEnsName,
+  lookupEnsName,
+  resolveRecipient,
+  addContact,
+  removeContact,
+  contactFor,
+  contactsFor,
+  autoLockMinutes,
+  MAX_AUTO_LOCK_MINUTES
+} from './core.js';
+import { base58Bytes, describeTransaction, signTransaction } from './solana.js';
+import { findKeystoreFiles, decryptKeystore } from './keystore.js';
+import { parseMetaMaskVault, decryptMetaMaskVault, metaMaskAccounts } from './metamask.js';
+import { parseVanityPattern, vanityDifficulty, formatDuration, searchVanity } from './vanity.js';
+import { qrString, paymentUri, solanaPayUri } from './qr.js';
+import { CONFIG_DIR, PROFILE, DEFAULT_PROFILE, WALLET_HOME, listProfiles, createProfile, switchProfile, onProfileChange } from './profiles.js';
 import {
   setupShamirRecovery,
   recoverFromShares,
   setupGuardianKey,
-  recoverFromGuardian
+  recoverFromGuardian,
+  recoveryStatus
 } from './recovery.js';
+import {
+  deriveAccount,
+  nextAccountIndex,
+  seedRoot,
+  expandPath,
+  accountPath,
+  solanaPath,
+  PATH_SCHEMES
+} from './hd.js';
+import {
+  pickMeta,
+  parseTags,
+  matchesFilter,
+  describeFilter,
+  metaLabel,
+  knownTags,
+  knownGroups
+} from './metadata.js';
 
 let PROJECT_ID = process.env.PROJECT_ID;
-const CONFIG_DIR = path.join(os.homedir(), '.my-cli-wallet');
-const ENV_FILE = path.join(CONFIG_DIR, '.env');
+// The WalletConnect project ID belongs to the installation, not to a profile
+const ENV_FILE = path.join(WALLET_HOME, '.env');
 
 // Load .env manually if not loaded by dotenv (which looks in cwd)
 if (fs.existsSync(ENV_FILE)) {
@@ -41,12 +136,15 @@ async function checkProjectId() {
 }
 
 // Ensure Config Dir Exists
-if (!fs.existsSync(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR);
+if (!fs.existsSync(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+
+// Testnet mode: every prompt carries 🧪 so test coins are never mistaken for real ones
+for (const [type, prompt] of Object.entries(inquirer.prompt.prompts)) {
+    inquirer.registerPrompt(type, (question, context) => prompt(isTestnetMode()
+        ? { ...question, theme: { ...question.theme, prefix: { idle: '🧪 ?', done: '🧪 ✔' } } }
+        : question, context));
+}
 
-const WALLETS_FILE = path.join(CONFIG_DIR, 'my_wallets.json');
-const TRASH_FILE = path.join(CONFIG_DIR, 'trash_wallets.json');
-const SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
-const RPC_URL = "https://eth.llamarpc.com";
 
 // ... (Rest of imports and state) ...
 
@@ -60,29 +158,56 @@ async function ensureWalletsUnlocked() {
 
 // --- WalletConnect Logic ---
 
+// The account a session exposes for one chain family (null = EVM): the picked
+// wallet itself, else the account with the same seed and index on that chain,
+// else one the user picks. Null when there is none.
+async function sessionAccountFor(primary, chain) {
+  const onChain = w => (w.wallet.chain || null) === chain;
+  if (onChain(primary)) return primary;
+  const candidates = DECRYPTED_WALLETS.filter(w => !w.watchOnly && onChain(w));
+  const twin = primary.seedId && candidates.find(w => w.seedId === primary.seedId && w.index === primary.index);
+  if (twin) return twin;
+  if (candidates.length === 0) return null;
+
+  const rows = (await listWallets()).filter(r => candidates.some(c => c.wallet.address === r.address));
+  const addr = await pickWallet(rows, `The dApp also asks for ${chain === 'solana' ? 'a Solana' : 'an EVM'} account:`);
+  return addr === 'BACK' ? null : candidates.find(w => w.wallet.address === addr);
+}
+
+// Shows what a Solana request would sign; throws when it is not for this wallet
+async function previewSolanaRequest(request, signer) {
+  const p = request.params || {};
+  if (p.pubkey && p.pubkey !== signer.address) throw new Error(`The request is for ${p.pubkey}, not ${signer.address}.`);
+  if (request.method === 'solana_signMessage') {
+    const bytes = base58Bytes(p.message);
+    const text = Buffer.from(bytes).toString('utf8');
+    console.log(`📝 Message: ${/[\x00-\x08\x0e-\x1f\ufffd]/.test(text) ? ethers.hexlify(bytes) : `"${text}"`}`);
+    return;
+  }
+  if (!p.transaction) throw new Error(`${request.method} without a serialized transaction is not supported.`);
+  const tx = await describeTransaction(p.transaction);
+  console.log(`🧾 Fee payer: ${tx.feePayer}${tx.feePayer === signer.address ? ' (this wallet)' : ''}`);
+  // Name the address book's Solana contacts wherever they appear
+  const contacts = (USER_SETTINGS.contacts || []).filter(c => c.chain === 'solana');
+  const labelled = line => contacts.reduce((text, c) => text.replaceAll(c.address, `${c.address} (📇 ${c.label})`), line);
+  tx.instructions.forEach((line, i) => console.log(`   ${i + 1}. ${labelled(line)}`));
+  if (tx.lookupTables) console.log(`   (${tx.lookupTables} address lookup table(s): those accounts show as "lookup #n")`);
+  if (!tx.signers.includes(signer.address)) throw new Error(`The transaction does not ask ${signer.address} to sign.`);
+}
+
 async function connectWallet(predefinedUri = null) {
   await ensureWalletsUnlocked(); 
   await checkProjectId(); 
 
-  const wallets = await listWallets();
+  const wallets = await signingWallets();
   if (wallets.length === 0) return;
 
-  const wChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.address }));
-  wChoices.push({ name: '🔙 Back', value: 'BACK' });
-
-  const walletChoice = await inquirer.prompt([
-    {
-      type: 'rawlist',
-      name: 'walletAddress',
-      message: 'Select wallet to connect:',
-      choices: wChoices
-    }
-  ]);
-
-  if (walletChoice.walletAddress === 'BACK') return;
+  const walletAddress = await pickWallet(wallets, 'Select wallet to connect:');
+  if (walletAddress === 'BACK') return;
 
-  const selectedWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === walletChoice.walletAddress);
-  const signer = selectedWalletData.wallet;
+  const selectedWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === walletAddress);
+  // Namespace ("eip155", "solana") → session wallet, set when the session is approved
+  let sessionAccounts = {};
 
   let uri = predefinedUri;
   if (!uri) {
@@ -130,6 +255,31 @@ async function connectWallet(predefinedUri = null) {
         console.log(`\n📥 Session Proposal from: ${dAppName}`);
         console.log(`   Required Chains: ${JSON.stringify(params.requiredNamespaces)}`);
 
+        const required = params.requiredNamespaces || {};
+        const optional = params.optionalNamespaces || {};
+        const allNamespaces = { ...required, ...optional };
+
+        // Keys are "eip155" / "solana", or a single chain such as "eip155:1"
+        const accounts = {};
+        for (const key of Object.keys(allNamespaces)) {
+          const family = key.split(':')[0];
+          if (family !== 'eip155' && family !== 'solana') {
+            console.log(`⚠️  ${family} chains are not supported; leaving them out.`);
+            continue;
+          }
+          if (!(family in accounts)) accounts[family] = await sessionAccountFor(selectedWalletData, family === 'solana' ? 'solana' : null);
+        }
+        const missing = Object.keys(required).map(key => key.split(':')[0]).filter(family => !accounts[family]);
+        if (missing.length > 0) {
+            console.log(`❌ ${dAppName} requires ${[...new Set(missing)].join(', ')} accounts, and none is available.`);
+            await client.reject({ id, reason: { code: 5103, message: 'Unsupported accounts' } });
+            resolve();
+            return;
+        }
+        for (const [family, w] of Object.entries(accounts)) {
+            if (w) console.log(`   ${family}: ${w.name} (${w.wallet.address})`);
+        }
+
         const confirm = await inquirer.prompt([
           {
             type: 'rawlist',
@@ -146,19 +296,18 @@ async function connectWallet(predefinedUri = null) {
         }
 
         const namespaces = {};
-        const required = params.requiredNamespaces || {};
-        const optional = params.optionalNamespaces || {};
-        const allNamespaces = { ...required, ...optional };
-
-        Object.keys(allNamespaces).forEach((key) => {
-          const chains = allNamespaces[key].chains || ["eip155:1"];
-          const accounts = chains.map((chain) => `${chain}:${signer.address}`);
-          namespaces[key] = {
-            accounts,
-            methods: allNamespaces[key].methods || [],
-            events: allNamespaces[key].events || [],
-          };
-        });
+        for (const key of Object.keys(allNamespaces)) {
+          const family = key.split(':')[0];
+          const w = accounts[family];
+          if (!w) continue;
+          const fallback = family === 'solana' ? `solana:${SOLANA_NETWORKS[solanaNetworkKey()].chainIds[0]}` : "eip155:1";
+          const chains = allNamespaces[key].chains || [key.includes(':') ? key : fallback];
+          const ns = namespaces[family] ||= { accounts: [], methods: [], events: [] };
+          ns.accounts.push(...chains.map((chain) => `${chain}:${w.wallet.address}`));
+          ns.methods.push(...(allNamespaces[key].methods || []).filter(m => !ns.methods.includes(m)));
+          ns.events.push(...(allNamespaces[key].events || []).filter(e => !ns.events.includes(e)));
+        }
+        sessionAccounts = accounts;
 
         const { topic, acknowledged } = await client.approve({
           id,
@@ -175,6 +324,38 @@ async function connectWallet(predefinedUri = null) {
         const { request } = params;
         console.log(`\n📩 New Request: ${request.method}`);
 
+        // Every request gets an answer, so the dApp does not wait for a timeout
+        const reject = async (message) => {
+            try {
+                await client.respond({ topic, response: { id, jsonrpc: "2.0", error: { code: 5000, message } } });
+            } catch (e) {
+                console.error("❌ Could not answer the dApp:", e.message);
+            }
+        };
+
+        const solana = request.method.startsWith('solana_');
+        const account = sessionAccounts[solana ? 'solana' : 'eip155'];
+        if (!account) {
+            console.log(`❌ This session has no ${solana ? 'Solana' : 'EVM'} account.`);
+            await reject(`No ${solana ? 'Solana' : 'EVM'} account in this session.`);
+            return;
+        }
+        const signer = account.wallet;
+        if (solana) {
+            try {
+                await previewSolanaRequest(request, signer);
+            } catch (e) {
+                console.error(`❌ ${e.message}`);
+                await reject(e.message);
+                return;
+            }
+        }
+        let toLabel = null;
+        if (request.method === "eth_sendTransaction" && request.params[0]?.to) {
+            toLabel = await addressLabel(request.params[0].to);
+            console.log(`   To: ${toLabel}`);
+        }
+
         const confirmSign = await inquirer.prompt([
             {
               type: 'rawlist',
@@ -186,6 +367,7 @@ async function connectWallet(predefinedUri = null) {
 
         if (confirmSign.sign === 'No') {
             console.log("❌ Request rejected locally.");
+            await reject("User rejected the request.");
             return;
         }
 
@@ -202,9 +384,10 @@ async function connectWallet(predefinedUri = null) {
                  const parsedData = typeof data === 'string' ? JSON.parse(data) : data;
                  result = await signer.signTypedData(parsedData.domain, parsedData.types, parsedData.message);
             } else if (request.method === "eth_sendTransaction") {
-                const provider = new ethers.JsonRpcProvider(RPC_URL);
-                const connectedWallet = signer.connect(provider);
-                
+                // The dApp names the chain ("eip155:56"); send through that network's RPC pool
+                const chainRef = params.chainId || 'eip155:1';
+                const networkKey = networkKeyForChainId(chainRef.split(':')[1]);
+                if (!networkKey) throw new Error(`${chainRef} is not a configured network; add it under Settings → Manage Networks.`);
                 const txParams = request.params[0];
                 console.log("💸 Processing Transaction:", txParams);
                 
@@ -214,36 +397,51 @@ async function connectWallet(predefinedUri = null) {
                     data: txParams.data,
                     gasLimit: txParams.gas,
                 };
+                // Offer the dApp's fee alongside our presets
+                let suggested = null;
+                if (txParams.maxFeePerGas && txParams.maxPriorityFeePerGas) {
+                    suggested = { maxFeePerGas: BigInt(txParams.maxFeePerGas), maxPriorityFeePerGas: BigInt(txParams.maxPriorityFeePerGas) };
+                } else if (txParams.gasPrice) {
+                    suggested = { gasPrice: BigInt(txParams.gasPrice) };
+                }
 
-                const confirmTx = await inquirer.prompt([
-                    {
-                        type: 'rawlist',
-                        name: 'send',
-                        message: `Send transaction to ${tx.to} with value ${tx.value}?`,
-                        choices: ['Yes', 'No']
-                    }
-                ]);
-
-                if (confirmTx.send === 'No') {
+                const value = txParams.value ? `${ethers.formatEther(txParams.value)} ${NETWORKS[networkKey].currency}` : 'no value';
+                const txResponse = await sendWithFeeChoice(signer, networkKey, tx, { action: `Send transaction to ${toLabel ?? tx.to} with ${value}`, suggested });
+                if (!txResponse) {
                     console.log("❌ Transaction cancelled.");
+                    await reject("User rejected the request.");
                     return; 
                 }
-
-                console.log("🚀 Sending transaction...");
-                const txResponse = await connectedWallet.sendTransaction(tx);
                 console.log(`✅ Sent! Hash: ${txResponse.hash}`);
                 result = txResponse.hash;
+            } else if (request.method === "solana_signMessage") {
+                result = { signature: ethers.encodeBase58(signer.signMessage(base58Bytes(request.params.message))) };
+            } else if (request.method === "solana_signTransaction") {
+                result = await signTransaction(signer, request.params.transaction);
+            } else if (request.method === "solana_signAndSendTransaction") {
+                const networkKey = solanaNetworkForChain(params.chainId);
+                if (!networkKey) throw new Error(`${params.chainId} is not a known Solana cluster.`);
+                const { transaction } = await signTransaction(signer, request.params.transaction);
+                const signature = await sendSolanaTransaction(networkKey, transaction, request.params.sendOptions);
+                console.log(`✅ Sent! Signature: ${signature}`);
+                const link = explorerTxUrl(networkKey, signature);
+                if (link) console.log(`🔗 ${link}`);
+                result = { signature };
             }
 
-            if (result) {
-                await client.respond({
-                    topic,
-                    response: { id, jsonrpc: "2.0", result },
-                });
-                console.log("📤 Signed & Sent!");
+            if (!result) {
+                console.log(`❌ ${request.method} is not supported.`);
+                await reject(`Unsupported method ${request.method}.`);
+                return;
             }
+            await client.respond({
+                topic,
+                response: { id, jsonrpc: "2.0", result },
+            });
+            console.log("📤 Signed & Sent!");
         } catch (error) {
             console.error("❌ Error signing:", error.message);
+            await reject(error.message);
         }
       });
 
@@ -268,21 +466,16 @@ async function showPrivateKey() {
         return;
     }
 
-    const wChoices = DECRYPTED_WALLETS.map(w => ({ name: `${w.name} (${w.wallet.address})`, value: w.wallet.address }));
-    wChoices.push({ name: '🔙 Back', value: 'BACK' });
-
-    const choice = await inquirer.prompt([
-        {
-            type: 'rawlist',
-            name: 'addr',
-            message: 'Select Wallet to REVEAL Private Key:',
-            choices: wChoices
-        }
-    ]);
+    const wallets = (await listWallets()).filter(w => !w.watchOnly);
+    if (wallets.length === 0) {
+        console.log("❌ Only watch-only wallets are loaded; there is no private key to show.");
+        return;
+    }
 
-    if (choice.addr === 'BACK') return;
+    const addr = await pickWallet(wallets, 'Select Wallet to REVEAL Private Key:');
+    if (addr === 'BACK') return;
 
-    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === choice.addr);
+    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === addr);
     if (!target) {
         console.log("❌ Error: Wallet not found in session.");
         return;
@@ -300,6 +493,17 @@ async function showPrivateKey() {
 
     if (confirm.sure !== 'Yes, Reveal') return;
 
+    // A QR is easier to photograph than text, so it is opt-in on its own
+    const asQr = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'show',
+            message: 'Also show it as a QR code (for importing into a phone wallet)?',
+            choices: ['No, text only', 'Yes, show QR code (make sure no camera can see your screen)']
+        }
+    ]);
+    const qr = asQr.show.startsWith('Yes') ? qrString(target.wallet.privateKey).split('\n') : [];
+
     // Print headers
     console.log("\n" + "=".repeat(42));
     console.log(`🔑 PRIVATE KEY REVEALED`);
@@ -307,16 +511,22 @@ async function showPrivateKey() {
     console.log(`Address: ${target.wallet.address}`);
     console.log("-".repeat(42));
     console.log(target.wallet.privateKey);
+    for (const line of qr) console.log(line);
     console.log("=".repeat(42));
     console.log("\n⏳ THIS KEY WILL BE HIDDEN IN 5 SECONDS...");
 
     await new Promise(resolve => setTimeout(resolve, 5000));
     
     // Clear lines
-    const linesToClear = 10;
-    for (let i = 0; i < linesToClear; i++) {
-        process.stdout.moveCursor(0, -1);
-        process.stdout.clearLine(0);
+    const linesToClear = 10 + qr.length;
+    if (linesToClear >= (process.stdout.rows || 24)) {
+        // Part of it scrolled out of reach of the cursor: wipe the screen and the scrollback
+        process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+    } else {
+        for (let i = 0; i < linesToClear; i++) {
+            process.stdout.moveCursor(0, -1);
+            process.stdout.clearLine(0);
+        }
     }
     
     console.log("🔒 Private Key has been cleared from screen.   ");
@@ -328,19 +538,8 @@ async function deleteWallet() {
         return;
     }
 
-    const wChoices = DECRYPTED_WALLETS.map(w => ({ name: `${w.name} (${w.wallet.address})`, value: w.wallet.address }));
-    wChoices.push({ name: '🔙 Back', value: 'BACK' });
-
-    const choice = await inquirer.prompt([
-        {
-            type: 'rawlist',
-            name: 'addr',
-            message: 'Select Wallet to DELETE (Move to Trash):',
-            choices: wChoices
-        }
-    ]);
-
-    if (choice.addr === 'BACK') return;
+    const addr = await pickWallet(await listWallets(), 'Select Wallet to DELETE (Move to Trash):');
+    if (addr === 'BACK') return;
 
     const confirm = await inquirer.prompt([
         {
@@ -353,46 +552,69 @@ async function deleteWallet() {
 
     if (confirm.sure === 'No') return;
 
-    // Load Raw
-    const rawWallets = JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
-    const walletIndex = rawWallets.findIndex(w => {
-        // Need to match by checking if decrypt works? No, assuming order or re-encrypt.
-        // We don't have ID. But we have address in memory.
-        // We can't match encrypted data easily without decrypting all raw again or relying on index if distinct.
-        // Better: We stored name in raw. Match by name? Names can be duplicates? 
-        // Let's rely on name for now or better, decrypt to check address.
-        return w.name === DECRYPTED_WALLETS.find(dw => dw.wallet.address === choice.addr).name;
-    });
-
-    if (walletIndex === -1) {
+    if (!await trashWallet(addr)) {
         console.log("❌ Error finding wallet in storage.");
         return;
     }
+    console.log("🗑️ Wallet moved to Trash. You can restore it from Settings.");
+}
 
-    const deletedWallet = rawWallets.splice(walletIndex, 1)[0];
-    fs.writeFileSync(WALLETS_FILE, JSON.stringify(rawWallets, null, 2));
+async function rollbackDataFile() {
+    const fileChoice = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'file',
+            message: 'Which file do you want to roll back?',
+            choices: [
+                { name: 'Wallet vault (my_wallets.json)', value: WALLETS_FILE },
+                { name: 'Settings (settings.json)', value: SETTINGS_FILE },
+                { name: 'Trash (trash_wallets.json)', value: TRASH_FILE },
+                { name: '🔙 Back', value: 'BACK' }
+            ]
+        }
+    ]);
+    if (fileChoice.file === 'BACK') return;
 
-    // Add to Trash
-    let trash = [];
-    if (fs.existsSync(TRASH_FILE)) {
-        trash = JSON.parse(fs.readFileSync(TRASH_FILE, 'utf8'));
+    const generations = listGenerations(fileChoice.file);
+    if (generations.length === 0) {
+        console.log("No previous versions kept for this file yet.");
+        return;
     }
-    trash.push(deletedWallet);
-    fs.writeFileSync(TRASH_FILE, JSON.stringify(trash, null, 2));
 
-    // Update Memory
-    DECRYPTED_WALLETS = DECRYPTED_WALLETS.filter(w => w.wallet.address !== choice.addr);
-    
-    console.log("🗑️ Wallet moved to Trash. You can restore it from Settings.");
-    await triggerBackup(USER_SETTINGS);
+    const genChoice = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'gen',
+            message: 'Restore which version? (1 = most recent)',
+            choices: [
+                ...generations.map(g => ({ name: `#${g.generation} — saved ${g.modified.toLocaleString()}`, value: g.generation })),
+                { name: '🔙 Back', value: 'BACK' }
+            ]
+        }
+    ]);
+    if (genChoice.gen === 'BACK') return;
+
+    const confirm = await inquirer.prompt([
+        { type: 'confirm', name: 'ok', message: `Replace ${path.basename(fileChoice.file)} with version #${genChoice.gen}? (the current one is kept as #1)`, default: false }
+    ]);
+    if (!confirm.ok) return;
+
+    rollback(fileChoice.file, genChoice.gen);
+
+    if (fileChoice.file === WALLETS_FILE) {
+        lockWallets(); // Re-unlock from the restored vault on next action
+    } else if (fileChoice.file === SETTINGS_FILE) {
+        loadSettings();
+    }
+    console.log(`✅ ${path.basename(fileChoice.file)} rolled back.`);
 }
 
 async function restoreWallet() {
-    if (!fs.existsSync(TRASH_FILE)) {
+    const trash = readJson(TRASH_FILE);
+    if (!trash) {
         console.log("No deleted wallets found.");
         return;
     }
-    const trash = JSON.parse(fs.readFileSync(TRASH_FILE, 'utf8'));
     if (trash.length === 0) {
         console.log("Trash is empty.");
         return;
@@ -412,87 +634,33 @@ async function restoreWallet() {
 
     if (choice.idx === 'BACK') return;
 
-    const restored = trash.splice(choice.idx, 1)[0];
-    fs.writeFileSync(TRASH_FILE, JSON.stringify(trash, null, 2));
-
-    const rawWallets = JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
-    rawWallets.push(restored);
-    fs.writeFileSync(WALLETS_FILE, JSON.stringify(rawWallets, null, 2));
-
     // Unlock it into memory
-    const password = await getPassword();
-    try {
-        const wallet = await ethers.Wallet.fromEncryptedJson(restored.data, password);
-        DECRYPTED_WALLETS.push({ name: restored.name, wallet: wallet });
-        console.log(`✅ Restored ${restored.name}!`);
-    } catch(e) {
+    const password = isVaultEncrypted() ? await getPassword() : null;
+    const { raw, entry } = await restoreFromTrash(choice.idx, password);
+    if (entry) {
+        console.log(`✅ Restored ${raw.name}!`);
+    } else {
         console.log("⚠️  Restored file, but failed to unlock in current session (Password mismatch?). Restart app to retry.");
     }
-    await triggerBackup(USER_SETTINGS);
 }
 
 
-let DECRYPTED_WALLETS = []; 
 let SESSION_PASSWORD = null;
-let USER_SETTINGS = { 
-    currency: 'USD',
-    defaultNetwork: 'ethereum',
-    gasLimitBuffer: '0',
-    backupMethod: null, // 'rclone' or 'gapi'
-    rcloneRemote: null,
-    encryptionDisabled: false,
-    savedTokens: [] // { symbol: "USDT", address: "0x...", network: "bsc", decimals: 18 }
-};
-
-// Load Settings
-if (fs.existsSync(SETTINGS_FILE)) {
-    const loaded = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
-    // Migration: Ensure savedTokens exists
-    if (!loaded.savedTokens) loaded.savedTokens = [];
-    USER_SETTINGS = { ...USER_SETTINGS, ...loaded };
-}
-
-function saveSettings() {
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(USER_SETTINGS, null, 2));
-    triggerBackup(USER_SETTINGS);
-}
 
-// Supported Networks
-const NETWORKS = {
-    "ethereum": { name: "Ethereum Mainnet", rpc: "https://eth.llamarpc.com", chainId: 1, currency: "ETH", coingeckoId: "ethereum" },
-    "bsc": { name: "Binance Smart Chain", rpc: "https://bsc-dataseed.binance.org", chainId: 56, currency: "BNB", coingeckoId: "binancecoin" },
-    "polygon": { name: "Polygon (Matic)", rpc: "https://polygon-rpc.com", chainId: 137, currency: "POL", coingeckoId: "matic-network" },
-    "celo": { name: "Celo Mainnet", rpc: "https://forno.celo.org", chainId: 42220, currency: "CELO", coingeckoId: "celo" }
-};
+// Switching profile: nothing unlocked or filtered in the old one carries over
+// (core.js loads the new profile's settings)
+onProfileChange(() => {
+    lockSession();
+    WALLET_FILTER = { tags: [], group: null, archived: false };
+});
 
-// Common Token Addresses
-const PREDEFINED_TOKENS = {
-    "ethereum": [
-        { symbol: "USDT", address: "0xdac17f958d2ee523a2206206994597c13d831ec7", decimals: 6, coingeckoId: "tether" }
-    ],
-    "bsc": [
-        { symbol: "JMPT", address: "0x88d7e9b65dc24cf54f5edef929225fc3e1580c25", decimals: 18, coingeckoId: "jumptoken" },
-        { symbol: "USDT", address: "0x55d398326f99059fF775485246999027B3197955", decimals: 18, coingeckoId: "tether" }
-    ],
-    "polygon": [
-        { symbol: "JMPT", address: "0x88d7e9b65dc24cf54f5edef929225fc3e1580c25", decimals: 18, coingeckoId: "jumptoken" },
-        { symbol: "USDT", address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F", decimals: 6, coingeckoId: "tether" }
-    ],
-    "celo": [
-        { symbol: "JMPT", address: "0x88d7e9b65dc24cf54f5edef929225fc3e1580c25", decimals: 18, coingeckoId: "jumptoken" }
-    ]
+// Options for every settings write from this menu (saveSettings, addNetwork, addContact, …)
+const SETTINGS_WRITE = {
+    onConflict: () => console.log("⚠️  settings.json was changed by another process; merging your changes on top.")
 };
 
-async function getPrice(coingeckoId) {
-    if (!coingeckoId) return 0;
-    try {
-        const currency = USER_SETTINGS.currency.toLowerCase();
-        const res = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coingeckoId}&vs_currencies=${currency}`);
-        const data = await res.json();
-        return data[coingeckoId] ? data[coingeckoId][currency] : 0;
-    } catch (e) {
-        return 0; // API failure or rate limit
-    }
+async function storeSettings() {
+    await saveSettings({}, SETTINGS_WRITE);
 }
 
 async function manageTokens() {
@@ -510,7 +678,7 @@ async function manageTokens() {
     if (action.do === 'Add New Token') {
         // 1. Select Network
         const network = await selectNetwork();
-        const networkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].rpc === network.rpc);
+        const networkKey = networkKeyOf(network);
         
         // 2. Choose Method
         const method = await inquirer.prompt([
@@ -559,11 +727,13 @@ async function manageTokens() {
                 };
 
                 const platformKey = platformMap[networkKey];
+                if (!platformKey) {
+                    console.log(`❌ CoinGecko search is not available for ${NETWORKS[networkKey].name}; enter the contract address instead.`);
+                    return;
+                }
                 address = detail.platforms[platformKey];
                 coingeckoId = detail.id;
 
-                console.log("DEBUG: Platforms in response:", Object.keys(detail.platforms));
-
                 if (!address) {
                     console.log(`❌ This token does not have a contract on ${NETWORKS[networkKey].name}.`);
                     console.log(`   Available on: ${Object.keys(detail.platforms).join(', ')}`);
@@ -580,10 +750,7 @@ async function manageTokens() {
         // 3. Fetch Details & Save
         try {
             console.log("⏳ Verifying on-chain...");
-            const provider = new ethers.JsonRpcProvider(network.rpc);
-            const contract = new ethers.Contract(address, ERC20_ABI, provider);
-            const symbol = await contract.symbol();
-            const decimals = await contract.decimals();
+            const { symbol, decimals } = await fetchTokenInfo(networkKey, address);
 
             console.log(`✅ Verified ${symbol} (Decimals: ${decimals})`);
             
@@ -596,7 +763,7 @@ async function manageTokens() {
                     decimals: Number(decimals),
                     coingeckoId: coingeckoId // Store ID for price data!
                 });
-                saveSettings();
+                await storeSettings();
                 console.log("💾 Token Saved!");
             }
         } catch (e) {
@@ -615,7 +782,7 @@ async function manageTokens() {
         }]);
         
         USER_SETTINGS.savedTokens.splice(choice.token, 1);
-        saveSettings();
+        await storeSettings();
         console.log("🗑️ Token Removed.");
     }
     
@@ -623,6 +790,182 @@ async function manageTokens() {
     await manageTokens();
 }
 
+async function manageNetworks() {
+    const action = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'do',
+            message: 'Manage Networks:',
+            choices: ['List Networks', 'Add Network', 'Remove Network', 'Check RPC Endpoints', 'Back']
+        }
+    ]);
+
+    if (action.do === 'Back') return;
+
+    if (action.do === 'List Networks') {
+        console.table(Object.entries(NETWORKS).map(([key, net]) => ({
+            Key: net.custom ? key : `${key} (built-in)`,
+            Name: net.name,
+            'Chain ID': net.chainId,
+            Symbol: net.currency,
+            RPC: (net.rpcUrls || [net.rpc]).join(', '),
+            Explorer: net.explorer || '-'
+        })));
+        const hidden = (USER_SETTINGS.customNetworks || []).filter(n => !NETWORKS[n.key]);
+        if (hidden.length > 0) {
+            console.log(`ℹ️  Hidden ${isTestnetMode() ? 'outside' : 'until'} testnet mode: ${hidden.map(n => `${n.name} (${n.key})`).join(', ')}`);
+        }
+    } else if (action.do === 'Add Network') {
+        const required = v => v.trim() !== '' || 'Required';
+        const answers = await inquirer.prompt([
+            { type: 'input', name: 'key', message: 'Short key (e.g. arbitrum):', validate: required },
+            { type: 'input', name: 'name', message: 'Display name (e.g. Arbitrum One):', validate: required },
+            { type: 'input', name: 'rpc', message: 'RPC URL(s), comma-separated:', validate: required }
+        ]);
+        const rpcUrls = answers.rpc.split(',').map(u => u.trim()).filter(Boolean);
+
+        // Offer what the first RPC reports; addNetwork() still checks every URL
+        let reported;
+        try {
+            console.log("⏳ Asking the RPC for its chain ID...");
+            reported = await fetchChainId(rpcUrls[0]);
+            console.log(`🔗 ${rpcUrls[0]} reports chain ID ${reported}.`);
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+            return;
+        }
+
+        const more = await inquirer.prompt([
+            { type: 'number', name: 'chainId', message: 'Chain ID:', default: reported },
+            { type: 'input', name: 'currency', message: 'Native currency symbol (e.g. ETH):', validate: required },
+            { type: 'input', name: 'explorer', message: 'Block explorer URL (optional):' },
+            { type: 'input', name: 'coingeckoId', message: 'CoinGecko ID of the native coin, for prices (optional):' },
+            { type: 'input', name: 'wrappedNative', message: 'Wrapped native token address, for swaps (optional):' },
+            { type: 'input', name: 'router', message: 'Uniswap-V2 style router address, for swaps (optional):' },
+            { type: 'confirm', name: 'testnet', message: 'Is this a test network (listed only in testnet mode)?', default: isTestnetMode() }
+        ]);
+
+        try {
+            console.log("⏳ Verifying RPC endpoints...");
+            const net = await addNetwork({ key: answers.key, name: answers.name, rpcUrls, ...more }, SETTINGS_WRITE);
+            console.log(`✅ Added ${net.name} (chain ${net.chainId}).`);
+            if (!!net.testnet !== isTestnetMode()) console.log(`ℹ️  It shows up ${net.testnet ? 'in' : 'outside'} testnet mode.`);
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+        }
+    } else if (action.do === 'Check RPC Endpoints') {
+        console.log("⏳ Probing every RPC endpoint...");
+        const report = await rpcStatus();
+        console.table(report.flatMap(n => n.endpoints.map(ep => ({
+            Network: n.name,
+            Endpoint: ep.url,
+            Status: ep.healthy ? '✅ ok' : ep.wrongChain ? '⛔ wrong chain' : '❌ down',
+            Latency: ep.latencyMs !== null ? `${ep.latencyMs} ms` : '-',
+            Block: ep.block ?? '-',
+            Error: ep.lastError || '-'
+        }))));
+    } else if (action.do === 'Remove Network') {
+        const custom = USER_SETTINGS.customNetworks || [];
+        if (custom.length === 0) {
+            console.log("No custom networks.");
+        } else {
+            const choice = await inquirer.prompt([{
+                type: 'rawlist',
+                name: 'key',
+                message: 'Select Network to Remove:',
+                choices: [...custom.map(n => ({ name: `${n.name} (${n.key})`, value: n.key })), { name: '🔙 Back', value: 'BACK' }]
+            }]);
+            if (choice.key !== 'BACK') {
+                await removeNetwork(choice.key);
+                console.log("🗑️ Network Removed.");
+            }
+        }
+    }
+
+    // Loop back
+    await manageNetworks();
+}
+
+async function manageContacts() {
+    const action = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'do',
+            message: 'Address Book:',
+            choices: ['List Contacts', 'Add Contact', 'Remove Contact', 'Back']
+        }
+    ]);
+
+    if (action.do === 'Back') return;
+
+    const contacts = USER_SETTINGS.contacts || [];
+    if (action.do === 'List Contacts') {
+        if (contacts.length === 0) {
+            console.log("No contacts yet.");
+        } else {
+            console.table(contacts.map(c => ({
+                Label: c.label,
+                Address: c.address,
+                ENS: c.ens || '-',
+                Networks: c.networks ? c.networks.join(', ') : (c.chain === 'solana' ? 'Solana' : 'all EVM'),
+                Note: c.note || '-'
+            })));
+        }
+    } else if (action.do === 'Add Contact') {
+        const required = v => v.trim() !== '' || 'Required';
+        const answers = await inquirer.prompt([
+            { type: 'input', name: 'label', message: 'Label (e.g. Alice):', validate: required },
+            { type: 'input', name: 'address', message: 'Address (EVM or Solana) or ENS name:', validate: required }
+        ]);
+        let recipient = null;
+        try {
+            const chain = isSolanaAddress(answers.address.trim()) ? 'solana' : null;
+            if (isEnsName(answers.address)) console.log(`⏳ Resolving ${answers.address.trim()}...`);
+            recipient = await resolveRecipient(answers.address, { chain });
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+        }
+
+        if (recipient && (!recipient.ens || await confirmResolvedName(recipient))) {
+            // None ticked = offered on every network of its chain
+            const keys = Object.keys(isSolanaAddress(recipient.address) ? SOLANA_NETWORKS : NETWORKS);
+            const more = await inquirer.prompt([
+                {
+                    type: 'checkbox',
+                    name: 'networks',
+                    message: 'Only offer on these networks (none = all):',
+                    choices: keys.map(key => ({ name: `${networkInfo(key).name} (${key})`, value: key }))
+                },
+                { type: 'input', name: 'note', message: 'Note (optional):' }
+            ]);
+            try {
+                const contact = await addContact({ label: answers.label, address: recipient.address, ens: recipient.ens, ...more }, SETTINGS_WRITE);
+                console.log(`📇 Saved ${contact.label} (${contact.address}).`);
+            } catch (e) {
+                console.log(`❌ ${e.message}`);
+            }
+        }
+    } else if (action.do === 'Remove Contact') {
+        if (contacts.length === 0) {
+            console.log("No contacts yet.");
+        } else {
+            const choice = await inquirer.prompt([{
+                type: 'rawlist',
+                name: 'label',
+                message: 'Select Contact to Remove:',
+                choices: [...contacts.map(c => ({ name: `${c.label} (${c.address})`, value: c.label })), { name: '🔙 Back', value: 'BACK' }]
+            }]);
+            if (choice.label !== 'BACK') {
+                await removeContact(choice.label, SETTINGS_WRITE);
+                console.log("🗑️ Contact Removed.");
+            }
+        }
+    }
+
+    // Loop back
+    await manageContacts();
+}
+
 async function changeSettings() {
     const action = await inquirer.prompt([
         {
@@ -632,10 +975,18 @@ async function changeSettings() {
             choices: [
                 'Preferred Currency',
                 'Default Network',
+                isTestnetMode() ? 'Testnet Mode (on → turn off)' : 'Testnet Mode (off → turn on)',
+                'Local Dev Node (Anvil / Hardhat)',
+                'Default Fee Speed',
                 'Gas Limit Buffer (Advanced)',
+                'RPC Read Quorum (Advanced)',
+                'Auto-Lock Timeout',
                 'Manage Custom Tokens',
+                'Manage Networks',
+                'Address Book',
                 'Backup Configuration',
                 'Restore Deleted Wallet',
+                'Roll Back a Data File',
                 'Toggle Vault Encryption',
                 'Back'
             ]
@@ -653,6 +1004,11 @@ async function changeSettings() {
         await restoreWallet();
         return;
     }
+
+    if (action.setting === 'Roll Back a Data File') {
+        await rollbackDataFile();
+        return;
+    }
     
     if (action.setting === 'Backup Configuration') {
         const type = await inquirer.prompt([
@@ -679,7 +1035,7 @@ async function changeSettings() {
             USER_SETTINGS.backupMethod = null;
             console.log("🚫 Backup disabled.");
         }
-        saveSettings();
+        await storeSettings();
         return;
     }
 
@@ -688,6 +1044,40 @@ async function changeSettings() {
         return;
     }
 
+    if (action.setting === 'Manage Networks') {
+        await manageNetworks();
+        return;
+    }
+
+    if (action.setting === 'Address Book') {
+        await manageContacts();
+        return;
+    }
+
+    if (action.setting.startsWith('Testnet Mode')) {
+        await setTestnetMode(!isTestnetMode(), SETTINGS_WRITE);
+        console.log(isTestnetMode()
+            ? `🧪 Testnet mode ON: ${Object.values(NETWORKS).map(n => n.name).join(', ')}.`
+            : "✅ Testnet mode OFF: back on the main networks.");
+        return;
+    }
+
+    if (action.setting.startsWith('Local Dev Node')) {
+        const answer = await inquirer.prompt([{
+            type: 'input',
+            name: 'rpc',
+            message: 'JSON-RPC URL of the dev node (must be running):',
+            default: (USER_SETTINGS.localDev || LOCAL_DEV_DEFAULTS).rpc
+        }]);
+        try {
+            const { rpc, chainId } = await configureLocalDev(answer.rpc, SETTINGS_WRITE);
+            console.log(`✅ Local Dev network → ${rpc} (chain ${chainId}).${isTestnetMode() ? '' : ' Turn on Testnet Mode to use it.'}`);
+        } catch (e) {
+            console.log(`❌ ${e.message} Start it first, e.g. \`anvil\` or \`npx hardhat node\`.`);
+        }
+        return;
+    }
+
     if (action.setting === 'Preferred Currency') {
         const answer = await inquirer.prompt([
             {
@@ -708,46 +1098,56 @@ async function changeSettings() {
                 choices: choices
             }
         ]);
-        USER_SETTINGS.defaultNetwork = answer.network;
+        USER_SETTINGS[isTestnetMode() ? 'defaultTestnet' : 'defaultNetwork'] = answer.network;
+    } else if (action.setting === 'Default Fee Speed') {
+        const answer = await inquirer.prompt([
+            {
+                type: 'rawlist',
+                name: 'speed',
+                message: 'Fee speed to preselect (also used by the TUI and scripts):',
+                choices: FEE_SPEEDS,
+                default: USER_SETTINGS.feeSpeed
+            }
+        ]);
+        USER_SETTINGS.feeSpeed = answer.speed;
     } else if (action.setting === 'Gas Limit Buffer (Advanced)') {
         const answer = await inquirer.prompt([
             {
                 type: 'input',
                 name: 'buffer',
-                message: 'Enter Gas Limit buffer (0 to disable, e.g. 10000):',
+                message: 'Extra gas on top of every estimate (0 to disable, e.g. 10000):',
                 default: USER_SETTINGS.gasLimitBuffer
             }
         ]);
         USER_SETTINGS.gasLimitBuffer = answer.buffer;
+    } else if (action.setting === 'RPC Read Quorum (Advanced)') {
+        const answer = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'quorum',
+                message: 'How many RPC endpoints must agree on a balance or call? (1 = use the fastest, fail over on errors):',
+                default: USER_SETTINGS.rpcQuorum,
+                validate: v => (Number.isInteger(v) && v >= 1) || 'Enter a whole number, 1 or more'
+            }
+        ]);
+        USER_SETTINGS.rpcQuorum = answer.quorum;
+    } else if (action.setting === 'Auto-Lock Timeout') {
+        const answer = await inquirer.prompt([
+            {
+                type: 'number',
+                name: 'minutes',
+                message: 'Lock the session after how many idle minutes? (0 = never):',
+                default: USER_SETTINGS.autoLockMinutes,
+                validate: v => (Number.isFinite(v) && v >= 0 && v <= MAX_AUTO_LOCK_MINUTES) || `Enter 0 or a number of minutes up to ${MAX_AUTO_LOCK_MINUTES}`
+            }
+        ]);
+        USER_SETTINGS.autoLockMinutes = answer.minutes;
     }
 
-    saveSettings();
+    await storeSettings();
     console.log(`✅ Settings saved!`);
 }
 
-// Router Addresses (Uniswap V2 style)
-const ROUTERS = {
-    "ethereum": "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", // Uniswap V2
-    "bsc": "0x10ED43C718714eb63d5aA57B78B54704E256024E",      // PancakeSwap V2
-    "polygon": "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff",  // QuickSwap
-    "celo": "0xE3D8bd6Aed4F159bc8000a9cD47CffDb95F96121"      // Ubeswap (example, verify if V2 compatible)
-};
-
-const ROUTER_ABI = [
-    "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)",
-    "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
-    "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
-];
-
-const ERC20_ABI = [
-    "function balanceOf(address owner) view returns (uint256)",
-    "function decimals() view returns (uint8)",
-    "function symbol() view returns (string)",
-    "function transfer(address to, uint amount) returns (bool)",
-    "function approve(address spender, uint amount) returns (bool)",
-    "function allowance(address owner, address spender) view returns (uint256)"
-];
-
 // --- Wallet Management ---
 
 async function toggleEncryption() {
@@ -777,12 +1177,7 @@ async function toggleEncryption() {
         if (confirm2.sure !== 'Decrypt Wallet') return;
 
         // Save as plain
-        const plainStore = DECRYPTED_WALLETS.map(w => ({
-            name: w.name,
-            privateKey: w.wallet.privateKey
-        }));
-        
-        fs.writeFileSync(WALLETS_FILE, JSON.stringify(plainStore, null, 2));
+        await decryptVault();
         SESSION_PASSWORD = null; // Clear password
         console.log("🔓 Wallets decrypted and saved.");
         
@@ -790,64 +1185,191 @@ async function toggleEncryption() {
         // Plain -> Encrypted
         console.log("🔐 Encrypting wallet vault...");
         const password = await getPassword(true); // Ask for new password
-        
-        const encryptedStore = [];
-        for (const w of DECRYPTED_WALLETS) {
-            console.log(`Encrypting ${w.name}...`);
-            const encryptedJson = await w.wallet.encrypt(password);
-            encryptedStore.push({ name: w.name, data: encryptedJson });
-        }
-        
-        fs.writeFileSync(WALLETS_FILE, JSON.stringify(encryptedStore, null, 2));
+        await encryptVault(password, { onProgress: name => console.log(`Encrypting ${name}...`) });
         console.log("✅ Wallets encrypted and saved.");
     }
-    await triggerBackup(USER_SETTINGS);
 }
 
-async function getPassword(confirm = false) {
-    if (SESSION_PASSWORD) return SESSION_PASSWORD;
-    
-    const questions = [{
-        type: 'password',
-        name: 'password',
-        message: 'Enter your wallet vault password:',
-        mask: '*'
-    }];
-    
-    if (confirm) {
-        questions.push({
-            type: 'password',
-            name: 'confirm',
-            message: 'Confirm password:',
-            mask: '*'
-        });
+async function changePassword() {
+    if (!loadVault().encrypted) {
+        console.log("❌ Vault is not encrypted. Use Settings → Toggle Vault Encryption to set a password.");
+        return;
     }
 
-    const answers = await inquirer.prompt(questions);
-    
-    if (confirm && answers.password !== answers.confirm) {
-        console.log("❌ Passwords do not match. Try again.");
-        return getPassword(confirm);
+    const { current } = await inquirer.prompt([
+        { type: 'password', name: 'current', message: 'Current vault password:', mask: '*' }
+    ]);
+    const answers = await inquirer.prompt([
+        { type: 'password', name: 'password', message: 'New vault password:', mask: '*', validate: v => v.length > 0 || 'Password cannot be empty' },
+        { type: 'password', name: 'confirm', message: 'Confirm new password:', mask: '*' }
+    ]);
+    if (answers.password !== answers.confirm) {
+        console.log("❌ Passwords do not match.");
+        return;
     }
-    
-    SESSION_PASSWORD = answers.password;
-    return SESSION_PASSWORD;
-}
 
-function loadWalletsRaw() {
-  if (!fs.existsSync(WALLETS_FILE)) {
-    return [];
-  }
-  const data = fs.readFileSync(WALLETS_FILE, 'utf8');
-  return JSON.parse(data);
+    console.log("⏳ Re-encrypting vault...");
+    const result = await changeVaultPassword(current, answers.password, {
+        onProgress: (name) => console.log(`   🔒 ${name}`)
+    });
+    SESSION_PASSWORD = answers.password;
+
+    console.log(`✅ Vault password changed (${result.wallets} wallets, ${result.trashed} in trash).`);
+    if (result.oldCopiesRemoved > 0) {
+        console.log(`🧹 Deleted ${result.oldCopiesRemoved} older copies of the vault and trash that the old password still opened.`);
+    }
+    if (result.trashSkipped > 0) {
+        console.log(`⚠️  ${result.trashSkipped} trashed wallet(s) did not open with the current password and were left unchanged.`);
+    }
+    await triggerBackup(USER_SETTINGS);
+    await refreshStaleRecovery(answers.password);
+}
+
+// Recovery artefacts wrap the vault password, so they go stale when it changes
+async function refreshStaleRecovery(password) {
+    const status = recoveryStatus();
+    if (!status.shamirStale && !status.guardianStale) return;
+
+    console.log("\n⚠️  Your vault recovery setup still recovers the OLD password:");
+    if (status.guardianStale) console.log("   - BIP-39 Guardian Key (guardian_blob.json)");
+    if (status.shamirStale) console.log(`   - Shamir shares (${status.shamirMeta.threshold} of ${status.shamirMeta.totalShares})`);
+    console.log("   The old password still opens earlier cloud backups,");
+    console.log("   so ask your guardians to destroy their old shares / phrase once replaced.\n");
+
+    if (status.guardianStale) {
+        const { ok } = await inquirer.prompt([
+            { type: 'confirm', name: 'ok', message: 'Generate a new guardian phrase for the new password?', default: true }
+        ]);
+        if (ok) {
+            const { mnemonic } = await setupGuardianKey(password);
+            console.log('\n🔐  New guardian phrase (24 words):\n');
+            const words = mnemonic.split(' ');
+            for (let i = 0; i < words.length; i += 4)
+                console.log(`  ${words.slice(i, i+4).map((w, j) => `${i+j+1}. ${w}`).join('   ')}`);
+            console.log('\n✅  Phrase is NOT stored. Keep it somewhere safe.\n');
+        }
+    }
+
+    if (status.shamirStale) {
+        const { ok } = await inquirer.prompt([
+            { type: 'confirm', name: 'ok', message: 'Generate new Shamir shares for the new password?', default: true }
+        ]);
+        if (ok) {
+            const { t } = await inquirer.prompt([{ type: 'number', name: 't', message: 'Threshold (min shares to recover):', default: status.shamirMeta.threshold, validate: v => v >= 2 || 'Must be ≥ 2' }]);
+            const { n } = await inquirer.prompt([{ type: 'number', name: 'n', message: 'Total shares:', default: status.shamirMeta.totalShares, validate: v => v >= t || `Must be ≥ threshold (${t})` }]);
+            const { shares } = setupShamirRecovery(password, t, n);
+            console.log('\n🔑  New Shamir shares — distribute to guardians:\n');
+            shares.forEach((s, i) => console.log(`  Share ${i+1}/${n}:\n  ${s}\n`));
+            console.log(`⚠️  You need any ${t} of ${n} shares to recover.\n`);
+        }
+    }
+}
+
+// --- Idle auto-lock ---
+// The timer runs while the main menu waits for input. If it expires in the
+// middle of an action (e.g. an open WalletConnect session), the lock happens
+// as soon as that action returns to the menu.
+let IDLE_TIMER = null;
+let AT_MENU = false;
+let LOCK_PENDING = false;
+let IDLE_LOCKED = false;
+
+function isUnlocked() {
+    return DECRYPTED_WALLETS.length > 0 || SESSION_PASSWORD !== null;
+}
+
+function lockSession() {
+    lockWallets();
+    SESSION_PASSWORD = null;
+}
+
+function armIdleLock() {
+    clearTimeout(IDLE_TIMER);
+    const minutes = autoLockMinutes();
+    if (!minutes) return;
+
+    IDLE_TIMER = setTimeout(() => {
+        if (!isUnlocked()) return;
+        if (AT_MENU) {
+            lockSession();
+            IDLE_LOCKED = true;
+        } else {
+            LOCK_PENDING = true;
+        }
+    }, minutes * 60_000);
+    IDLE_TIMER.unref();
+}
+
+async function chooseProfile() {
+    const { choice } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'choice',
+        message: `Active profile: ${PROFILE}. Switch to:`,
+        choices: [
+            ...listProfiles().map(name => ({ name: name === PROFILE ? `${name} (active)` : name, value: name })),
+            { name: '➕ New Profile', value: 'NEW' },
+            { name: '🔙 Back', value: 'BACK' }
+        ]
+    }]);
+    if (choice === 'BACK' || choice === PROFILE) return;
+
+    let target = choice;
+    if (choice === 'NEW') {
+        const { name } = await inquirer.prompt([{
+            type: 'input',
+            name: 'name',
+            message: 'Profile name:',
+            validate: v => !listProfiles().includes(v.trim()) || 'That profile already exists'
+        }]);
+        target = name.trim();
+        createProfile(target);
+        console.log(`✅ Profile "${target}" created.`);
+    }
+
+    switchProfile(target);
+    const count = vaultExists() ? loadVault().entries.length : 0;
+    console.log(`🔁 Switched to profile "${PROFILE}" (${count} wallet(s)). The previous profile was locked.`);
+}
+
+async function getPassword(confirm = false) {
+    if (SESSION_PASSWORD) return SESSION_PASSWORD;
+    
+    const questions = [{
+        type: 'password',
+        name: 'password',
+        message: 'Enter your wallet vault password:',
+        mask: '*'
+    }];
+    
+    if (confirm) {
+        questions.push({
+            type: 'password',
+            name: 'confirm',
+            message: 'Confirm password:',
+            mask: '*'
+        });
+    }
+
+    const answers = await inquirer.prompt(questions);
+    
+    if (confirm && answers.password !== answers.confirm) {
+        console.log("❌ Passwords do not match. Try again.");
+        return getPassword(confirm);
+    }
+    
+    SESSION_PASSWORD = answers.password;
+    return SESSION_PASSWORD;
 }
 
 async function initializeWallets() {
-    const rawWallets = loadWalletsRaw();
+    const vault = loadVault({
+        onMigrate: ({ from, to, backupFile }) =>
+            console.log(`ℹ️  Vault upgraded from format v${from} to v${to} (backup: ${path.basename(backupFile)}).`)
+    });
+    const rawWallets = vault.entries;
     if (rawWallets.length === 0) return;
 
-    // Check if wallets are unencrypted (contain 'privateKey')
-    if (rawWallets[0].privateKey) {
+    if (!vault.encrypted) {
         if (!USER_SETTINGS.encryptionDisabled) {
             console.log("⚠️  Unencrypted wallets detected!");
             const choice = await inquirer.prompt([{
@@ -859,22 +1381,8 @@ async function initializeWallets() {
 
             if (choice.action.startsWith('Encrypt')) {
                 const password = await getPassword(true);
-                
-                DECRYPTED_WALLETS = [];
-                const encryptedStore = [];
-
-                for (const w of rawWallets) {
-                    console.log(`🔒 Encrypting ${w.name}...`);
-                    const wallet = new ethers.Wallet(w.privateKey);
-                    const encryptedJson = await wallet.encrypt(password);
-                    
-                    DECRYPTED_WALLETS.push({ name: w.name, wallet: wallet });
-                    encryptedStore.push({ name: w.name, data: encryptedJson });
-                }
-                
-                fs.writeFileSync(WALLETS_FILE, JSON.stringify(encryptedStore, null, 2));
+                await encryptVault(password, { onProgress: name => console.log(`🔒 Encrypting ${name}...`) });
                 console.log("✅ All wallets encrypted and saved!");
-                await triggerBackup(USER_SETTINGS);
             } else {
                 // Confirm risk
                 console.log("\n🛑 RISK WARNING: Your private keys are stored in PLAIN TEXT.");
@@ -887,13 +1395,13 @@ async function initializeWallets() {
                 if (!confirm2.ok) return initializeWallets();
 
                 USER_SETTINGS.encryptionDisabled = true;
-                saveSettings();
+                await storeSettings();
                 
-                DECRYPTED_WALLETS = rawWallets.map(w => ({ name: w.name, wallet: new ethers.Wallet(w.privateKey) }));
+                await unlockWallets(null);
                 console.log("🔓 Unlocked unencrypted wallets.");
             }
         } else {
-            DECRYPTED_WALLETS = rawWallets.map(w => ({ name: w.name, wallet: new ethers.Wallet(w.privateKey) }));
+            await unlockWallets(null);
             // console.log("🔓 Unlocked unencrypted wallets.");
         }
     } else {
@@ -903,12 +1411,10 @@ async function initializeWallets() {
         while (attempts > 0) {
             const password = await getPassword();
             try {
-                DECRYPTED_WALLETS = [];
-                for (const w of rawWallets) {
-                    const wallet = await ethers.Wallet.fromEncryptedJson(w.data, password);
-                    DECRYPTED_WALLETS.push({ name: w.name, wallet: wallet });
-                }
-                console.log(`🔓 Successfully unlocked ${DECRYPTED_WALLETS.length} wallets.`);
+                const started = Date.now();
+                await unlockWallets(password);
+                const seconds = ((Date.now() - started) / 1000).toFixed(1);
+                console.log(`🔓 Successfully unlocked ${DECRYPTED_WALLETS.length} wallets in ${seconds}s.`);
                 break;
             } catch (e) {
                 console.log("❌ Wrong password.");
@@ -923,28 +1429,18 @@ async function initializeWallets() {
     }
 }
 
-async function saveEncryptedWallet(name, wallet) {
-    const rawWallets = loadWalletsRaw();
-    
-    if (USER_SETTINGS.encryptionDisabled) {
-        rawWallets.push({ name: name, privateKey: wallet.privateKey });
-    } else {
-        const password = await getPassword();
-        console.log("⏳ Encrypting wallet...");
-        const encryptedJson = await wallet.encrypt(password);
-        rawWallets.push({ name: name, data: encryptedJson });
+async function saveEncryptedWallet(name, wallet, raw = {}) {
+    let password = null;
+    if (!USER_SETTINGS.encryptionDisabled) {
+        password = await getPassword();
+        if (!raw.watchOnly) console.log("⏳ Encrypting wallet...");
     }
-    
-    fs.writeFileSync(WALLETS_FILE, JSON.stringify(rawWallets, null, 2));
-    
-    // Update memory
-    DECRYPTED_WALLETS.push({ name: name, wallet: wallet });
+    await addWallet(name, wallet, { raw, password });
     console.log(`✅ Wallet '${name}' saved.`);
-    await triggerBackup(USER_SETTINGS);
 }
 
 async function ensureEncryptionPreference() {
-    if (DECRYPTED_WALLETS.length > 0 || fs.existsSync(WALLETS_FILE)) return;
+    if (DECRYPTED_WALLETS.length > 0 || vaultExists()) return;
 
     console.log("\n🛡️  Vault Setup");
     const choice = await inquirer.prompt([{
@@ -968,13 +1464,45 @@ async function ensureEncryptionPreference() {
             return ensureEncryptionPreference(); // Back to start
         }
     }
-    saveSettings();
+    await storeSettings();
 }
 
 async function createNewWallet() {
   await ensureEncryptionPreference();
+  const kind = await inquirer.prompt([{
+    type: 'rawlist',
+    name: 'type',
+    message: 'New wallet:',
+    choices: [
+      { name: 'Random (with a 12-word recovery phrase)', value: 'random' },
+      { name: 'Vanity address (choose a prefix / suffix)', value: 'vanity' },
+      { name: 'Solana (with a 12-word recovery phrase)', value: 'solana' },
+      { name: '🔙 Back', value: 'back' }
+    ]
+  }]);
+  if (kind.type === 'back') return;
+  if (kind.type === 'vanity') {
+    await createVanityWallet();
+    return;
+  }
+
   console.log("Creating new wallet locally on device...");
-  const wallet = ethers.Wallet.createRandom();
+  const wallet = kind.type === 'solana' ? SolanaWallet.createRandom() : ethers.Wallet.createRandom();
+
+  console.log('\n🔐  Recovery phrase (12 words) — write this down and keep it SAFE:\n');
+  const words = wallet.mnemonic.phrase.split(' ');
+  for (let i = 0; i < words.length; i += 4) {
+    console.log(`  ${words.slice(i, i + 4).map((w, j) => `${i + j + 1}. ${w}`).join('   ')}`);
+  }
+  console.log('\n   More accounts can be derived from it later via "Derive Next Account".\n');
+
+  const written = await inquirer.prompt([
+    { type: 'confirm', name: 'ok', message: 'Have you written the phrase down?', default: false }
+  ]);
+  if (!written.ok) {
+    console.log("⚠️  The phrase is stored encrypted in your vault, but keep an offline copy too.");
+  }
+
   const nameAnswer = await inquirer.prompt([
     {
       type: 'input',
@@ -988,6 +1516,56 @@ async function createNewWallet() {
   console.log(`🔑 Address: ${wallet.address}`);
 }
 
+async function createVanityWallet() {
+    let pattern;
+    while (!pattern) {
+        const input = await inquirer.prompt([
+            { type: 'input', name: 'prefix', message: 'Prefix (after 0x, hex; empty for none):' },
+            { type: 'input', name: 'suffix', message: 'Suffix (hex; empty for none):' },
+            { type: 'confirm', name: 'caseSensitive', message: 'Match upper/lower case exactly (checksum spelling)?', default: false }
+        ]);
+        try {
+            pattern = parseVanityPattern(input);
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+            const retry = await inquirer.prompt([{ type: 'confirm', name: 'ok', message: 'Try another pattern?', default: true }]);
+            if (!retry.ok) return;
+        }
+    }
+
+    const shown = `0x${pattern.prefix}…${pattern.suffix}`;
+    console.log(`\n🎯 ${shown}: about ${Math.round(vanityDifficulty(pattern)).toLocaleString()} keys to try on average.`);
+    console.log("   Vanity wallets are plain private keys: there is no recovery phrase, so back the key up.");
+    console.log("   Searching on all CPU cores — press Ctrl+C to cancel.\n");
+
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    process.on('SIGINT', cancel);
+    let result;
+    try {
+        result = await searchVanity(pattern, {
+            signal: controller.signal,
+            onProgress: ({ attempts, rate, eta }) => {
+                process.stdout.write(`\r⏳ ${attempts.toLocaleString()} keys · ${Math.round(rate).toLocaleString()}/s · ETA ~${formatDuration(eta)}    `);
+            }
+        });
+    } catch (e) {
+        console.log(`\n🛑 ${e.message}`);
+        return;
+    } finally {
+        process.off('SIGINT', cancel);
+    }
+
+    console.log(`\n\n✅ Found ${result.wallet.address} after ${result.attempts.toLocaleString()} keys (${formatDuration(result.seconds)}).`);
+    const nameAnswer = await inquirer.prompt([{
+        type: 'input',
+        name: 'name',
+        message: 'Give this wallet a name:',
+        default: `Vanity ${pattern.prefix || pattern.suffix}`
+    }]);
+    await saveEncryptedWallet(nameAnswer.name, result.wallet);
+}
+
 async function importWallet() {
     await ensureEncryptionPreference();
     console.log("Importing existing wallet...");
@@ -1004,12 +1582,38 @@ async function importWallet() {
             message: 'Import method:',
             choices: [
                 { name: 'Private Key', value: 'pk' },
-                { name: 'Mnemonic Phrase (12/24 words)', value: 'mnemonic' }
+                { name: 'Mnemonic Phrase (12/24 words)', value: 'mnemonic' },
+                { name: 'Mnemonic Phrase — scan for used accounts', value: 'scan' },
+                { name: 'Keystore File(s) (geth / Foundry / MetaMask JSON)', value: 'keystore' },
+                { name: 'MetaMask Vault Backup (all accounts of the extension)', value: 'metamask' },
+                { name: 'Watch-only (address or ENS name, no key)', value: 'watch' },
+                { name: 'Local Dev Accounts (Anvil / Hardhat test keys)', value: 'dev' },
+                { name: 'Solana Secret Key (Phantom / Solflare / solana-keygen)', value: 'solana-key' },
+                { name: 'Solana Recovery Phrase (Phantom / Solflare)', value: 'solana-phrase' }
             ]
         }
     ]);
 
+    if (method.type === 'watch') {
+        await addWatchOnlyWallet();
+        return;
+    }
+    if (method.type === 'keystore') {
+        await importKeystoreFiles();
+        return;
+    }
+    if (method.type === 'metamask') {
+        await importMetaMaskVault();
+        return;
+    }
+    if (method.type === 'dev') {
+        await importDevAccounts();
+        return;
+    }
+
     let wallet;
+    let root = null;
+    let hasPassphrase = false;
     try {
         if (method.type === 'pk') {
             const input = await inquirer.prompt([{ 
@@ -1019,20 +1623,49 @@ async function importWallet() {
                 mask: '*' 
             }]);
             wallet = new ethers.Wallet(input.key);
+        } else if (method.type === 'solana-key') {
+            const input = await inquirer.prompt([{
+                type: 'password',
+                name: 'key',
+                message: 'Enter Solana Secret Key (base58, or the [..] array of a keypair file):',
+                mask: '*'
+            }]);
+            wallet = SolanaWallet.fromSecretKey(input.key);
+        } else if (method.type === 'solana-phrase') {
+            // Account 0 of Phantom's layout; Derive Next Account adds the others
+            const input = await inquirer.prompt([{
+                type: 'password',
+                name: 'phrase',
+                message: 'Enter Recovery Phrase:',
+                mask: '*'
+            }]);
+            wallet = SolanaWallet.fromPhrase(input.phrase);
         } else {
             const input = await inquirer.prompt([{ 
                 type: 'password', 
                 name: 'phrase', 
                 message: 'Enter Mnemonic Phrase:', 
                 mask: '*' 
+            }, {
+                type: 'password',
+                name: 'passphrase',
+                message: 'BIP-39 passphrase ("25th word", leave empty if none):',
+                mask: '*'
             }]);
-            wallet = ethers.Wallet.fromPhrase(input.phrase);
+            hasPassphrase = !!input.passphrase;
+            root = seedRoot(input.phrase, input.passphrase);
+            wallet = toStorableWallet(root.derivePath(accountPath(0)), hasPassphrase);
         }
     } catch (e) {
         console.log(`❌ Invalid Key or Phrase: ${e.message}`);
         return;
     }
 
+    if (method.type === 'scan') {
+        await discoverAccounts(root, hasPassphrase);
+        return;
+    }
+
     console.log(`✅ Valid wallet found: ${wallet.address}`);
 
     const nameAnswer = await inquirer.prompt([
@@ -1047,39 +1680,389 @@ async function importWallet() {
     await saveEncryptedWallet(nameAnswer.name, wallet);
 }
 
-async function renameWallet() {
-    if (DECRYPTED_WALLETS.length === 0) return;
+// One or many Web3 Secret Storage files (or directories of them). The first
+// password is tried on every file; files it does not open ask for their own.
+async function importKeystoreFiles() {
+    const { paths } = await inquirer.prompt([{
+        type: 'input',
+        name: 'paths',
+        message: 'Keystore file(s) or directory (comma-separated):',
+        validate: v => v.trim().length > 0 || 'Enter at least one path'
+    }]);
+    const list = paths.split(',').map(p => p.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    const { found, skipped } = findKeystoreFiles(list);
+    for (const s of skipped) console.log(`⚠️  Skipped ${s.file}: ${s.reason}`);
+
+    const known = new Set(DECRYPTED_WALLETS.map(w => w.wallet.address));
+    const todo = found.filter(k => {
+        if (!known.has(k.address)) return true;
+        console.log(`ℹ️  ${k.address} is already in the vault (${path.basename(k.file)}).`);
+        return false;
+    });
+    if (todo.length === 0) {
+        console.log("Nothing to import.");
+        return;
+    }
+    console.log(`🔑 ${todo.length} keystore file(s) to import.`);
+
+    let shared = null;
+    for (const k of todo) {
+        let wallet = null;
+        if (shared !== null) {
+            console.log(`⏳ Decrypting ${path.basename(k.file)}...`);
+            wallet = await decryptKeystore(k.json, shared).catch(() => null);
+        }
+        while (!wallet) {
+            const { pw } = await inquirer.prompt([{
+                type: 'password',
+                name: 'pw',
+                message: `Password for ${path.basename(k.file)} (empty to skip):`,
+                mask: '*'
+            }]);
+            if (!pw) break;
+            console.log("⏳ Decrypting keystore...");
+            try {
+                wallet = await decryptKeystore(k.json, pw);
+                if (shared === null) shared = pw;
+            } catch (e) {
+                console.log(`❌ ${e.message}`);
+            }
+        }
+        if (!wallet) {
+            console.log(`⏭️  Skipped ${path.basename(k.file)}.`);
+            continue;
+        }
 
-    const choice = await inquirer.prompt([
+        const nameAnswer = await inquirer.prompt([{
+            type: 'input',
+            name: 'name',
+            message: `Name for ${wallet.address}:`,
+            default: `Imported ${DECRYPTED_WALLETS.length + 1}`
+        }]);
+        await saveEncryptedWallet(nameAnswer.name, wallet);
+    }
+}
+
+// The pre-funded accounts of Anvil / Hardhat. Their keys are public, so they
+// are tagged "dev" and balances come from the local node when it is reachable.
+async function importDevAccounts() {
+    console.log("⚠️  These keys are published with Anvil and Hardhat: anyone can spend what they hold on a real network.");
+    const known = new Set(DECRYPTED_WALLETS.map(w => w.wallet.address));
+    const accounts = devAccounts(10);
+
+    const balances = {};
+    if (NETWORKS.local) {
+        console.log(`⏳ Reading balances from ${NETWORKS.local.rpc}...`);
+        await Promise.all(accounts.map(async a => {
+            balances[a.wallet.address] = await getNativeBalance(a.wallet.address, 'local').catch(() => null);
+        }));
+    }
+
+    const pick = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Select dev accounts to import:',
+        choices: accounts.map(a => {
+            const bal = balances[a.wallet.address];
+            const funds = bal !== undefined && bal !== null ? `  ${parseFloat(bal).toFixed(2)} ETH` : '';
+            return {
+                name: `#${a.index}  ${a.wallet.address}${funds}`,
+                value: a,
+                checked: a.index === 0 && !known.has(a.wallet.address),
+                disabled: known.has(a.wallet.address) ? 'already in vault' : false
+            };
+        }),
+        pageSize: 12
+    }]);
+    if (pick.selected.length === 0) {
+        console.log("Nothing selected.");
+        return;
+    }
+    for (const a of pick.selected) {
+        await saveEncryptedWallet(`Dev #${a.index}`, a.wallet, { tags: ['dev'] });
+    }
+}
+
+// Whole MetaMask extension vault: decrypted locally, then pick accounts from
+// its seed phrase(s) and imported keys. HD accounts keep their phrase so
+// Derive Next Account continues where MetaMask stopped.
+async function importMetaMaskVault() {
+    const { source } = await inquirer.prompt([{
+        type: 'input',
+        name: 'source',
+        message: 'Path to the MetaMask vault file (or paste the vault JSON):',
+        validate: v => v.trim().length > 0 || 'Enter a path or the vault JSON'
+    }]);
+    const input = source.trim().replace(/^["']|["']$/g, '');
+
+    let vault;
+    try {
+        vault = parseMetaMaskVault(input.startsWith('{') ? input : fs.readFileSync(input, 'utf8'));
+    } catch (e) {
+        console.log(`❌ ${e.code === 'ENOENT' ? `File not found: ${input}` : e.message}`);
+        return;
+    }
+
+    let keyrings = null;
+    while (!keyrings) {
+        const { pw } = await inquirer.prompt([{ type: 'password', name: 'pw', message: 'MetaMask password (empty to cancel):', mask: '*' }]);
+        if (!pw) return;
+        console.log("⏳ Decrypting MetaMask vault...");
+        try {
+            keyrings = await decryptMetaMaskVault(vault, pw);
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+        }
+    }
+
+    const { seeds, keys, unsupported } = metaMaskAccounts(keyrings);
+    for (const type of unsupported) console.log(`ℹ️  Skipping "${type}" keyring (no keys stored in the vault).`);
+
+    const known = new Set(DECRYPTED_WALLETS.map(w => w.wallet.address));
+    const option = (wallet, label) => ({
+        name: `${label}  ${wallet.address}${known.has(wallet.address) ? '  [already in vault]' : ''}`,
+        value: wallet,
+        checked: !known.has(wallet.address),
+        disabled: known.has(wallet.address) ? 'already in vault' : false
+    });
+    const choices = [];
+    seeds.forEach((seed, s) => {
+        choices.push(new inquirer.Separator(`── Seed phrase ${s + 1} (${seed.seedId}) ──`));
+        for (const acc of seed.accounts) choices.push(option(acc, acc.path));
+    });
+    if (keys.length > 0) {
+        choices.push(new inquirer.Separator('── Imported keys ──'));
+        for (const k of keys) choices.push(option(k, 'key'));
+    }
+    if (seeds.length === 0 && keys.length === 0) {
+        console.log("No accounts with keys found in this vault.");
+        return;
+    }
+    console.log(`🦊 Found ${seeds.reduce((n, s) => n + s.accounts.length, 0)} seed account(s) in ${seeds.length} phrase(s) and ${keys.length} imported key(s).`);
+
+    const pick = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Select accounts to import:',
+        choices,
+        pageSize: 15
+    }]);
+    if (pick.selected.length === 0) {
+        console.log("Nothing selected.");
+        return;
+    }
+
+    for (const wallet of pick.selected) {
+        const nameAnswer = await inquirer.prompt([{
+            type: 'input',
+            name: 'name',
+            message: `Name for ${wallet.address}${wallet.path ? ` (${wallet.path})` : ''}:`,
+            default: `MetaMask ${DECRYPTED_WALLETS.length + 1}`
+        }]);
+        await saveEncryptedWallet(nameAnswer.name, wallet);
+    }
+}
+
+// Address-only entry (treasury, cold storage): listed and balance-checked, never signs
+async function addWatchOnlyWallet() {
+    const input = await inquirer.prompt([
+        { type: 'input', name: 'target', message: 'Address or ENS name (e.g. vitalik.eth):' }
+    ]);
+    const target = input.target.trim();
+
+    let address;
+    let ens;
+    try {
+        if (isEnsName(target)) console.log(`⏳ Resolving ${target}...`);
+        ({ address, ens } = await resolveRecipient(target));
+    } catch (e) {
+        console.log(`❌ ${e.message}`);
+        return;
+    }
+    if (ens && !await confirmResolvedName({ ens, address })) return;
+    // A plain address keeps its primary name, if it has one
+    ens = ens || await lookupEnsName(address) || undefined;
+
+    const existing = DECRYPTED_WALLETS.find(w => w.wallet.address === address);
+    if (existing) {
+        console.log(`❌ ${address} is already in the vault as '${existing.name}'.`);
+        return;
+    }
+
+    console.log(`👁  Watching ${address}${ens ? ` (${ens})` : ''}`);
+    const nameAnswer = await inquirer.prompt([
         {
-            type: 'rawlist',
-            name: 'walletAddr',
-            message: 'Select wallet to rename:',
-            choices: DECRYPTED_WALLETS.map(w => ({ name: w.name, value: w.wallet.address }))
+            type: 'input',
+            name: 'name',
+            message: 'Give this wallet a name:',
+            default: ens || `Watch ${DECRYPTED_WALLETS.length + 1}`
         }
     ]);
+
+    await saveEncryptedWallet(nameAnswer.name, new ethers.VoidSigner(address), { watchOnly: true, ens });
+}
+
+// The keystore format can only re-derive a mnemonic without a passphrase, so
+// passphrase-protected accounts are stored as single keys.
+function toStorableWallet(hdWallet, hasPassphrase) {
+    if (!hasPassphrase) return hdWallet;
+    return new ethers.Wallet(hdWallet.privateKey);
+}
+
+// Balance and nonce of one address on every network; unreachable RPCs count as unused
+async function probeAddress(address) {
+    const results = await Promise.all(Object.keys(NETWORKS).map(async (netKey) => {
+        try {
+            const provider = getProvider(netKey);
+            const [balWei, nonce] = await Promise.all([
+                provider.getBalance(address),
+                provider.getTransactionCount(address)
+            ]);
+            return { netKey, balance: parseFloat(ethers.formatEther(balWei)), nonce };
+        } catch (e) {
+            return { netKey, balance: 0, nonce: 0, error: true };
+        }
+    }));
+    return {
+        networks: results,
+        used: results.some(r => r.balance > 0 || r.nonce > 0)
+    };
+}
+
+async function discoverAccounts(root, hasPassphrase) {
+    const MAX_INDEX = 100;
+
+    const setup = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'schemes',
+            message: 'Derivation paths to scan:',
+            choices: [
+                ...Object.keys(PATH_SCHEMES).map(key => ({ name: PATH_SCHEMES[key].label, value: key, checked: key === 'standard' })),
+                { name: 'Custom path template', value: 'custom' }
+            ],
+            validate: v => v.length > 0 || 'Select at least one path'
+        },
+        {
+            type: 'number',
+            name: 'gap',
+            message: 'Gap limit (stop after this many unused accounts in a row):',
+            default: 5,
+            validate: v => (v >= 1 && v <= MAX_INDEX) || `Must be between 1 and ${MAX_INDEX}`
+        }
+    ]);
+
+    const templates = setup.schemes.filter(k => k !== 'custom').map(k => PATH_SCHEMES[k].template);
+    if (setup.schemes.includes('custom')) {
+        const input = await inquirer.prompt([{
+            type: 'input',
+            name: 'template',
+            message: "Custom path, use {i} for the index (e.g. m/44'/60'/0'/1/{i}):",
+            validate: v => /^m(\/\d+'?)*(\/(\d+|\{i\})'?)+$/.test(v.trim()) && v.includes('{i}') || 'Invalid path template'
+        }]);
+        templates.push(input.template.trim());
+    }
+
+    console.log(`\n🔍 Scanning ${Object.keys(NETWORKS).length} networks (gap limit ${setup.gap})...`);
+
+    const candidates = [];
+    for (const template of templates) {
+        let unused = 0;
+        for (let i = 0; i < MAX_INDEX && unused < setup.gap; i++) {
+            const hdWallet = root.derivePath(expandPath(template, i));
+            process.stdout.write(`   ${hdWallet.path} ${hdWallet.address} ... `);
+            const probe = await probeAddress(hdWallet.address);
+            const summary = probe.networks
+                .filter(r => r.balance > 0 || r.nonce > 0)
+                .map(r => `${r.balance} ${NETWORKS[r.netKey].currency} / ${r.nonce} tx`)
+                .join(', ');
+            console.log(probe.used ? `✅ ${summary}` : (probe.networks.every(r => r.error) ? '⚠️  unreachable' : 'unused'));
+
+            unused = probe.used ? 0 : unused + 1;
+            candidates.push({ hdWallet, probe, summary });
+        }
+    }
+
+    const known = new Set(DECRYPTED_WALLETS.map(w => w.wallet.address));
+    const choices = candidates.map(c => ({
+        name: `${c.hdWallet.path}  ${c.hdWallet.address}  ${c.probe.used ? c.summary : '(unused)'}${known.has(c.hdWallet.address) ? '  [already in vault]' : ''}`,
+        value: c,
+        checked: c.probe.used && !known.has(c.hdWallet.address),
+        disabled: known.has(c.hdWallet.address) ? 'already in vault' : false
+    }));
+
+    const pick = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Select accounts to import:',
+        choices,
+        pageSize: 15
+    }]);
+
+    if (pick.selected.length === 0) {
+        console.log("Nothing selected.");
+        return;
+    }
+
+    for (const c of pick.selected) {
+        const nameAnswer = await inquirer.prompt([{
+            type: 'input',
+            name: 'name',
+            message: `Name for ${c.hdWallet.address} (${c.hdWallet.path}):`,
+            default: `Imported ${DECRYPTED_WALLETS.length + 1}`
+        }]);
+        await saveEncryptedWallet(nameAnswer.name, toStorableWallet(c.hdWallet, hasPassphrase));
+    }
+    if (hasPassphrase) {
+        console.log("ℹ️  Passphrase accounts are stored as single keys; the passphrase itself is never saved.");
+    }
+}
+
+async function renameWallet() {
+    if (DECRYPTED_WALLETS.length === 0) return;
+
+    const walletAddr = await pickWallet(await listWallets(), 'Select wallet to rename:');
+    if (walletAddr === 'BACK') return;
     
     const newName = await inquirer.prompt([
-        { type: 'input', name: 'name', message: 'Enter new name/tag:' }
+        { type: 'input', name: 'name', message: 'Enter new name:' }
     ]);
 
-    // Update in memory
-    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === choice.walletAddr);
-    target.name = newName.name;
+    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === walletAddr);
+    if (await updateWalletEntry(target, { name: newName.name })) {
+        console.log("✅ Wallet renamed.");
+    }
+}
 
-    // Update on disk 
-    const newRawStore = [];
-    const password = await getPassword();
-    console.log("⏳ Re-saving wallet names...");
-    
-    for (const w of DECRYPTED_WALLETS) {
-        const encryptedJson = await w.wallet.encrypt(password);
-        newRawStore.push({ name: w.name, data: encryptedJson });
+async function organizeWallet() {
+    if (DECRYPTED_WALLETS.length === 0) return;
+
+    const walletAddr = await pickWallet(await listWallets(), 'Select wallet to organize:');
+    if (walletAddr === 'BACK') return;
+    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === walletAddr);
+
+    const answers = await inquirer.prompt([
+        { type: 'input', name: 'tags', message: 'Tags (comma or space separated):', default: (target.tags || []).join(', ') },
+        { type: 'input', name: 'group', message: 'Group (empty for none):', default: target.group || '' },
+        { type: 'input', name: 'note', message: 'Note:', default: target.note || '' },
+        { type: 'confirm', name: 'archived', message: 'Archive this wallet (hide it from pickers)?', default: !!target.archived }
+    ]);
+
+    const changes = {
+        tags: parseTags(answers.tags),
+        group: answers.group.trim(),
+        note: answers.note.trim(),
+        archived: answers.archived
+    };
+    if (await updateWalletEntry(target, changes)) {
+        console.log(`✅ Updated '${target.name}'${metaLabel(target) ? ` ${metaLabel(target)}` : ''}.`);
     }
-    
-    fs.writeFileSync(WALLETS_FILE, JSON.stringify(newRawStore, null, 2));
-    console.log("✅ Wallet renamed.");
-    await triggerBackup(USER_SETTINGS);
+}
+
+async function updateWalletEntry(target, changes) {
+    if (await updateWallet(target, changes)) return true;
+    console.log("❌ Error finding wallet in storage.");
+    return false;
 }
 
 async function listWallets() {
@@ -1087,7 +2070,223 @@ async function listWallets() {
     console.log("No wallets unlocked. Create one first!");
     return [];
   }
-  return DECRYPTED_WALLETS.map(w => ({ name: w.name, address: w.wallet.address }));
+  return DECRYPTED_WALLETS.map(w => ({
+      name: w.name,
+      address: w.wallet.address,
+      seed: w.seedId ? `${w.seedId} #${w.index}` : null,
+      watchOnly: !!w.watchOnly,
+      chain: w.wallet.chain || null,
+      ...pickMeta(w)
+  }));
+}
+
+let WALLET_FILTER = { tags: [], group: null, archived: false };
+
+async function showWalletTable() {
+  const wallets = await listWallets();
+  const shown = wallets.filter(w => matchesFilter(w, WALLET_FILTER));
+  console.table(shown.map(w => ({
+    Name: w.name,
+    Address: w.address,
+    Seed: w.seed || '-',
+    Chain: w.chain === 'solana' ? 'Solana' : 'EVM',
+    Type: w.watchOnly ? '👁 watch-only' : 'key',
+    Group: w.group || '-',
+    Tags: (w.tags || []).join(', ') || '-',
+    Created: w.createdAt ? w.createdAt.slice(0, 10) : '-'
+  })));
+  for (const w of shown.filter(w => w.note)) console.log(`📝 ${w.name}: ${w.note}`);
+  if (shown.length < wallets.length) {
+    console.log(`🔎 Filter: ${describeFilter(WALLET_FILTER)} — ${wallets.length - shown.length} wallet(s) hidden. Use 'Filter Wallets' to change.`);
+  }
+  if (shown.length === 0) return;
+
+  const next = await inquirer.prompt([{
+    type: 'rawlist',
+    name: 'action',
+    message: 'Next:',
+    choices: [
+      { name: '📱 Receive — show a QR code', value: 'qr' },
+      { name: '🔙 Back', value: 'back' }
+    ]
+  }]);
+  if (next.action === 'qr') await showReceiveQr(shown);
+}
+
+// Address QR, or a payment request (EIP-681, or Solana Pay for Solana wallets) for wallets that understand it
+async function showReceiveQr(wallets) {
+  const addr = await pickWallet(wallets, 'Receive to:');
+  if (addr === 'BACK') return;
+  const target = wallets.find(w => w.address === addr);
+  const solana = target.chain === 'solana';
+
+  const kind = await inquirer.prompt([{
+    type: 'rawlist',
+    name: 'type',
+    message: 'QR content:',
+    choices: [
+      { name: 'Address only (works with any wallet app)', value: 'address' },
+      { name: solana ? 'Payment request (Solana Pay: token, amount)' : 'Payment request (EIP-681: network, token, amount)', value: 'uri' },
+      { name: '🔙 Back', value: 'back' }
+    ]
+  }]);
+  if (kind.type === 'back') return;
+
+  let text = target.address;
+  let caption = target.address;
+  if (kind.type === 'uri') {
+    let networkKey = solanaNetworkKey();
+    if (!solana) {
+      const picked = await selectNetwork(true);
+      if (picked === 'BACK') return;
+      networkKey = networkKeyOf(picked);
+    }
+    const network = networkInfo(networkKey);
+
+    const tokenOptions = [{ name: `${network.currency} (native)`, value: null }];
+    for (const t of tokensFor(networkKey)) tokenOptions.push({ name: t.symbol, value: t });
+    const asset = await inquirer.prompt([{ type: 'rawlist', name: 'token', message: 'Asset:', choices: tokenOptions }]);
+    const symbol = asset.token ? asset.token.symbol : network.currency;
+
+    while (true) {
+      const input = await inquirer.prompt([{ type: 'input', name: 'amount', message: `Amount of ${symbol} (empty: payer chooses):` }]);
+      try {
+        text = solana
+          ? solanaPayUri({ address: target.address, token: asset.token, amount: input.amount.trim() })
+          : paymentUri({ address: target.address, chainId: network.chainId, token: asset.token, amount: input.amount.trim() });
+        caption = `${input.amount.trim() ? `${input.amount.trim()} ${symbol}` : symbol} to ${target.address} on ${network.name}`;
+        break;
+      } catch (e) {
+        console.log(`❌ ${e.message}`);
+      }
+    }
+  }
+
+  console.log(`\n📱 ${target.name}\n`);
+  console.log(qrString(text));
+  console.log(`\n${caption}`);
+  if (text !== target.address) console.log(text);
+  console.log('');
+}
+
+function walletLabel(w) {
+  const meta = metaLabel(w);
+  return `${w.name} (${w.address})${w.chain === 'solana' ? ' ◎ Solana' : ''}${w.watchOnly ? ' 👁 watch-only' : ''}${meta ? ` ${meta}` : ''}`;
+}
+
+// Every wallet picker goes through here, so the session filter applies to all of them
+async function pickWallet(wallets, message) {
+  while (true) {
+    const shown = wallets.filter(w => matchesFilter(w, WALLET_FILTER));
+    const choices = shown.map(w => ({ name: walletLabel(w), value: w.address }));
+    choices.push({ name: `🔎 Filter… (${describeFilter(WALLET_FILTER)}; ${shown.length}/${wallets.length} shown)`, value: 'FILTER' });
+    choices.push({ name: '🔙 Back', value: 'BACK' });
+
+    const answer = await inquirer.prompt([{ type: 'rawlist', name: 'addr', message, choices }]);
+    if (answer.addr !== 'FILTER') return answer.addr;
+    await chooseWalletFilter();
+  }
+}
+
+async function chooseWalletFilter() {
+  const tags = knownTags(DECRYPTED_WALLETS);
+  const groups = knownGroups(DECRYPTED_WALLETS);
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'tags',
+      message: 'Only wallets tagged with (all selected):',
+      choices: tags.map(t => ({ name: t, value: t, checked: WALLET_FILTER.tags.includes(t) })),
+      when: tags.length > 0
+    },
+    {
+      type: 'rawlist',
+      name: 'group',
+      message: 'Group:',
+      choices: [{ name: 'Any group', value: 'ANY' }, ...groups.map(g => ({ name: g, value: g }))],
+      when: groups.length > 0
+    },
+    { type: 'confirm', name: 'archived', message: 'Include archived wallets?', default: WALLET_FILTER.archived }
+  ]);
+
+  WALLET_FILTER = {
+    tags: answers.tags || [],
+    group: answers.group && answers.group !== 'ANY' ? answers.group : null,
+    archived: answers.archived
+  };
+  console.log(`🔎 Wallet filter: ${describeFilter(WALLET_FILTER)}`);
+}
+
+// Wallets that can sign: watch-only entries are left out of every signing flow.
+// evmOnly leaves out Solana wallets too (swaps).
+async function signingWallets({ evmOnly = false } = {}) {
+  const wallets = await listWallets();
+  const signers = wallets.filter(w => !w.watchOnly);
+  if (wallets.length > 0 && signers.length === 0) {
+    console.log("❌ Only watch-only wallets are loaded. Import a key to sign transactions.");
+  }
+  if (!evmOnly) return signers;
+  const evm = signers.filter(w => w.chain !== 'solana');
+  if (signers.length > 0 && evm.length === 0) console.log("❌ Only Solana wallets are loaded. This needs an EVM wallet.");
+  return evm;
+}
+
+async function deriveNextAccount() {
+    // One representative session entry per seed
+    const seeds = new Map();
+    for (const w of DECRYPTED_WALLETS) {
+        if (w.seedId && !seeds.has(w.seedId)) seeds.set(w.seedId, w);
+    }
+
+    if (seeds.size === 0) {
+        console.log("❌ No seed-based wallets found. Create a new wallet or import a mnemonic first.");
+        return;
+    }
+
+    const choices = [...seeds.values()].map(w => {
+        const count = DECRYPTED_WALLETS.filter(d => d.seedId === w.seedId).length;
+        return { name: `Seed ${w.seedId} (${count} account${count === 1 ? '' : 's'}, e.g. ${w.name})`, value: w.seedId };
+    });
+    choices.push({ name: '🔙 Back', value: 'BACK' });
+
+    const choice = await inquirer.prompt([
+        { type: 'rawlist', name: 'seedId', message: 'Derive next account from which seed?', choices }
+    ]);
+    if (choice.seedId === 'BACK') return;
+
+    // The same phrase holds EVM and Solana accounts, numbered separately
+    const kind = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'chain',
+        message: 'Account type:',
+        choices: [
+            { name: `EVM (Ethereum, BSC, Polygon…)  ${accountPath('i')}`, value: 'evm' },
+            { name: `Solana                         ${solanaPath('i')}`, value: 'solana' },
+            { name: '🔙 Back', value: 'BACK' }
+        ]
+    }]);
+    if (kind.chain === 'BACK') return;
+    const chain = kind.chain === 'solana' ? 'solana' : null;
+
+    // Trashed accounts still own their index, so never hand it out twice
+    const trash = readJson(TRASH_FILE, []);
+    const index = nextAccountIndex([...DECRYPTED_WALLETS, ...loadVault().entries, ...trash], choice.seedId, chain);
+    const phrase = seeds.get(choice.seedId).wallet.mnemonic.phrase;
+    const wallet = chain === 'solana' ? SolanaWallet.fromPhrase(phrase, solanaPath(index)) : deriveAccount(phrase, index);
+
+    console.log(`✅ Derived ${wallet.path}: ${wallet.address}`);
+
+    const nameAnswer = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'name',
+            message: 'Give this account a name:',
+            default: `${seeds.get(choice.seedId).name}${chain === 'solana' && !seeds.get(choice.seedId).wallet.chain ? ' SOL' : ''} #${index}`
+        }
+    ]);
+
+    await saveEncryptedWallet(nameAnswer.name, wallet);
 }
 
 // --- Blockchain Actions ---
@@ -1104,7 +2303,7 @@ async function selectNetwork(includeBack = false) {
   
   // Move default network to top or just pre-select it? Inquirer rawlist doesn't support 'default' index easily
   // But we can inform the user
-  const defaultNet = USER_SETTINGS.defaultNetwork || 'ethereum';
+  const defaultNet = defaultNetworkKey();
   const defaultIndex = choices.findIndex(c => c.value === defaultNet);
   
   // Create a human readable prompt
@@ -1127,85 +2326,53 @@ async function checkBalance() {
   const wallets = await listWallets();
   if (wallets.length === 0) return;
 
-  const choices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.address }));
-  choices.push({ name: '🔙 Back', value: 'BACK' });
-
-  const walletChoice = await inquirer.prompt([
-    {
-      type: 'rawlist',
-      name: 'walletAddress',
-      message: 'Select wallet:',
-      choices: choices
-    }
-  ]);
-  
-  if (walletChoice.walletAddress === 'BACK') return;
+  const walletAddress = await pickWallet(wallets, 'Select wallet:');
+  if (walletAddress === 'BACK') return;
 
-  const selectedWalletData = wallets.find(w => w.address === walletChoice.walletAddress);
+  const selectedWalletData = wallets.find(w => w.address === walletAddress);
   
-  const network = await selectNetwork(true); // true = include back option
-  if (network === 'BACK') return;
-
-  const provider = new ethers.JsonRpcProvider(network.rpc);
-
+  // Solana wallets live on one cluster, so there is nothing to pick
+  let networkKey = solanaNetworkKey();
+  if (selectedWalletData.chain !== 'solana') {
+    const picked = await selectNetwork(true); // true = include back option
+    if (picked === 'BACK') return;
+    networkKey = networkKeyOf(picked);
+  }
+  const network = networkInfo(networkKey);
+  const contact = contactFor(selectedWalletData.address);
+  if (contact) console.log(`📇 In the address book as ${contact.label}${contact.note ? ` — ${contact.note}` : ''}`);
   console.log(`⏳ Fetching balances on ${network.name}...`);
   
-  const nativeBalanceWei = await provider.getBalance(selectedWalletData.address);
-  const nativeBalance = parseFloat(ethers.formatEther(nativeBalanceWei));
+  const nativeBalance = parseFloat(await getNativeBalance(selectedWalletData.address, networkKey));
   const nativePrice = await getPrice(network.coingeckoId);
   const nativeValue = (nativeBalance * nativePrice).toFixed(2);
   
   console.log(`
 💰 Native: ${nativeBalance} ${network.currency} (≈ ${nativeValue} ${USER_SETTINGS.currency})`);
 
-  // 2. Check Tokens (Predefined + Saved)
-  const networkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].rpc === network.rpc);
-  
-  // Build list of tokens to check
-  const tokensToCheck = [];
-  
-  // Add Predefined Tokens
-  if (PREDEFINED_TOKENS[networkKey]) {
-      tokensToCheck.push(...PREDEFINED_TOKENS[networkKey]);
-  }
-
-  // Add user saved tokens for this network
-  if (USER_SETTINGS.savedTokens) {
-      const saved = USER_SETTINGS.savedTokens.filter(t => t.network === networkKey);
-      tokensToCheck.push(...saved);
-  }
-
-  if (tokensToCheck.length > 0) {
+  // 2. Check Tokens (Predefined + Saved; on Solana, whatever the wallet holds)
+  if (tokensFor(networkKey).length > 0 || selectedWalletData.chain === 'solana') {
       console.log("\n💎 Checking Tokens:");
-      for (const token of tokensToCheck) {
-          try {
-              const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
-              const balanceWei = await contract.balanceOf(selectedWalletData.address);
-              // Use saved decimals if available, else fetch
-              const decimals = token.decimals || await contract.decimals();
-              const symbol = token.symbol || await contract.symbol();
-              
-              const bal = parseFloat(ethers.formatUnits(balanceWei, decimals));
-              
-              // Only fetch price if coingeckoId is known
-              let valStr = "";
-              if (token.coingeckoId) {
-                  const price = await getPrice(token.coingeckoId);
-                  const val = (bal * price).toFixed(2);
-                  valStr = `(≈ ${val} ${USER_SETTINGS.currency})`;
-              }
-
-              console.log(`   - ${bal} ${symbol} ${valStr}`);
-          } catch (e) {
-              // console.log(`   - ${token.symbol}: Error fetching balance`);
+      for (const t of await getTokenBalances(selectedWalletData.address, networkKey)) {
+          const bal = parseFloat(t.balance);
+          
+          // Only fetch price if coingeckoId is known
+          let valStr = "";
+          if (t.token.coingeckoId) {
+              const price = await getPrice(t.token.coingeckoId);
+              const val = (bal * price).toFixed(2);
+              valStr = `(≈ ${val} ${USER_SETTINGS.currency})`;
           }
+
+          console.log(`   - ${bal} ${t.symbol} ${valStr}`);
       }
   }
 }
 
 async function checkPortfolio() {
-    const wallets = await listWallets();
+    const wallets = (await listWallets()).filter(w => matchesFilter(w, WALLET_FILTER));
     if (wallets.length === 0) return;
+    if (describeFilter(WALLET_FILTER) !== 'none') console.log(`🔎 Wallet filter: ${describeFilter(WALLET_FILTER)}`);
 
     console.log(`\n📊 Generating Portfolio Overview (This may take a moment)...`);
     
@@ -1213,54 +2380,15 @@ async function checkPortfolio() {
     const report = [];
 
     // Fetch Prices Once
-    const prices = {};
-    for (const key of Object.keys(NETWORKS)) {
-        if (NETWORKS[key].coingeckoId) {
-            prices[key] = await getPrice(NETWORKS[key].coingeckoId);
-        }
-    }
+    const prices = await getNetworkPrices();
 
     // Iterate Wallets
     for (const w of wallets) {
-        let walletTotal = 0;
         process.stdout.write(`Scanning ${w.name}... `);
-        
-        // Scan Networks (Parallel)
-        const promises = Object.keys(NETWORKS).map(async (netKey) => {
-            try {
-                const provider = new ethers.JsonRpcProvider(NETWORKS[netKey].rpc);
-                const balWei = await provider.getBalance(w.address);
-                const bal = parseFloat(ethers.formatEther(balWei));
-                if (bal > 0) {
-                    const val = bal * (prices[netKey] || 0);
-                    walletTotal += val;
-                }
-                
-                // Scan Tokens
-                if (PREDEFINED_TOKENS[netKey]) {
-                    for (const t of PREDEFINED_TOKENS[netKey]) {
-                        try {
-                            const contract = new ethers.Contract(t.address, ERC20_ABI, provider);
-                            const tBalWei = await contract.balanceOf(w.address);
-                            if (tBalWei > 0n) {
-                                const tBal = parseFloat(ethers.formatUnits(tBalWei, t.decimals));
-                                if (t.coingeckoId) {
-                                    const tPrice = await getPrice(t.coingeckoId);
-                                    walletTotal += tBal * tPrice;
-                                }
-                            }
-                        } catch(e) {}
-                    }
-                }
-            } catch (e) {
-                // Ignore network errors
-            }
-        });
-
-        await Promise.all(promises);
+        const walletTotal = await getWalletValue(w.address, prices);
         
         grandTotal += walletTotal;
-        report.push({ name: w.name, address: w.address, value: walletTotal });
+        report.push({ name: w.watchOnly ? `${w.name} 👁` : w.name, address: w.address, value: walletTotal });
         console.log(`Done. ($${walletTotal.toFixed(2)})`);
     }
 
@@ -1269,48 +2397,142 @@ async function checkPortfolio() {
     console.log("==========================================");
     console.table(report.map(r => ({ 
         Wallet: r.name, 
-        Address: `${r.address.substring(0,6)}...${r.address.substring(38)}`, 
+        Address: `${r.address.substring(0,6)}...${r.address.slice(-4)}`, 
         Value: `${r.value.toFixed(2)} ${USER_SETTINGS.currency}` 
     })));
 }
 
+const gwei = wei => String(parseFloat(Number(ethers.formatUnits(wei, 'gwei')).toPrecision(4)));
+
+function formatFee(quote, network) {
+    const cost = `${Number(ethers.formatEther(quote.cost)).toPrecision(3)} ${network.currency}`;
+    const fiat = quote.costFiat > 0 ? ` (≈ ${quote.costFiat.toFixed(2)} ${USER_SETTINGS.currency})` : '';
+    const rate = quote.fee.gasPrice !== undefined
+        ? `${gwei(quote.fee.gasPrice)} gwei`
+        : `max ${gwei(quote.fee.maxFeePerGas)} / tip ${gwei(quote.fee.maxPriorityFeePerGas)} gwei`;
+    return `${cost}${fiat} · ${rate}`;
+}
+
+async function askCustomFee(prepared) {
+    // Re-ask instead of failing the whole transaction on a typo
+    const check = fields => { try { customFee(fields); return true; } catch (e) { return e.message; } };
+    if (!prepared.fees.eip1559) {
+        const answer = await inquirer.prompt([{ type: 'input', name: 'gasPrice', message: 'Gas price (gwei):',
+            default: ethers.formatUnits(prepared.fees.normal.gasPrice, 'gwei'), validate: v => check({ gasPrice: v }) }]);
+        return customFee(answer);
+    }
+    const normal = prepared.fees.normal;
+    const answer = await inquirer.prompt([
+        { type: 'input', name: 'maxFee', message: 'Max fee (gwei per gas):', default: ethers.formatUnits(normal.maxFeePerGas, 'gwei'),
+            validate: v => check({ maxFee: v, priorityFee: '0' }) },
+        { type: 'input', name: 'priorityFee', message: 'Priority fee / tip (gwei per gas):', default: ethers.formatUnits(normal.maxPriorityFeePerGas, 'gwei'),
+            validate: (v, answers) => check({ maxFee: answers.maxFee, priorityFee: v }) }
+    ]);
+    return customFee(answer);
+}
+
+/**
+ * Estimates `tx`, lets the user pick a fee (the dApp's own, when it sent one,
+ * comes first) and confirm the cost, then sends it. Returns the transaction
+ * response, or null when the user backs out.
+ */
+async function sendWithFeeChoice(signer, networkKey, tx, { action, suggested = null } = {}) {
+    const network = NETWORKS[networkKey];
+    console.log("⏳ Estimating gas and fees...");
+    const prepared = await prepareTransaction(signer, networkKey, tx);
+    const base = prepared.fees.eip1559 ? `, base fee ${gwei(prepared.fees.baseFee)} gwei` : ', legacy gas price';
+    console.log(`⛽ Gas limit ${prepared.tx.gasLimit}${base}`);
+
+    const choices = [];
+    if (suggested) choices.push({ name: `dApp's fee: ${formatFee(feeQuote(prepared, suggested), network)}`, value: 'suggested' });
+    for (const speed of FEE_SPEEDS) {
+        choices.push({ name: `${speed[0].toUpperCase()}${speed.slice(1)}: ${formatFee(feeQuote(prepared, speed), network)}`, value: speed });
+    }
+    choices.push({ name: 'Custom…', value: 'custom' });
+    choices.push({ name: '🔙 Cancel', value: 'BACK' });
+
+    const answer = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'speed',
+        message: 'Network fee:',
+        choices,
+        default: suggested ? 'suggested' : USER_SETTINGS.feeSpeed
+    }]);
+    if (answer.speed === 'BACK') return null;
+
+    const fee = answer.speed === 'custom' ? await askCustomFee(prepared) : answer.speed === 'suggested' ? suggested : answer.speed;
+    const quote = feeQuote(prepared, fee);
+    const fiat = quote.maxCostFiat > 0 ? ` (≈ ${quote.maxCostFiat.toFixed(2)} ${USER_SETTINGS.currency})` : '';
+    console.log(`💸 Fee ≈ ${formatFee(quote, network)}; at most ${ethers.formatEther(quote.maxCost)} ${network.currency}${fiat}`);
+
+    const confirm = await inquirer.prompt([{ type: 'rawlist', name: 'ok', message: `${action} on ${network.name}?`, choices: ['Yes', 'No'] }]);
+    if (confirm.ok === 'No') return null;
+    return sendPrepared(signer, prepared, fee);
+}
+
+// Solana has no fee market to pick from: show the fee (and the rent of a new
+// token account for the recipient), confirm, send. Null when the user backs out.
+async function sendSolanaWithConfirm(signer, networkKey, transfer, { action }) {
+    const network = networkInfo(networkKey);
+    console.log("⏳ Estimating fee...");
+    const quote = await solanaTransferQuote(signer.address, { networkKey, to: transfer.to, token: transfer.token });
+    const rent = quote.rent > 0n ? ` + ${ethers.formatUnits(quote.rent, 9)} SOL to open the recipient's token account` : '';
+    const fiat = quote.costFiat > 0 ? ` (≈ ${quote.costFiat.toFixed(2)} ${USER_SETTINGS.currency})` : '';
+    console.log(`💸 Fee ${ethers.formatUnits(quote.fee, 9)} SOL${rent}${fiat}`);
+
+    const confirm = await inquirer.prompt([{ type: 'rawlist', name: 'ok', message: `${action} on ${network.name}?`, choices: ['Yes', 'No'] }]);
+    if (confirm.ok === 'No') return null;
+    return sendAsset(signer, { networkKey, ...transfer });
+}
+
+// "0x… (📇 Alice)" for a contact, "0x… (name.eth)" when the address has a primary ENS name
+async function addressLabel(address) {
+    const contact = contactFor(address);
+    if (contact) return `${address} (📇 ${contact.label})`;
+    const name = await lookupEnsName(address);
+    return name ? `${address} (${name})` : address;
+}
+
+// A name can be re-pointed at any time: show where it leads now and ask
+async function confirmResolvedName({ ens, address }) {
+    console.log(`📛 ${ens} → ${address}`);
+    const answer = await inquirer.prompt([
+        { type: 'rawlist', name: 'ok', message: `Is ${address} the right address for ${ens}?`, choices: ['Yes', 'No'] }
+    ]);
+    return answer.ok === 'Yes';
+}
+
 async function transferAsset() {
-    const wallets = await listWallets();
+    const wallets = await signingWallets();
     if (wallets.length === 0) return;
 
     // 1. Select Sender
-    const wChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.address }));
-    wChoices.push({ name: '🔙 Back', value: 'BACK' });
+    const senderAddress = await pickWallet(wallets, 'Select Sender Wallet:');
+    if (senderAddress === 'BACK') return;
 
-    const senderChoice = await inquirer.prompt([
-        { type: 'rawlist', name: 'address', message: 'Select Sender Wallet:', choices: wChoices }
-    ]);
-    
-    if (senderChoice.address === 'BACK') return;
-
-    const senderWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === senderChoice.address); 
+    const senderWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === senderAddress);
     const signer = senderWalletData.wallet;
-
-    // 2. Select Network
-    const network = await selectNetwork(true);
-    if (network === 'BACK') return;
-    
-    const provider = new ethers.JsonRpcProvider(network.rpc);
-    const connectedSigner = signer.connect(provider);
+    const solana = isSolanaWallet(senderWalletData);
+
+    // 2. Select Network (a Solana wallet only has its cluster)
+    let networkKey = solanaNetworkKey();
+    if (!solana) {
+        const picked = await selectNetwork(true);
+        if (picked === 'BACK') return;
+        networkKey = networkKeyOf(picked);
+    }
+    const network = networkInfo(networkKey);
 
     // 3. Select Asset
-    const networkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].rpc === network.rpc);
     const assetOptions = [
         { name: `Native Coin (${network.currency})`, value: 'native' }
     ];
 
-    if (PREDEFINED_TOKENS[networkKey]) {
-        PREDEFINED_TOKENS[networkKey].forEach(t => {
-            assetOptions.push({ name: `${t.symbol} Token`, value: t });
-        });
-    }
+    tokensFor(networkKey).forEach(t => {
+        assetOptions.push({ name: `${t.symbol} Token`, value: t });
+    });
 
-    assetOptions.push({ name: 'Custom Token Address', value: 'custom' });
+    assetOptions.push({ name: solana ? 'Custom Token (mint address)' : 'Custom Token Address', value: 'custom' });
     assetOptions.push({ name: '🔙 Back', value: 'BACK' });
 
     const assetChoice = await inquirer.prompt([
@@ -1324,67 +2546,92 @@ async function transferAsset() {
 
     if (assetChoice.type === 'BACK') return;
 
-    let tokenAddress = null;
-    let decimals = 18;
+    let token = null;
     let symbol = network.currency;
 
-    if (assetChoice.type === 'native') {
-        // do nothing, default
-    } else if (assetChoice.type === 'custom') {
-        const addrInput = await inquirer.prompt([{ type: 'input', name: 'addr', message: 'Enter Token Contract Address:' }]);
-        tokenAddress = addrInput.addr;
-    } else {
-        // Predefined token object
-        tokenAddress = assetChoice.type.address;
-        decimals = assetChoice.type.decimals;
-        symbol = assetChoice.type.symbol;
-    }
-
-    if (tokenAddress && assetChoice.type === 'custom') {
+    if (assetChoice.type === 'custom') {
+        const addrInput = await inquirer.prompt([{ type: 'input', name: 'addr', message: solana ? 'Enter Token Mint Address:' : 'Enter Token Contract Address:' }]);
         try {
-            const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-            decimals = await contract.decimals();
-            symbol = await contract.symbol();
+            token = await fetchTokenInfo(networkKey, addrInput.addr);
         } catch (e) {
             console.log("❌ Invalid token address or network error.");
             return;
         }
+        symbol = token.symbol;
+    } else if (assetChoice.type !== 'native') {
+        // Predefined token object
+        token = assetChoice.type;
+        symbol = token.symbol;
     }
 
     // 4. Recipient
     let recipientAddress = null;
     
     // Check if we have other wallets to send to
-    const otherWallets = DECRYPTED_WALLETS.filter(w => w.wallet.address !== senderWalletData.wallet.address);
+    const otherWallets = (await listWallets()).filter(w => w.address !== senderWalletData.wallet.address && (w.chain === 'solana') === solana);
+    
+    const contacts = contactsFor(networkKey);
     
     let destType = 'manual';
-    if (otherWallets.length > 0) {
+    if (otherWallets.length > 0 || contacts.length > 0) {
         const destChoice = await inquirer.prompt([
             {
                 type: 'rawlist',
                 name: 'dest',
                 message: 'Send to:',
-                choices: ['Manual Address Entry', 'My Other Wallets']
+                choices: ['Manual Address Entry', ...(otherWallets.length > 0 ? ['My Other Wallets'] : []), ...(contacts.length > 0 ? ['Address Book'] : [])]
             }
         ]);
         destType = destChoice.dest;
     }
 
     if (destType === 'My Other Wallets') {
-        const targetChoice = await inquirer.prompt([
-            {
-                type: 'rawlist',
-                name: 'wallet',
-                message: 'Select Recipient Wallet:',
-                choices: otherWallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.wallet.address }))
+        recipientAddress = await pickWallet(otherWallets, 'Select Recipient Wallet:');
+        if (recipientAddress === 'BACK') return;
+    } else if (destType === 'Address Book') {
+        const pick = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'contact',
+            message: 'Select Contact:',
+            choices: [
+                ...contacts.map(c => ({ name: `📇 ${c.label} (${c.ens || c.address})${c.note ? ` — ${c.note}` : ''}`, value: c })),
+                { name: '🔙 Back', value: 'BACK' }
+            ]
+        }]);
+        if (pick.contact === 'BACK') return;
+        const contact = pick.contact;
+        recipientAddress = contact.address;
+        // The saved address is the one that was confirmed; say so if the name moved since
+        if (contact.ens) {
+            const current = await resolveEnsName(contact.ens).catch(() => null);
+            if (current && current !== contact.address) {
+                console.log(`⚠️  ${contact.ens} now points to ${current}, not the saved ${contact.address}.`);
+                const keep = await inquirer.prompt([
+                    { type: 'rawlist', name: 'ok', message: `Send to the saved address ${contact.address}?`, choices: ['Yes', 'No'] }
+                ]);
+                if (keep.ok === 'No') {
+                    console.log("❌ Transfer cancelled.");
+                    return;
+                }
             }
-        ]);
-        recipientAddress = targetChoice.wallet;
+        }
     } else {
         const manualInput = await inquirer.prompt([
-            { type: 'input', name: 'to', message: 'Recipient Address:' }
+            { type: 'input', name: 'to', message: solana ? 'Recipient Address:' : 'Recipient Address or ENS name:' }
         ]);
-        recipientAddress = manualInput.to;
+        let recipient;
+        try {
+            if (!solana && isEnsName(manualInput.to)) console.log(`⏳ Resolving ${manualInput.to.trim()}...`);
+            recipient = await resolveRecipient(manualInput.to, { chain: solana ? 'solana' : null });
+        } catch (e) {
+            console.log(`❌ ${e.message}`);
+            return;
+        }
+        recipientAddress = recipient.address;
+        if (recipient.ens && !await confirmResolvedName(recipient)) {
+            console.log("❌ Transfer cancelled.");
+            return;
+        }
     }
 
     // 5. Amount
@@ -1426,31 +2673,17 @@ async function transferAsset() {
     const details = { amount: finalAmount };
 
     console.log(`\n🚀 Preparing to send ${details.amount} ${symbol} on ${network.name}...`);
-    console.log(`   To: ${recipientAddress}`);
+    console.log(`   To: ${await addressLabel(recipientAddress)}`);
     
     try {
-        let txResponse;
-        if (tokenAddress) {
-            const contract = new ethers.Contract(tokenAddress, ERC20_ABI, connectedSigner);
-            const amountWei = ethers.parseUnits(details.amount, decimals);
-            txResponse = await contract.transfer(recipientAddress, amountWei);
-        } else {
-            // Native Transfer
-            const amountWei = ethers.parseEther(details.amount);
-            const txRequest = {
-                to: recipientAddress,
-                value: amountWei
-            };
-            
-            // Add Gas Buffer if configured
-            if (USER_SETTINGS.gasLimitBuffer && USER_SETTINGS.gasLimitBuffer !== '0') {
-                const estimatedGas = await connectedSigner.estimateGas(txRequest);
-                txRequest.gasLimit = estimatedGas + BigInt(USER_SETTINGS.gasLimitBuffer);
-            }
-
-            txResponse = await connectedSigner.sendTransaction(txRequest);
-        }
+        const action = `Send ${details.amount} ${symbol}`;
+        const txResponse = solana
+            ? await sendSolanaWithConfirm(signer, networkKey, { to: recipientAddress, amount: details.amount, token }, { action })
+            : await sendWithFeeChoice(signer, networkKey, transferRequest({ to: recipientAddress, amount: details.amount, token }), { action });
+        if (!txResponse) { console.log("❌ Transfer cancelled."); return; }
         console.log(`✅ Transaction Sent! Hash: ${txResponse.hash}`);
+        const link = explorerTxUrl(networkKey, txResponse.hash);
+        if (link) console.log(`🔗 ${link}`);
     } catch (e) {
         console.error(`❌ Transaction Failed: ${e.message}`);
     }
@@ -1460,41 +2693,32 @@ async function swapToken() {
     console.log("\n🔄 Swap Token for Native Currency (e.g. JMPT -> BNB)");
     console.log("⚠️  Requires Native Currency (Gas) to execute transaction.\n");
 
-    const wallets = await listWallets();
+    const wallets = await signingWallets({ evmOnly: true });
     if (wallets.length === 0) return;
 
     // 1. Select Wallet
-    const wChoices = wallets.map(w => ({ name: `${w.name} (${w.address})`, value: w.address }));
-    wChoices.push({ name: '🔙 Back', value: 'BACK' });
-
-    const walletChoice = await inquirer.prompt([{ type: 'rawlist', name: 'addr', message: 'Select Wallet:', choices: wChoices }]);
-    if (walletChoice.addr === 'BACK') return;
+    const addr = await pickWallet(wallets, 'Select Wallet:');
+    if (addr === 'BACK') return;
 
-    const selectedWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === walletChoice.addr);
+    const selectedWalletData = DECRYPTED_WALLETS.find(w => w.wallet.address === addr);
     const signer = selectedWalletData.wallet;
 
     // 2. Select Network
     const network = await selectNetwork(true);
     if (network === 'BACK') return;
-    const networkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].rpc === network.rpc);
+    const networkKey = networkKeyOf(network);
 
     if (!ROUTERS[networkKey]) {
         console.log("❌ Swap not supported on this network yet.");
         return;
     }
-
-    const provider = new ethers.JsonRpcProvider(network.rpc);
-    const connectedSigner = signer.connect(provider);
-
-    // 3. Select Token
-    const tokenOptions = [];
-    if (PREDEFINED_TOKENS[networkKey]) {
-        PREDEFINED_TOKENS[networkKey].forEach(t => tokenOptions.push({ name: t.symbol, value: t }));
-    }
-    // Add saved tokens
-    if (USER_SETTINGS.savedTokens) {
-        USER_SETTINGS.savedTokens.filter(t => t.network === networkKey).forEach(t => tokenOptions.push({ name: t.symbol, value: t }));
+    if (!WRAPPED_NATIVE[networkKey]) {
+        console.log("❌ WNative address missing for this chain.");
+        return;
     }
+
+    // 3. Select Token (Predefined + Saved)
+    const tokenOptions = tokensFor(networkKey).map(t => ({ name: t.symbol, value: t }));
     tokenOptions.push({ name: 'Custom Address', value: 'custom' });
     tokenOptions.push({ name: '🔙 Back', value: 'BACK' });
 
@@ -1505,12 +2729,7 @@ async function swapToken() {
     if (tokenChoice.token === 'custom') {
         const input = await inquirer.prompt([{ type: 'input', name: 'addr', message: 'Contract Address:' }]);
         try {
-            const c = new ethers.Contract(input.addr, ERC20_ABI, provider);
-            tokenData = { 
-                address: input.addr, 
-                symbol: await c.symbol(), 
-                decimals: await c.decimals() 
-            };
+            tokenData = await fetchTokenInfo(networkKey, input.addr);
         } catch(e) { console.log("Invalid Token"); return; }
     }
 
@@ -1550,22 +2769,18 @@ async function swapToken() {
     const amountIn = ethers.parseUnits(finalTokenAmount, tokenData.decimals);
 
     // 5. Check Approval
-    const routerAddress = ROUTERS[networkKey];
-    console.log(`DEBUG: Token Address: ${tokenData.address}`);
-    console.log(`DEBUG: Router Address: ${routerAddress}`);
-    
-    const tokenContract = new ethers.Contract(tokenData.address, ERC20_ABI, connectedSigner);
-    
+    const swap = { networkKey, token: tokenData, amountIn };
+
     console.log("⏳ Checking allowance...");
-    const allowance = await tokenContract.allowance(signer.address, routerAddress);
+    const { sufficient } = await routerAllowance(signer, swap);
     
-    if (allowance < amountIn) {
+    if (!sufficient) {
         const approvePrompt = await inquirer.prompt([{ type: 'rawlist', name: 'ok', message: `Router needs approval to spend your ${tokenData.symbol}. Approve?`, choices: ['Yes', 'No'] }]);
         if (approvePrompt.ok === 'No') return;
 
-        console.log("🚀 Approving (max)...");
         try {
-            const txApprove = await tokenContract.approve(routerAddress, ethers.MaxUint256);
+            const txApprove = await sendWithFeeChoice(signer, networkKey, approveRequest(swap), { action: `Approve the router to spend ${tokenData.symbol} (max)` });
+            if (!txApprove) return;
             console.log(`✅ Approved! Hash: ${txApprove.hash}`);
             console.log("⏳ Waiting for confirmation...");
             await txApprove.wait();
@@ -1579,43 +2794,13 @@ async function swapToken() {
         }
     }
 
-    // 6. Execute Swap
-    // Native wrapped address is needed for path.
-    // WETH/WBNB addresses
-    const WNATIVE = {
-        "ethereum": "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
-        "bsc": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
-        "polygon": "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
-        "celo": "0x471EcE3750Da237f93b8E339c536989b8978a438"
-    };
-
-    if (!WNATIVE[networkKey]) {
-        console.log("❌ WNative address missing for this chain.");
-        return;
-    }
-
-    const path = [tokenData.address, WNATIVE[networkKey]];
-    const routerContract = new ethers.Contract(routerAddress, ROUTER_ABI, connectedSigner);
-    
-    // Get Quote
-    // try {
-    //    const amounts = await routerContract.getAmountsOut(amountIn, path);
-    //    const amountOutMin = amounts[1] * 95n / 100n; // 5% slippage tolerance (simple)
-    // } catch ... (skip quote for speed/simplicity or use 0 min for now with caution)
-    
-    console.log("🚀 Swapping...");
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 mins
-    
+    // 6. Execute Swap (no minimum output: any amount of the native coin is accepted)
     try {
-        // Use SupportingFeeOnTransferTokens to be safe with all tokens
-        const txSwap = await routerContract.swapExactTokensForETHSupportingFeeOnTransferTokens(
-            amountIn,
-            0, // accept any amount of ETH (risky but simple for CLI). Ideally use getAmountsOut
-            path,
-            selectedWalletData.address,
-            deadline
-        );
+        const txSwap = await sendWithFeeChoice(signer, networkKey, await swapRequest(signer, swap), { action: `Swap ${finalTokenAmount} ${tokenData.symbol} for ${network.currency}` });
+        if (!txSwap) { console.log("❌ Swap cancelled."); return; }
         console.log(`✅ Swap Sent! Hash: ${txSwap.hash}`);
+        const link = explorerTxUrl(networkKey, txSwap.hash);
+        if (link) console.log(`🔗 ${link}`);
     } catch (e) {
         if (e.code === 'INSUFFICIENT_FUNDS') {
             console.log(`❌ Insufficient Native Currency to pay for gas.`);
@@ -1627,8 +2812,17 @@ async function swapToken() {
 
 // --- WalletConnect Logic ---
 
+function menuTitle() {
+  const tags = [];
+  if (PROFILE !== DEFAULT_PROFILE) tags.push(`[${PROFILE}]`);
+  if (isTestnetMode()) tags.push('[TESTNET]');
+  return [...tags, 'What would you like to do?'].join(' ');
+}
+
 async function main() {
   console.log("\n🚀 Multi-Wallet CLI Manager");
+  if (PROFILE !== DEFAULT_PROFILE) console.log(`👤 Profile: ${PROFILE} (${CONFIG_DIR})`);
+  if (isTestnetMode()) console.log("🧪 TESTNET MODE: only test networks are used (Settings → Testnet Mode to leave).");
   
   // Check for direct WC URI in args
   const wcArg = process.argv.find(arg => arg.startsWith('wc:'));
@@ -1640,16 +2834,27 @@ async function main() {
   }
   
   while (true) {
+    if (LOCK_PENDING) {
+        LOCK_PENDING = false;
+        lockSession();
+        IDLE_LOCKED = true;
+    }
+    AT_MENU = true;
+    armIdleLock();
+
     const answer = await inquirer.prompt([
       {
         type: 'rawlist',
         name: 'action',
-        message: 'What would you like to do?',
+        message: menuTitle(),
         choices: [
           'Create New Wallet',
           'Import Wallet',
+          'Derive Next Account',
           'List Wallets',
           'Rename Wallet',
+          'Organize Wallet (Tags, Group, Note, Archive)',
+          'Filter Wallets',
           'Show Private Key',
           'Delete Wallet',
           'Check Balance',
@@ -1658,14 +2863,24 @@ async function main() {
           'Swap Token -> Native',
           'Connect to dApp (WalletConnect)',
           'Settings',
+          'Change Vault Password',
           'Setup Vault Recovery',
           'Recover Vault from Backup',
+          'Switch Profile',
+          'Lock Now',
           new inquirer.Separator(),
           'Exit'
         ]
       }
     ]);
 
+    AT_MENU = false;
+    armIdleLock();
+    if (IDLE_LOCKED) {
+        IDLE_LOCKED = false;
+        console.log(`🔒 Session was locked after ${autoLockMinutes()} idle minute(s).`);
+    }
+
     try {
         switch (answer.action) {
           case 'Create New Wallet':
@@ -1676,15 +2891,26 @@ async function main() {
             await ensureWalletsUnlocked();
             await importWallet();
             break;
+          case 'Derive Next Account':
+            await ensureWalletsUnlocked();
+            await deriveNextAccount();
+            break;
           case 'List Wallets':
             await ensureWalletsUnlocked();
-            const w = await listWallets();
-            console.table(w.map(w => ({ Name: w.name, Address: w.address })));
+            await showWalletTable();
             break;
           case 'Rename Wallet':
             await ensureWalletsUnlocked();
             await renameWallet();
             break;
+          case 'Organize Wallet (Tags, Group, Note, Archive)':
+            await ensureWalletsUnlocked();
+            await organizeWallet();
+            break;
+          case 'Filter Wallets':
+            await ensureWalletsUnlocked();
+            await chooseWalletFilter();
+            break;
           case 'Show Private Key':
             await ensureWalletsUnlocked();
             await showPrivateKey();
@@ -1717,6 +2943,11 @@ async function main() {
             await changeSettings();
             break;
 
+          case 'Change Vault Password':
+            await ensureWalletsUnlocked();
+            await changePassword();
+            break;
+
           case 'Setup Vault Recovery': {
             const { method } = await inquirer.prompt([{
               type: 'rawlist',
@@ -1771,6 +3002,13 @@ async function main() {
             }
             break;
           }
+          case 'Switch Profile':
+            await chooseProfile();
+            break;
+          case 'Lock Now':
+            lockSession();
+            console.log("🔒 Locked. Keys and password were wiped from memory; the next action asks for the vault password.");
+            break;
           case 'Exit':
             console.log("Bye! 👋");
             process.exit(0);
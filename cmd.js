@@ -7,18 +7,60 @@
  *
  * When called WITHOUT a command it falls through to the interactive CLI.
  *
+ * Wallet selectors for list / balance / show-key:
+ *   --wallet <name> | --tag <tag> (repeatable) | --group <group> | --archived
+ *
+ * While `my-wallet agent` is running, list / balance / show-key / watch need no
+ * password for an encrypted vault; derive and passwd still do.
+ *
  * Global flags (accepted before OR after the command):
  *   --pass  <password>   Vault password (avoid shell history; use WALLET_PASS env var instead)
+ *   --profile <name>     Use a named profile (or MY_WALLET_PROFILE); see profiles.js
+ *   --home  <dir>        Data directory instead of ~/.my-cli-wallet (or MY_WALLET_HOME)
+ *   --keystore-pass <pw> Keystore file password for import/export-keystore (or KEYSTORE_PASS)
+ *   --bundle-pass <pw>   Bundle password for bundle export/import (or BUNDLE_PASS)
  *   --json               Output machine-readable JSON
  *   --yes                Skip confirmation prompts (where applicable)
  *   --help               Show help and exit
  *
  * Commands:
  *   list                            List all wallets
- *   balance  [--wallet <name>]      Show ETH balance(s)
+ *   balance  [--wallet <name>] [--network <key>]
+ *                                   Show native balance(s) (Ethereum, or the testnet default;
+ *                                   SOL for Solana wallets, --network solana for only those)
  *   create   --name <name>          Create a new wallet
+ *   create   --vanity <0xprefix> [--suffix <hex>] [--case-sensitive] [--threads <n>]
+ *                                   Search for a matching address on all cores and save it
  *   import   --name <name>          Import wallet (reads private-key from stdin or --pk flag)
+ *   watch    --address <addr|ens>   Add a watch-only wallet (listed and balance-checked, never signs)
+ *   derive   --wallet <name> [--chain evm|solana]
+ *                                   Derive the next HD account from that wallet's seed
+ *   passwd                          Change the vault password (re-encrypts vault + trash)
  *   show-key --wallet <name>        Print private key for wallet
+ *   receive  --wallet <name> [--network <key>] [--token <sym|0x…>] [--amount <n>]
+ *                                   Print a QR code of the address (or an EIP-681 / Solana Pay request)
+ *   export-keystore --wallet <name> [--out <file|dir>]
+ *                                   Write a keystore V3 JSON file under a new export password
+ *   import-keystore <file|dir>...   Import keystore V3 files (geth, Foundry, MetaMask)
+ *   bundle export [--out <file>]    Whole profile (wallets, trash, settings) in one encrypted file
+ *   bundle import <file> [--dry-run]
+ *                                   Merge a bundle into this profile (by address)
+ *   agent start [--ttl <minutes>]   Keep the vault unlocked in a background agent
+ *   agent stop | agent status       Lock and stop the agent / report whether it runs
+ *   profile list | create <name>    Show or add vault profiles
+ *   network list                    Built-in and custom networks
+ *   network add <key> --name <n> --rpc <url> (repeatable) --chain-id <id> --symbol <sym>
+ *           [--explorer <url>] [--coingecko <id>] [--wrapped <0x…>] [--router <0x…>]
+ *                                   Save a custom network (each RPC must report the chain ID)
+ *   network remove <key>            Delete a custom network
+ *   rpc status [--network <key>]    Probe every RPC endpoint: health, chain ID, latency, block
+ *   contacts list                   The profile's address book
+ *   contacts add <label> --address <addr|ens> [--network <key,…>] [--note <text>]
+ *                                   Save a contact (offered as a transfer recipient)
+ *   contacts remove <label|address> Delete a contact
+ *   testnet on | off | status       Switch every command and menu to test networks (and back)
+ *   testnet local [--rpc <url>]     Point the `local` network at an Anvil / Hardhat node
+ *   import-dev [--count <n>]        Import the dev node's pre-funded accounts (tagged "dev")
  *   recovery setup-shamir           Interactive Shamir SSS setup wizard
  *   recovery setup-guardian         Interactive guardian-key setup wizard
  *   recovery recover-shamir         Reconstruct vault password from shares
@@ -26,12 +68,11 @@
  */
 
 import { parseArgs }  from 'node:util';
+import fs             from 'node:fs';
 import { createInterface } from 'node:readline';
 import { spawnSync }  from 'node:child_process';
 import path           from 'node:path';
 import { fileURLToPath } from 'node:url';
-import fs             from 'node:fs';
-import os             from 'node:os';
 
 // ── Load ethers + recovery helpers (lazy, only when needed) ──────────────────
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -42,9 +83,39 @@ const { values: flags, positionals } = parseArgs({
     strict: false,
     options: {
         pass:    { type: 'string' },
+        profile: { type: 'string' },   // read by profiles.js; declared so its value is not a positional
+        home:    { type: 'string' },
+        'new-pass': { type: 'string' }, // passwd: new password (or WALLET_NEW_PASS / prompt)
         wallet:  { type: 'string' },
         name:    { type: 'string' },
         pk:      { type: 'string' },   // --pk <privateKey>
+        address: { type: 'string' },   // watch: address or ENS name
+        tag:     { type: 'string', multiple: true }, // --tag ops --tag cold (all must match)
+        group:   { type: 'string' },
+        archived: { type: 'boolean', default: false }, // include archived wallets in selections
+        ttl:     { type: 'string' },   // agent start: minutes before the agent locks
+        out:     { type: 'string' },   // export-keystore: file or directory
+        'keystore-pass': { type: 'string' }, // import/export-keystore: password of the keystore file(s)
+        'bundle-pass': { type: 'string' },   // bundle export/import
+        'dry-run': { type: 'boolean', default: false }, // bundle import: show the plan, write nothing
+        vanity:  { type: 'string' },   // create: address prefix, e.g. 0xdead
+        suffix:  { type: 'string' },   // create: address suffix
+        'case-sensitive': { type: 'boolean', default: false }, // create: match the checksum spelling
+        threads: { type: 'string' },   // create: worker threads (default: all cores)
+        network: { type: 'string' },   // balance, receive, rpc status: network key (see `network list`); contacts add: key,key,…
+        note:    { type: 'string' },   // contacts add: free text
+        token:   { type: 'string' },   // receive: token symbol or contract address
+        amount:  { type: 'string' },   // receive: amount in whole units
+        chain:   { type: 'string' },   // derive: evm | solana (default: the chain of --wallet)
+        rpc:     { type: 'string', multiple: true }, // network add: RPC URL(s), first one preferred
+        'chain-id': { type: 'string' },
+        symbol:  { type: 'string' },   // network add: native currency symbol
+        explorer: { type: 'string' },
+        coingecko: { type: 'string' }, // network add: CoinGecko id of the native coin (prices)
+        wrapped: { type: 'string' },   // network add: wrapped-native token (swaps)
+        router:  { type: 'string' },   // network add: Uniswap-V2 style router (swaps)
+        testnet: { type: 'boolean', default: false }, // network add: only listed in testnet mode
+        count:   { type: 'string' },   // import-dev: number of dev accounts
         shares:  { type: 'string' },   // --shares "hex1,hex2,..."
         threshold: { type: 'string' }, // --threshold 2
         total:   { type: 'string' },   // --total 3
@@ -60,9 +131,6 @@ const jsonMode     = flags.json;
 const skipConfirm  = flags.yes;
 const vaultPass    = flags.pass ?? process.env.WALLET_PASS ?? null;
 
-const CONFIG_DIR   = path.join(os.homedir(), '.my-cli-wallet');
-const WALLETS_FILE = path.join(CONFIG_DIR, 'my_wallets.json');
-
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function out(data) {
     if (jsonMode) {
@@ -83,34 +151,54 @@ function die(msg, code = 1) {
     process.exit(code);
 }
 
-function loadRaw() {
-    if (!fs.existsSync(WALLETS_FILE)) return [];
-    return JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
+async function loadTrash() {
+    const { peekJson } = await import('./storage.js');
+    const { TRASH_FILE } = await import('./vault.js');
+    return peekJson(TRASH_FILE, []);
 }
 
-async function unlockWallets(password) {
-    const { ethers } = await import('ethers');
-    const raw = loadRaw();
-    if (raw.length === 0) return [];
+// Without a password, an encrypted vault is served by a running `my-wallet agent`
+// (its wallets sign through the agent and never hold the key in this process).
+async function unlockWallets(password, { useAgent = true } = {}) {
+    const { loadVault } = await import('./vault.js');
+    const { openWallets } = await import('./core.js');
+    const vault = loadVault({
+        onMigrate: ({ from, to }) => console.error(`ℹ️  Vault upgraded from format v${from} to v${to}.`)
+    });
+    if (vault.entries.length === 0) return [];
+    if (!vault.encrypted) return openWallets(null);
 
-    if (raw[0].privateKey) {
-        // Unencrypted
-        return raw.map(w => ({ name: w.name, wallet: new ethers.Wallet(w.privateKey) }));
+    if (!password && useAgent) {
+        const { agentWallets } = await import('./agent.js');
+        const held = await agentWallets().catch(e => die(`Unlock agent: ${e.message}`));
+        if (held) return held;
+    }
+    if (!password) {
+        die(useAgent
+            ? 'Vault is encrypted. Provide --pass <password>, set WALLET_PASS env var, or run `my-wallet agent start`.'
+            : 'Vault is encrypted. Provide --pass <password> or set WALLET_PASS env var.');
     }
 
-    if (!password) die('Vault is encrypted. Provide --pass <password> or set WALLET_PASS env var.');
+    try {
+        return await openWallets(password);
+    } catch (e) {
+        die(e.message);
+    }
+}
 
-    const wallets = [];
-    for (const w of raw) {
-        let wallet;
-        try {
-            wallet = await ethers.Wallet.fromEncryptedJson(w.data, password);
-        } catch {
-            die('Wrong vault password.');
-        }
-        wallets.push({ name: w.name, wallet });
+// --wallet names one wallet (archived or not). Otherwise --tag (repeatable, all
+// must match) and --group narrow the set; archived wallets need --archived.
+async function selectWallets(wallets) {
+    if (flags.wallet) {
+        const found = wallets.filter(w => w.name === flags.wallet);
+        if (found.length === 0) die(`Wallet "${flags.wallet}" not found.`);
+        return found;
     }
-    return wallets;
+    const { matchesFilter, describeFilter } = await import('./metadata.js');
+    const filter = { tags: flags.tag || [], group: flags.group || null, archived: flags.archived };
+    const selected = wallets.filter(w => matchesFilter(w, filter));
+    if (selected.length === 0 && wallets.length > 0) die(`No wallets match (${describeFilter(filter)}).`);
+    return selected;
 }
 
 function stdinLine(prompt) {
@@ -129,6 +217,8 @@ Usage:
 
 Global flags:
   --pass <password>          Vault password (or set WALLET_PASS env var)
+  --profile <name>           Use a named vault profile (or MY_WALLET_PROFILE)
+  --home <dir>               Data directory, default ~/.my-cli-wallet (or MY_WALLET_HOME)
   --json                     Machine-readable JSON output
   --yes                      Skip confirmation prompts
   --help                     Show this help
@@ -138,9 +228,88 @@ Commands:
   list                       List all wallets
   balance                    Show ETH balance for all wallets
   balance  --wallet <name>   Show ETH balance for one wallet
+    [--network <key>]        … on another network (testnet mode: its default);
+                             Solana wallets show SOL (--network solana: only them)
   create   --name <name>     Create a new wallet (interactive encryption)
+  create   --vanity <0xhex>  Search for an address starting (and/or --suffix
+    [--suffix <hex>]         <hex> ending) with the pattern, on every CPU core
+    [--case-sensitive]       (--threads <n> to limit); --case-sensitive matches
+    [--threads <n>]          the checksum spelling. Saved without a seed phrase
   import   --name <name>     Import wallet via --pk or stdin
+  watch    --address <addr>  Add a watch-only wallet (address or ENS name, no key)
+           [--name <name>]
+  derive   --wallet <name>   Derive next HD account from the wallet's seed
+           [--name <name>]   Name for the new account
+           [--chain <c>]     evm or solana (default: the chain of --wallet)
+  passwd                     Change the vault password (prompts, or --new-pass /
+                             WALLET_NEW_PASS) and refresh stale recovery artefacts
   show-key --wallet <name>   Print private key
+  receive  --wallet <name>   Print the address as a QR code (no password needed);
+    [--network <key>]        with --network, --token <symbol|0x…> and/or
+    [--token <sym|0x…>]      --amount <n> the QR holds an EIP-681 payment
+    [--amount <n>]           request instead (Solana wallets: Solana Pay)
+  export-keystore            Write a wallet as a keystore V3 JSON file encrypted
+    --wallet <name>          with an export password (--keystore-pass /
+    [--out <file|dir>]       KEYSTORE_PASS, or prompted); private key only
+  import-keystore <path>...  Import keystore V3 files or directories of them
+    [--name <name>]          (geth, Foundry, MetaMask); --tag/--group label them
+
+Unlock agent (encrypted vaults):
+  agent start [--ttl <min>]  Unlock once and keep the wallets in a background
+                             agent (default 15 minutes); list, balance and
+                             show-key then need no --pass
+  agent status               Show whether an agent is running and when it locks
+  agent stop                 Lock now and stop the agent
+
+Moving a whole profile to another machine:
+  bundle export [--out <f>]  Wallets, trash and settings (incl. saved tokens,
+                             custom networks and contacts) in one file
+                             encrypted with a bundle password (--bundle-pass /
+                             BUNDLE_PASS, or prompted)
+  bundle import <file>       Merge into this profile: wallets already present (by
+    [--dry-run]              address) are skipped, name clashes are prompted
+                             (--yes renames automatically); --dry-run only
+                             prints what would change
+
+Networks (per profile; every network picker and --network uses them):
+  network list               Built-in and custom networks
+  network add <key>          Save a custom network; every --rpc (repeatable,
+    --name <name>            first one preferred) must report --chain-id.
+    --rpc <url>              --explorer adds transaction links, --coingecko
+    --chain-id <id>          prices the native coin, --wrapped and --router
+    --symbol <sym>           enable swaps; --testnet lists it in testnet mode
+    [--explorer <url>] [--coingecko <id>] [--wrapped <0x…>] [--router <0x…>]
+  network remove <key>       Delete a custom network
+  rpc status                 Probe every RPC endpoint of every network (or
+    [--network <key>]        just one): health, chain ID, latency, latest block
+
+Address book (per profile; offered as recipients in the menu and the TUI):
+  contacts list              Saved contacts
+  contacts add <label>       Save a contact: an EVM address, an ENS name
+    --address <addr|ens>     (resolved now) or a Solana address; --network
+    [--network <key,…>]      limits where it is offered (default: every
+    [--note <text>]          network of its chain)
+  contacts remove <label>    Delete a contact (by label or address)
+
+Testnets and a local dev chain:
+  testnet on | off           Use Sepolia, BSC testnet, Amoy, Alfajores and
+                             "local" instead of the main networks (menus,
+                             TUI and commands; prompts are marked 🧪)
+  testnet status             Show the mode and its networks
+  testnet local [--rpc <u>]  Point "local" at an Anvil / Hardhat node
+                             (default http://127.0.0.1:8545; must be running)
+  import-dev [--count <n>]   Import the node's pre-funded accounts #0..n-1
+                             (public test keys, tagged "dev")
+
+Profiles (separate wallets, settings, trash, recovery and backups):
+  profile list               List profiles (the active one is marked)
+  profile create <name>      Add a profile; use it with --profile <name>
+
+Selecting wallets (list, balance, show-key):
+  --wallet <name>            One wallet by name
+  --tag <tag>                Wallets carrying the tag (repeat: all must match)
+  --group <group>            Wallets in the group
+  --archived                 Include archived wallets (hidden otherwise)
 
 Recovery commands:
   recovery setup-shamir      Set up Shamir secret-sharing recovery
@@ -151,23 +320,37 @@ Recovery commands:
 Examples:
   WALLET_PASS=secret my-wallet list --json
   my-wallet show-key --wallet "Main" --pass secret
+  my-wallet derive --wallet "Main" --name "Main #1"
+  my-wallet watch --address treasury.eth --name "Treasury"
+  my-wallet create --vanity 0xdead --name "Dead"
+  my-wallet receive --wallet "Main" --network polygon --token USDT --amount 25
+  my-wallet balance --group Treasury --tag cold
+  my-wallet agent start --ttl 30 && my-wallet list
+  my-wallet --profile team list
+  my-wallet rpc status --network bsc
+  my-wallet contacts add Alice --address alice.eth --network ethereum,polygon
+  my-wallet network add arbitrum --name "Arbitrum One" --rpc https://arb1.arbitrum.io/rpc --chain-id 42161 --symbol ETH
+  my-wallet export-keystore --wallet "Main" --out ./main.json
+  KEYSTORE_PASS=x my-wallet import-keystore ~/.ethereum/keystore
+  my-wallet bundle export --out laptop.bundle.json
+  my-wallet bundle import laptop.bundle.json --dry-run
   my-wallet recovery setup-shamir
 `);
     process.exit(0);
 }
 
 // ── Recovery wizard helpers (interactive) ─────────────────────────────────────
-async function wizardSetupShamir() {
+async function wizardSetupShamir(knownPassword = null, defaults = { threshold: 2, totalShares: 3 }) {
     const { setupShamirRecovery } = await import('./recovery.js');
     const inquirer = (await import('inquirer')).default;
 
     const { threshold, total } = await inquirer.prompt([
-        { type: 'number', name: 'threshold', message: 'Minimum shares required to recover (threshold):', default: 2, validate: v => v >= 2 || 'Must be ≥ 2' },
-        { type: 'number', name: 'total',     message: 'Total shares to generate:', default: 3,
+        { type: 'number', name: 'threshold', message: 'Minimum shares required to recover (threshold):', default: defaults.threshold, validate: v => v >= 2 || 'Must be ≥ 2' },
+        { type: 'number', name: 'total',     message: 'Total shares to generate:', default: defaults.totalShares,
             validate: (v, { threshold }) => v >= threshold || `Must be ≥ threshold (${threshold})` }
     ]);
 
-    const { password } = await inquirer.prompt([
+    const { password } = knownPassword ? { password: knownPassword } : await inquirer.prompt([
         { type: 'password', name: 'password', message: 'Enter vault password to split:', mask: '*' }
     ]);
 
@@ -179,11 +362,11 @@ async function wizardSetupShamir() {
     console.log('✅  Recovery metadata saved.');
 }
 
-async function wizardSetupGuardian() {
+async function wizardSetupGuardian(knownPassword = null) {
     const { setupGuardianKey } = await import('./recovery.js');
     const inquirer = (await import('inquirer')).default;
 
-    const { password } = await inquirer.prompt([
+    const { password } = knownPassword ? { password: knownPassword } : await inquirer.prompt([
         { type: 'password', name: 'password', message: 'Enter vault password to wrap:', mask: '*' }
     ]);
 
@@ -230,6 +413,13 @@ async function wizardRecoverGuardian() {
 async function main() {
     if (flags.help || command === 'help') return showHelp();
 
+    let profiles;
+    try {
+        profiles = await import('./profiles.js');
+    } catch (e) {
+        die(e.message);
+    }
+
     // ── No command → fall through to interactive CLI ──────────────────────────
     if (!command) {
         // Re-exec cli.js with the original argv (skip ourselves)
@@ -243,22 +433,33 @@ async function main() {
 
     // ── list ──────────────────────────────────────────────────────────────────
     if (command === 'list') {
-        const wallets = await unlockWallets(vaultPass);
-        out(wallets.map(w => ({ name: w.name, address: w.wallet.address })));
+        const wallets = await selectWallets(await unlockWallets(vaultPass));
+        out(wallets.map(w => {
+            const row = { name: w.name, address: w.wallet.address, chain: w.wallet.chain || 'evm', seed: w.seedId ? `${w.seedId} #${w.index}` : null, watchOnly: w.watchOnly };
+            return jsonMode
+                ? { ...row, group: w.group || null, tags: w.tags || [], note: w.note || null, archived: !!w.archived, createdAt: w.createdAt || null }
+                : { ...row, group: w.group || '', tags: (w.tags || []).join(', ') };
+        }));
         return;
     }
 
     // ── balance ───────────────────────────────────────────────────────────────
     if (command === 'balance') {
-        const { ethers } = await import('ethers');
-        const provider = new ethers.JsonRpcProvider('https://eth.llamarpc.com');
-        const wallets  = await unlockWallets(vaultPass);
-        const target   = flags.wallet ? wallets.filter(w => w.name === flags.wallet) : wallets;
-        if (target.length === 0) die(`Wallet "${flags.wallet}" not found.`);
+        const { getNativeBalance, NETWORKS, isTestnetMode, defaultNetworkKey, networkInfo, isSolanaNetwork, isSolanaWallet, solanaNetworkKey, contactFor } = await import('./core.js');
+        const networkKey = flags.network || (isTestnetMode() ? defaultNetworkKey() : 'ethereum');
+        if (!networkInfo(networkKey)) die(`Unknown network "${networkKey}". Use one of: ${[...Object.keys(NETWORKS), solanaNetworkKey()].join(', ')}.`);
+        // Solana wallets are always read on the Solana cluster; --network solana lists only them
+        let target = await selectWallets(await unlockWallets(vaultPass));
+        if (isSolanaNetwork(networkKey)) target = target.filter(w => isSolanaWallet(w));
 
         const results = await Promise.all(target.map(async w => {
-            const bal = await provider.getBalance(w.wallet.address);
-            return { name: w.name, address: w.wallet.address, eth: ethers.formatEther(bal) };
+            const key = isSolanaWallet(w) ? solanaNetworkKey() : networkKey;
+            // The column is the coin's symbol ("eth" as before, "bnb", "tbnb", "sol"…)
+            const column = networkInfo(key).currency.toLowerCase();
+            const balance = await getNativeBalance(w.wallet.address, key);
+            // Address-book label, only for wallets that are also saved as a contact
+            const contact = contactFor(w.wallet.address);
+            return { name: w.name, address: w.wallet.address, ...(contact && { contact: contact.label }), network: key, [column]: balance, watchOnly: w.watchOnly };
         }));
         out(results);
         return;
@@ -266,16 +467,662 @@ async function main() {
 
     // ── show-key ──────────────────────────────────────────────────────────────
     if (command === 'show-key') {
+        if (!flags.wallet && !flags.tag && !flags.group) die('--wallet <name> (or --tag/--group) is required.');
+        const selected = await selectWallets(await unlockWallets(vaultPass));
+        const found    = selected.filter(w => !w.watchOnly);
+        if (found.length === 0) {
+            die(flags.wallet ? `Wallet "${flags.wallet}" is watch-only; it has no private key.`
+                             : 'Only watch-only wallets match; there is no private key to show.');
+        }
+        if (!skipConfirm) {
+            const which = found.length === 1 ? 'the private key' : `${found.length} private keys`;
+            const yn = await stdinLine(`⚠️  Are you sure you want to display ${which}? [y/N] `);
+            if (!yn.match(/^y(es)?$/i)) { console.log('Aborted.'); return; }
+        }
+        const { agentPrivateKey } = await import('./agent.js');
+        const keys = [];
+        for (const w of found) {
+            keys.push({ name: w.name, privateKey: w.wallet.privateKey ?? await agentPrivateKey(w.wallet.address) });
+        }
+        if (jsonMode) {
+            out(flags.wallet ? keys[0] : keys);
+        } else {
+            for (const k of keys) console.log(`Private key for ${k.name}:\n${k.privateKey}`);
+        }
+        return;
+    }
+
+    // ── receive ───────────────────────────────────────────────────────────────
+    if (command === 'receive') {
         if (!flags.wallet) die('--wallet <name> is required.');
+        const { loadVault } = await import('./vault.js');
+        const { qrString, paymentUri, solanaPayUri } = await import('./qr.js');
+        // Addresses are stored in the clear: no password needed
+        const entry = loadVault().entries.find(e => e.name === flags.wallet);
+        if (!entry) die(`Wallet "${flags.wallet}" not found.`);
+
+        let text = entry.address;
+        if (entry.chain === 'solana' && (flags.token || flags.amount)) {
+            // Solana Pay; the cluster follows testnet mode, so --network does not apply
+            const { solanaNetworkKey, findToken, fetchTokenInfo, isSolanaAddress } = await import('./core.js');
+            const networkKey = solanaNetworkKey();
+            let token = null;
+            if (flags.token) {
+                token = findToken(networkKey, flags.token);
+                if (!token && isSolanaAddress(flags.token)) {
+                    token = await fetchTokenInfo(networkKey, flags.token)
+                        .catch(() => die(`Could not read token mint ${flags.token}.`));
+                }
+                if (!token) die(`Unknown token "${flags.token}" on Solana. Use its mint address.`);
+            }
+            try {
+                text = solanaPayUri({ address: entry.address, token, amount: flags.amount });
+            } catch (e) {
+                die(e.message);
+            }
+        } else if (entry.chain !== 'solana' && (flags.network || flags.token || flags.amount)) {
+            const { NETWORKS, defaultNetworkKey, findToken, fetchTokenInfo } = await import('./core.js');
+            const { ethers } = await import('ethers');
+            const networkKey = flags.network || defaultNetworkKey();
+            const net = NETWORKS[networkKey];
+            if (!net) die(`Unknown network "${networkKey}". Use one of: ${Object.keys(NETWORKS).join(', ')}.`);
+
+            let token = null;
+            if (flags.token) {
+                token = findToken(networkKey, flags.token);
+                if (!token && ethers.isAddress(flags.token)) {
+                    token = await fetchTokenInfo(networkKey, flags.token)
+                        .catch(() => die(`Could not read token ${flags.token} on ${net.name}.`));
+                }
+                if (!token) die(`Unknown token "${flags.token}" on ${net.name}. Use its contract address.`);
+            }
+            try {
+                text = paymentUri({ address: entry.address, chainId: net.chainId, token, amount: flags.amount });
+            } catch (e) {
+                die(e.message);
+            }
+        }
+
+        if (jsonMode) {
+            out({ name: entry.name, address: entry.address, uri: text === entry.address ? null : text });
+        } else {
+            console.log(qrString(text));
+            console.log(`\n${entry.name}: ${entry.address}`);
+            if (text !== entry.address) console.log(text);
+        }
+        return;
+    }
+
+    // ── export-keystore ───────────────────────────────────────────────────────
+    if (command === 'export-keystore') {
+        if (!flags.wallet) die('--wallet <name> is required.');
+        const { encryptKeystore, writeKeystoreFile } = await import('./keystore.js');
+        const [found] = await selectWallets(await unlockWallets(vaultPass));
+        if (found.watchOnly) die(`Wallet "${found.name}" is watch-only; it has no private key.`);
+        if (found.wallet.chain === 'solana') die(`Wallet "${found.name}" is a Solana keypair; keystore files are Ethereum-only. Use show-key.`);
+
+        let exportPass = flags['keystore-pass'] ?? process.env.KEYSTORE_PASS ?? null;
+        if (!exportPass) {
+            const inquirer = (await import('inquirer')).default;
+            const answers = await inquirer.prompt([
+                { type: 'password', name: 'pw',      message: 'Export password for the keystore file:', mask: '*', validate: v => v.length > 0 || 'Password cannot be empty' },
+                { type: 'password', name: 'confirm', message: 'Confirm export password:', mask: '*' }
+            ]);
+            if (answers.pw !== answers.confirm) die('Passwords do not match.');
+            exportPass = answers.pw;
+        }
+
+        const { agentPrivateKey } = await import('./agent.js');
+        const privateKey = found.wallet.privateKey ?? await agentPrivateKey(found.wallet.address);
+        if (!jsonMode) console.error('⏳  Encrypting keystore…');
+        const json = await encryptKeystore({ privateKey }, exportPass);
+        let file;
+        try {
+            file = writeKeystoreFile(flags.out, json, { overwrite: skipConfirm });
+        } catch (e) {
+            die(`${e.message} Use --yes to overwrite.`);
+        }
+        out(jsonMode ? { name: found.name, address: found.wallet.address, file }
+                     : `✅  Exported "${found.name}" ${found.wallet.address} to ${file}`);
+        return;
+    }
+
+    // ── import-keystore ───────────────────────────────────────────────────────
+    if (command === 'import-keystore') {
+        const paths = positionals.slice(1);
+        if (paths.length === 0) die('Usage: my-wallet import-keystore <file|dir>... [--name <name>]');
+        const { findKeystoreFiles, decryptKeystore } = await import('./keystore.js');
+        const { seedMeta } = await import('./hd.js');
+        const { loadVault, saveVault, sealEntry } = await import('./vault.js');
+
+        const { found, skipped } = findKeystoreFiles(paths);
+        // Sealing new entries needs the vault password itself, not the agent
+        const wallets = await unlockWallets(vaultPass, { useAgent: false });
+        const vault   = loadVault();
+        if (vault.encrypted && !vaultPass) die('Vault is encrypted. Provide --pass <password> or set WALLET_PASS env var.');
+        const known   = new Set(wallets.map(w => w.wallet.address));
+        const todo    = found.filter(k => {
+            if (!known.has(k.address)) return true;
+            skipped.push({ file: k.file, reason: `${k.address} is already in the vault` });
+            return false;
+        });
+        if (todo.length === 0) {
+            if (!jsonMode) for (const s of skipped) console.error(`⚠️   Skipped ${s.file}: ${s.reason}`);
+            die('No keystore files to import.');
+        }
+
+        let keystorePass = flags['keystore-pass'] ?? process.env.KEYSTORE_PASS ?? null;
+        if (keystorePass === null) {
+            const inquirer = (await import('inquirer')).default;
+            keystorePass = (await inquirer.prompt([
+                { type: 'password', name: 'pw', message: 'Keystore password:', mask: '*' }
+            ])).pw;
+        }
+
+        const raw      = vault.entries;
+        const imported = [];
+        for (const k of todo) {
+            if (!jsonMode) console.error(`⏳  Decrypting ${path.basename(k.file)}…`);
+            let wallet;
+            try {
+                wallet = await decryptKeystore(k.json, keystorePass);
+            } catch (e) {
+                skipped.push({ file: k.file, reason: e.message });
+                continue;
+            }
+            const name = todo.length === 1 && flags.name ? flags.name : `Imported ${wallets.length + imported.length + 1}`;
+            const meta = { name, ...seedMeta(wallet), createdAt: new Date().toISOString() };
+            if (flags.tag) meta.tags = flags.tag.map(t => t.toLowerCase());
+            if (flags.group) meta.group = flags.group;
+
+            if (!vault.encrypted) {
+                const entry = { name, address: wallet.address, privateKey: wallet.privateKey, ...meta };
+                if (wallet.mnemonic) Object.assign(entry, { mnemonic: wallet.mnemonic.phrase, path: wallet.path });
+                raw.push(entry);
+            } else {
+                raw.push(await sealEntry(wallet, meta, vaultPass));
+            }
+            imported.push({ name, address: wallet.address, file: k.file });
+        }
+        if (imported.length > 0) saveVault(raw);
+
+        if (jsonMode) {
+            out({ imported, skipped });
+        } else {
+            for (const w of imported) console.log(`✅  Imported "${w.name}" ${w.address}`);
+            for (const s of skipped) console.log(`⚠️   Skipped ${s.file}: ${s.reason}`);
+        }
+        if (imported.length === 0) process.exit(1);
+        return;
+    }
+
+    // ── bundle ────────────────────────────────────────────────────────────────
+    if (command === 'bundle') {
+        const { exportBundle, openBundle, planBundleImport, applyBundleImport, writeBundleFile } = await import('./bundle.js');
+        const { loadVault } = await import('./vault.js');
+        const inquirer = (await import('inquirer')).default;
+        const bundlePassword = async (confirm) => {
+            const given = flags['bundle-pass'] ?? process.env.BUNDLE_PASS ?? null;
+            if (given) return given;
+            const answers = await inquirer.prompt([
+                { type: 'password', name: 'pw', message: 'Bundle password:', mask: '*', validate: v => v.length > 0 || 'Password cannot be empty' },
+                ...(confirm ? [{ type: 'password', name: 'confirm', message: 'Confirm bundle password:', mask: '*' }] : [])
+            ]);
+            if (confirm && answers.pw !== answers.confirm) die('Passwords do not match.');
+            return answers.pw;
+        };
+
+        if (subcommand === 'export') {
+            const { PROFILE } = profiles;
+            // Seed phrases are needed too, which the agent does not hand out
+            const wallets = await unlockWallets(vaultPass, { useAgent: false });
+            if (wallets.length === 0) die('The vault is empty; nothing to export.');
+            const file = flags.out || `my-wallet-${PROFILE}-${new Date().toISOString().slice(0, 10)}.bundle.json`;
+            const password = await bundlePassword(true);
+            if (!jsonMode) console.error('⏳  Encrypting bundle…');
+            try {
+                const { doc, counts } = await exportBundle(vaultPass, password);
+                writeBundleFile(file, doc, { overwrite: skipConfirm });
+                out(jsonMode ? { file, ...counts }
+                             : `✅  Bundle written to ${file}: ${counts.wallets} wallets, ${counts.trash} in trash, ${counts.tokens} saved tokens, ${counts.networks} custom networks, ${counts.contacts} contacts.`);
+                if (!jsonMode && counts.trashSkipped > 0) {
+                    console.log(`⚠️   ${counts.trashSkipped} trashed wallet(s) did not open with the current password and were left out.`);
+                }
+            } catch (e) {
+                die(e.message.endsWith('already exists.') ? `${e.message} Use --yes to overwrite.` : e.message);
+            }
+            return;
+        }
+
+        if (subcommand === 'import') {
+            const file = positionals[2];
+            if (!file) die('Usage: my-wallet bundle import <file> [--dry-run]');
+            let doc;
+            try {
+                doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (e) {
+                die(e.code === 'ENOENT' ? `File not found: ${file}` : `Cannot read ${file}: ${e.message}`);
+            }
+            const dryRun = flags['dry-run'];
+            const vault = loadVault();
+            if (!dryRun && vault.encrypted) {
+                if (!vaultPass) die('Vault is encrypted. Provide --pass <password> or set WALLET_PASS env var.');
+                await unlockWallets(vaultPass, { useAgent: false }); // dies on a wrong password
+            }
+
+            const password = await bundlePassword(false);
+            if (!jsonMode) console.error('⏳  Decrypting bundle…');
+            let payload;
+            try {
+                payload = await openBundle(doc, password);
+            } catch (e) {
+                die(e.message);
+            }
+            const plan = planBundleImport(payload);
+
+            // Name clashes: ask, unless running unattended
+            const interactive = process.stdin.isTTY && !skipConfirm && !jsonMode && !dryRun;
+            for (const item of plan.wallets.filter(i => i.action === 'rename')) {
+                if (!interactive) continue;
+                const { choice } = await inquirer.prompt([{
+                    type: 'rawlist',
+                    name: 'choice',
+                    message: `A wallet named "${item.entry.name}" already exists (${item.entry.address} is new):`,
+                    choices: [
+                        { name: `Import as "${item.name}"`, value: 'suggested' },
+                        { name: 'Choose another name', value: 'custom' },
+                        { name: 'Skip this wallet', value: 'skip' }
+                    ]
+                }]);
+                if (choice === 'skip') item.action = 'skip';
+                if (choice === 'custom') {
+                    const { name } = await inquirer.prompt([{
+                        type: 'input',
+                        name: 'name',
+                        message: 'Name:',
+                        validate: v => (v.trim() && !plan.taken.has(v.trim())) || 'Name is empty or already used'
+                    }]);
+                    plan.taken.add(name.trim());
+                    item.name = name.trim();
+                }
+            }
+
+            const rows = plan.wallets.map(i => ({
+                name: i.name,
+                address: i.entry.address,
+                action: i.action === 'rename' ? `add (renamed from "${i.entry.name}")` : i.action === 'duplicate' ? 'skip (already in vault)' : i.action === 'upgrade' ? 'add key to watch-only' : i.action
+            }));
+            const summary = {
+                dryRun,
+                wallets: rows,
+                trash: plan.trash.length,
+                tokens: plan.tokens.length,
+                networks: plan.networks.length,
+                contacts: plan.contacts.length,
+                settings: plan.settings === 'apply' ? 'applied (profile had none)' : 'kept (only saved tokens, networks and contacts are merged)'
+            };
+            if (jsonMode && dryRun) return out(summary);
+            if (!jsonMode) {
+                console.table(rows);
+                console.log(`   Trash: ${summary.trash} to add · Saved tokens: ${summary.tokens} new · Networks: ${summary.networks} new · Contacts: ${summary.contacts} new · Settings: ${summary.settings}`);
+            }
+            if (dryRun) {
+                if (!jsonMode) console.log('ℹ️  Dry run: nothing was written.');
+                return;
+            }
+
+            const result = await applyBundleImport(plan, vaultPass);
+            out(jsonMode ? { ...summary, result }
+                         : `✅  Imported ${result.added} wallet(s), upgraded ${result.upgraded}, skipped ${result.skipped}; ${result.trash} to trash, ${result.tokens} saved token(s), ${result.networks} network(s), ${result.contacts} contact(s).`);
+            return;
+        }
+
+        die('Specify a bundle sub-command: export or import <file>.');
+    }
+
+    // ── watch ─────────────────────────────────────────────────────────────────
+    if (command === 'watch') {
+        if (!flags.address) die('--address <0x… or ENS name> is required.');
+        const { loadVault, saveVault } = await import('./vault.js');
         const wallets = await unlockWallets(vaultPass);
+
+        const { resolveRecipient, lookupEnsName } = await import('./core.js');
+        let address;
+        let ens;
+        try {
+            ({ address, ens } = await resolveRecipient(flags.address));
+        } catch (e) {
+            die(e.message);
+        }
+        ens = ens || await lookupEnsName(address);
+        const existing = wallets.find(w => w.wallet.address === address);
+        if (existing) die(`${address} is already in the vault as "${existing.name}".`);
+
+        const name  = flags.name || ens || `Watch ${wallets.length + 1}`;
+        const entry = { name, address, watchOnly: true };
+        if (ens) entry.ens = ens;
+        if (flags.tag) entry.tags = flags.tag.map(t => t.toLowerCase());
+        if (flags.group) entry.group = flags.group;
+        entry.createdAt = new Date().toISOString();
+        const vault = loadVault();
+        saveVault([...vault.entries, entry]);
+
+        out(jsonMode ? { name, address, ens: ens || null, watchOnly: true }
+                     : `👁  Watching "${name}" ${address}${ens ? ` (${ens})` : ''}`);
+        return;
+    }
+
+    // ── derive ────────────────────────────────────────────────────────────────
+    if (command === 'derive') {
+        if (!flags.wallet) die('--wallet <name> is required (any account of the seed).');
+        const { seedMeta, deriveAccount, nextAccountIndex, solanaPath } = await import('./hd.js');
+        const { SolanaWallet } = await import('./solana.js');
+        const { loadVault, saveVault, sealEntry } = await import('./vault.js');
+        // The seed phrase and re-sealing both need the password itself
+        const wallets = await unlockWallets(vaultPass, { useAgent: false });
         const found   = wallets.find(w => w.name === flags.wallet);
         if (!found) die(`Wallet "${flags.wallet}" not found.`);
-        if (!skipConfirm) {
-            const yn = await stdinLine('⚠️  Are you sure you want to display the private key? [y/N] ');
-            if (!yn.match(/^y(es)?$/i)) { console.log('Aborted.'); return; }
+        if (!found.wallet.mnemonic) die(`Wallet "${found.name}" was not created from a seed phrase.`);
+
+        const chain = (flags.chain || found.wallet.chain || 'evm').toLowerCase();
+        if (!['evm', 'solana'].includes(chain)) die(`Unknown chain "${flags.chain}". Use evm or solana.`);
+
+        const { seedId } = seedMeta(found.wallet);
+        const vault = loadVault();
+        const raw   = vault.entries;
+        const known = [...wallets, ...raw, ...(await loadTrash())];
+        const phrase = found.wallet.mnemonic.phrase;
+        const index = nextAccountIndex(known, seedId, chain === 'solana' ? 'solana' : null);
+        const wallet = chain === 'solana' ? SolanaWallet.fromPhrase(phrase, solanaPath(index)) : deriveAccount(phrase, index);
+        const name   = flags.name || `${found.name}${chain === 'solana' && !found.wallet.chain ? ' SOL' : ''} #${index}`;
+        const createdAt = new Date().toISOString();
+
+        if (!vault.encrypted) {
+            const entry = { name, address: wallet.address, privateKey: wallet.privateKey, mnemonic: wallet.mnemonic.phrase, path: wallet.path, seedId, index, createdAt };
+            raw.push(wallet.chain ? { ...entry, chain: wallet.chain } : entry);
+        } else {
+            raw.push(await sealEntry(wallet, { name, seedId, index, createdAt }, vaultPass));
+        }
+        saveVault(raw);
+
+        out(jsonMode ? { name, address: wallet.address, path: wallet.path, seed: seedId }
+                     : `✅  Derived "${name}" ${wallet.address} (${wallet.path}, seed ${seedId})`);
+        return;
+    }
+
+    // ── passwd ────────────────────────────────────────────────────────────────
+    if (command === 'passwd') {
+        const { changeVaultPassword } = await import('./vault.js');
+        const { recoveryStatus }      = await import('./recovery.js');
+        const inquirer = (await import('inquirer')).default;
+
+        const current = vaultPass ?? (await inquirer.prompt([
+            { type: 'password', name: 'pw', message: 'Current vault password:', mask: '*' }
+        ])).pw;
+
+        let next = flags['new-pass'] ?? process.env.WALLET_NEW_PASS ?? null;
+        if (!next) {
+            const answers = await inquirer.prompt([
+                { type: 'password', name: 'pw',      message: 'New vault password:', mask: '*', validate: v => v.length > 0 || 'Password cannot be empty' },
+                { type: 'password', name: 'confirm', message: 'Confirm new password:', mask: '*' }
+            ]);
+            if (answers.pw !== answers.confirm) die('Passwords do not match.');
+            next = answers.pw;
+        }
+
+        const result = await changeVaultPassword(current, next, {
+            onProgress: jsonMode ? undefined : (name) => console.error(`   🔒 ${name}`)
+        });
+
+        const status = recoveryStatus();
+        const stale  = [
+            ...(status.guardianStale ? ['guardian'] : []),
+            ...(status.shamirStale   ? ['shamir']   : [])
+        ];
+
+        if (jsonMode) {
+            out({ ...result, staleRecovery: stale });
+            return;
+        }
+
+        out(`✅  Vault password changed (${result.wallets} wallets, ${result.trashed} in trash).`);
+        if (result.oldCopiesRemoved > 0) {
+            console.log(`🧹  Deleted ${result.oldCopiesRemoved} older copies of the vault and trash that the old password still opened.`);
+        }
+        if (result.trashSkipped > 0) {
+            console.log(`⚠️   ${result.trashSkipped} trashed wallet(s) did not open with the current password and were left unchanged.`);
+        }
+        if (stale.length === 0) return;
+
+        console.log('\n⚠️   Recovery artefacts still recover the OLD password: ' + stale.join(', '));
+        console.log('    Ask guardians to destroy old shares / phrases once replaced.');
+        if (skipConfirm) {
+            console.log('    Re-run: my-wallet recovery setup-guardian / setup-shamir');
+            return;
+        }
+        if (status.guardianStale) {
+            const yn = await stdinLine('Generate a new guardian phrase now? [Y/n] ');
+            if (!yn.match(/^n(o)?$/i)) await wizardSetupGuardian(next);
+        }
+        if (status.shamirStale) {
+            const yn = await stdinLine('Generate new Shamir shares now? [Y/n] ');
+            if (!yn.match(/^n(o)?$/i)) await wizardSetupShamir(next, status.shamirMeta);
+        }
+        return;
+    }
+
+    // ── agent ─────────────────────────────────────────────────────────────────
+    if (command === 'agent') {
+        const { startAgent, stopAgent, agentStatus, DEFAULT_TTL_MINUTES, MAX_TTL_MINUTES } = await import('./agent.js');
+        try {
+            switch (subcommand) {
+                case 'start': {
+                    const { loadVault } = await import('./vault.js');
+                    if (!loadVault().encrypted) die('The vault is not encrypted; commands already run without a password.');
+                    const ttl = flags.ttl !== undefined ? Number(flags.ttl) : DEFAULT_TTL_MINUTES;
+                    if (!(ttl > 0)) die('--ttl must be a positive number of minutes.');
+                    if (ttl > MAX_TTL_MINUTES) die(`--ttl can be at most ${MAX_TTL_MINUTES} minutes.`);
+                    const inquirer = (await import('inquirer')).default;
+                    const password = vaultPass ?? (await inquirer.prompt([
+                        { type: 'password', name: 'pw', message: 'Vault password:', mask: '*' }
+                    ])).pw;
+                    const { pid, expiresAt } = await startAgent(password, { ttlMinutes: ttl });
+                    out(jsonMode ? { running: true, pid, expiresAt }
+                                 : `🔓  Agent started (pid ${pid}); wallets stay unlocked until ${new Date(expiresAt).toLocaleTimeString()}.`);
+                    break;
+                }
+                case 'stop': {
+                    const stopped = await stopAgent();
+                    out(jsonMode ? { stopped } : (stopped ? '🔒  Agent stopped; wallets locked.' : 'No agent is running.'));
+                    break;
+                }
+                case 'status': {
+                    const status = await agentStatus();
+                    if (jsonMode) out(status ? { running: true, ...status } : { running: false });
+                    else out(status
+                        ? `🔓  Agent running (pid ${status.pid}), ${status.wallets} wallets, locks at ${new Date(status.expiresAt).toLocaleTimeString()}.`
+                        : '🔒  No agent running.');
+                    break;
+                }
+                default: die('Specify an agent sub-command: start, stop or status.');
+            }
+        } catch (e) {
+            die(e.message);
+        }
+        return;
+    }
+
+    // ── profile ───────────────────────────────────────────────────────────────
+    if (command === 'profile') {
+        const { PROFILE, WALLET_HOME, listProfiles, createProfile, profileDir } = profiles;
+        if (subcommand === 'list') {
+            const rows = listProfiles().map(name => ({ name, active: name === PROFILE, dir: profileDir(name) }));
+            if (jsonMode) out({ home: WALLET_HOME, profiles: rows });
+            else for (const r of rows) console.log(`${r.active ? '▶' : ' '} ${r.name.padEnd(16)} ${r.dir}`);
+        } else if (subcommand === 'create') {
+            const name = positionals[2] || flags.name;
+            if (!name) die('Usage: my-wallet profile create <name>');
+            try {
+                const dir = createProfile(name);
+                out(jsonMode ? { name, dir } : `✅  Profile "${name}" created in ${dir}. Use it with --profile ${name}.`);
+            } catch (e) {
+                die(e.message);
+            }
+        } else {
+            die('Specify a profile sub-command: list or create <name>.');
+        }
+        return;
+    }
+
+    // ── network ───────────────────────────────────────────────────────────────
+    if (command === 'network') {
+        const { NETWORKS, addNetwork, removeNetwork } = await import('./core.js');
+        // No cloud backup here: its progress lines would end up in --json output
+        try {
+            if (subcommand === 'list') {
+                const rows = Object.entries(NETWORKS).map(([key, n]) => ({
+                    key, name: n.name, chainId: n.chainId, symbol: n.currency,
+                    rpc: (n.rpcUrls || [n.rpc]).join(' '), explorer: n.explorer || null, custom: !!n.custom, testnet: !!n.testnet
+                }));
+                out(rows);
+            } else if (subcommand === 'add') {
+                const key = positionals[2];
+                if (!key) die('Usage: my-wallet network add <key> --name <name> --rpc <url> --chain-id <id> --symbol <sym>');
+                if (!jsonMode) console.error('⏳  Checking the RPC endpoint(s)…');
+                const net = await addNetwork({
+                    key,
+                    name: flags.name,
+                    rpcUrls: flags.rpc || [],
+                    chainId: flags['chain-id'],
+                    currency: flags.symbol,
+                    explorer: flags.explorer,
+                    coingeckoId: flags.coingecko,
+                    wrappedNative: flags.wrapped,
+                    router: flags.router,
+                    testnet: flags.testnet
+                }, { backup: false });
+                out(jsonMode ? net : `✅  Added ${net.name} (chain ${net.chainId}) as "${net.key}"${net.testnet ? ' (testnet mode)' : ''}.`);
+            } else if (subcommand === 'remove') {
+                const key = positionals[2];
+                if (!key) die('Usage: my-wallet network remove <key>');
+                const removed = await removeNetwork(key, { backup: false });
+                out(jsonMode ? { removed } : `🗑️  Removed ${removed.name} ("${removed.key}").`);
+            } else {
+                die('Specify a network sub-command: list, add <key> or remove <key>.');
+            }
+        } catch (e) {
+            die(e.message);
+        }
+        return;
+    }
+
+    // ── contacts ──────────────────────────────────────────────────────────────
+    if (command === 'contacts') {
+        const { USER_SETTINGS, addContact, removeContact } = await import('./core.js');
+        // No cloud backup here: its progress lines would end up in --json output
+        try {
+            if (subcommand === 'list') {
+                out((USER_SETTINGS.contacts || []).map(c => ({
+                    label: c.label, address: c.address, chain: c.chain || 'evm', ens: c.ens || null,
+                    networks: jsonMode ? (c.networks || null) : (c.networks || ['any']).join(' '), note: c.note || null
+                })));
+            } else if (subcommand === 'add') {
+                const label = positionals[2];
+                if (!label || !flags.address) die('Usage: my-wallet contacts add <label> --address <0x…|ENS name|Solana address> [--network <key,…>] [--note <text>]');
+                const contact = await addContact({
+                    label,
+                    address: flags.address,
+                    networks: flags.network ? flags.network.split(',') : [],
+                    note: flags.note
+                }, { backup: false });
+                out(jsonMode ? contact : `📇  Saved "${contact.label}" → ${contact.address}${contact.ens ? ` (${contact.ens})` : ''}${contact.networks ? ` on ${contact.networks.join(', ')}` : ''}.`);
+            } else if (subcommand === 'remove') {
+                const target = positionals[2];
+                if (!target) die('Usage: my-wallet contacts remove <label|address>');
+                const removed = await removeContact(target, { backup: false });
+                out(jsonMode ? { removed } : `🗑️  Removed "${removed.label}" (${removed.address}).`);
+            } else {
+                die('Specify a contacts sub-command: list, add <label> or remove <label>.');
+            }
+        } catch (e) {
+            die(e.message);
+        }
+        return;
+    }
+
+    // ── testnet ───────────────────────────────────────────────────────────────
+    if (command === 'testnet') {
+        const { NETWORKS, isTestnetMode, setTestnetMode, configureLocalDev, LOCAL_DEV_DEFAULTS, USER_SETTINGS } = await import('./core.js');
+        try {
+            if (subcommand === 'on' || subcommand === 'off') {
+                await setTestnetMode(subcommand === 'on', { backup: false });
+            } else if (subcommand === 'local') {
+                const localDev = await configureLocalDev(flags.rpc?.[0] || (USER_SETTINGS.localDev || LOCAL_DEV_DEFAULTS).rpc, { backup: false });
+                out(jsonMode ? localDev : `✅  "local" → ${localDev.rpc} (chain ${localDev.chainId}).`);
+                return;
+            } else if (subcommand !== 'status') {
+                die('Specify a testnet sub-command: on, off, status or local [--rpc <url>].');
+            }
+        } catch (e) {
+            die(e.message);
         }
-        out(jsonMode ? { name: found.name, privateKey: found.wallet.privateKey }
-                     : `Private key for ${found.name}:\n${found.wallet.privateKey}`);
+        const networks = Object.keys(NETWORKS);
+        out(jsonMode ? { testnet: isTestnetMode(), networks }
+                     : `${isTestnetMode() ? '🧪  Testnet mode ON' : '🌐  Testnet mode off'}: ${networks.join(', ')}`);
+        return;
+    }
+
+    // ── import-dev ────────────────────────────────────────────────────────────
+    if (command === 'import-dev') {
+        const { devAccounts } = await import('./core.js');
+        const { loadVault, saveVault, sealEntry } = await import('./vault.js');
+        const count = flags.count !== undefined ? Number(flags.count) : 1;
+        if (!Number.isInteger(count) || count < 1 || count > 20) die('--count must be a whole number from 1 to 20.');
+        const wallets = await unlockWallets(vaultPass, { useAgent: false });
+        const vault = loadVault();
+        const raw = vault.entries;
+
+        const known = new Set([...wallets.map(w => w.wallet.address), ...raw.map(r => r.address)]);
+        const added = [];
+        for (const { index, wallet } of devAccounts(count)) {
+            if (known.has(wallet.address)) continue;
+            const meta = { name: `Dev #${index}`, tags: ['dev'], createdAt: new Date().toISOString() };
+            raw.push(vault.encrypted ? await sealEntry(wallet, meta, vaultPass)
+                                     : { ...meta, address: wallet.address, privateKey: wallet.privateKey });
+            added.push({ name: meta.name, address: wallet.address });
+        }
+        if (added.length > 0) saveVault(raw);
+        if (jsonMode) return out({ added });
+        if (added.length === 0) return out('ℹ️  Those dev accounts are already in the vault.');
+        out(added);
+        console.log('⚠️   Dev keys are public: never send real funds to these addresses.');
+        return;
+    }
+
+    // ── rpc ───────────────────────────────────────────────────────────────────
+    if (command === 'rpc') {
+        if (subcommand !== 'status') die('Specify an rpc sub-command: status.');
+        const { rpcStatus } = await import('./core.js');
+        let report;
+        try {
+            report = await rpcStatus(flags.network ? [flags.network] : undefined);
+        } catch (e) {
+            die(e.message);
+        }
+        if (jsonMode) {
+            out(report);
+        } else {
+            out(report.flatMap(n => n.endpoints.map(ep => ({
+                network: n.network,
+                url: ep.url,
+                status: ep.healthy ? 'ok' : ep.wrongChain ? 'wrong chain' : 'down',
+                latencyMs: ep.latencyMs,
+                block: ep.block,
+                error: ep.lastError || ''
+            }))));
+        }
+        // Scripts can check the exit code: 2 when a network has no healthy endpoint
+        if (report.some(n => !n.endpoints.some(ep => ep.healthy))) process.exit(2);
         return;
     }
 
@@ -292,6 +1139,63 @@ async function main() {
         return;
     }
 
+    // ── create --vanity ───────────────────────────────────────────────────────
+    if (command === 'create' && (flags.vanity || flags.suffix)) {
+        const { parseVanityPattern, vanityDifficulty, formatDuration, searchVanity } = await import('./vanity.js');
+        const { loadVault, saveVault, sealEntry } = await import('./vault.js');
+        let pattern;
+        try {
+            pattern = parseVanityPattern({ prefix: flags.vanity, suffix: flags.suffix, caseSensitive: flags['case-sensitive'] });
+        } catch (e) {
+            die(e.message);
+        }
+        const threads = flags.threads ? Number(flags.threads) : undefined;
+        if (threads !== undefined && !(Number.isInteger(threads) && threads > 0)) die('--threads must be a positive whole number.');
+
+        // Sealing the new entry needs the vault password itself, not the agent
+        const wallets = await unlockWallets(vaultPass, { useAgent: false });
+        const vault   = loadVault();
+        if (vault.encrypted && !vaultPass) die('Vault is encrypted. Provide --pass <password> or set WALLET_PASS env var.');
+        const name = flags.name || `Vanity ${pattern.prefix || pattern.suffix}`;
+        if (wallets.some(w => w.name === name)) die(`A wallet named "${name}" already exists. Choose another with --name.`);
+
+        if (!jsonMode) {
+            console.error(`🎯  0x${pattern.prefix}…${pattern.suffix}: ~${Math.round(vanityDifficulty(pattern)).toLocaleString()} keys on average. Ctrl+C cancels.`);
+        }
+        const controller = new AbortController();
+        process.on('SIGINT', () => controller.abort());
+        let result;
+        try {
+            result = await searchVanity(pattern, {
+                threads,
+                signal: controller.signal,
+                onProgress: ({ attempts, rate, eta }) => {
+                    if (!jsonMode && process.stderr.isTTY) {
+                        process.stderr.write(`\r⏳  ${attempts.toLocaleString()} keys · ${Math.round(rate).toLocaleString()}/s · ETA ~${formatDuration(eta)}    `);
+                    }
+                }
+            });
+        } catch (e) {
+            if (!jsonMode && process.stderr.isTTY) process.stderr.write('\n');
+            die(e.message);
+        }
+        if (!jsonMode && process.stderr.isTTY) process.stderr.write('\n');
+
+        const { wallet } = result;
+        const meta = { name, createdAt: new Date().toISOString() };
+        if (flags.tag) meta.tags = flags.tag.map(t => t.toLowerCase());
+        if (flags.group) meta.group = flags.group;
+        const raw = vault.entries;
+        raw.push(vault.encrypted
+            ? await sealEntry(wallet, meta, vaultPass)
+            : { ...meta, address: wallet.address, privateKey: wallet.privateKey });
+        saveVault(raw);
+
+        out(jsonMode ? { name, address: wallet.address, attempts: result.attempts, seconds: result.seconds }
+                     : `✅  Created "${name}" ${wallet.address} after ${result.attempts.toLocaleString()} keys (${formatDuration(result.seconds)}). It has no recovery phrase: back it up with show-key or export-keystore.`);
+        return;
+    }
+
     // ── create / import – fall through to interactive for encryption wizard ───
     if (command === 'create' || command === 'import') {
         console.log(`ℹ️  "${command}" requires interactive prompts. Launching full CLI…`);
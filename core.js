@@ -1,21 +1,198 @@
+/**
+ * core.js  –  The wallet engine behind `my-wallet`, `my-wallet-tui` and scripts
+ *
+ * No prompts and no console output: every front-end (cli.js, tui.js, cmd.js)
+ * asks its own questions and prints its own results, then calls in here.
+ * It is also the package entry point, so other Node projects can embed it:
+ *
+ *   import { unlockWallets, DECRYPTED_WALLETS, getNativeBalance } from 'wallets';
+ *   await unlockWallets(process.env.WALLET_PASS);
+ *   for (const w of DECRYPTED_WALLETS) console.log(w.name, await getNativeBalance(w.wallet.address, 'bsc'));
+ *
+ * State (live bindings, re-pointed when the profile changes)
+ *   DECRYPTED_WALLETS            session wallets: { name, wallet, watchOnly?, ens?, seedId?, index?, …labels }
+ *   USER_SETTINGS, SETTINGS_FILE
+ *
+ * Settings
+ *   loadSettings()                          → USER_SETTINGS (defaults + settings.json)
+ *   saveSettings(changes, { onConflict, backup })  writes USER_SETTINGS (merged over a concurrent write), then backs up
+ *   autoLockMinutes()                       → idle lock timeout in force (0 = never), at most MAX_AUTO_LOCK_MINUTES
+ *
+ * Vault
+ *   hasEncryptedWallets()                   → true when the vault has any entry
+ *   isVaultEncrypted()
+ *   openWallets(password, { onMigrate })    → session wallets, without touching DECRYPTED_WALLETS
+ *   unlockWallets(password, { onMigrate })  → DECRYPTED_WALLETS (password may be null for a plain vault)
+ *   lockWallets()                           drops the session wallets and the cached vault key
+ *   encryptVault(password, { onProgress })  plain vault → encrypted under a new password
+ *   decryptVault()                          encrypted vault → plain text (from the unlocked session)
+ *   addWallet(name, wallet, { raw, password })        → session wallet; password null stores it in plain text
+ *   updateWallet(target, changes)           → false when the wallet is not in the vault (name and labels only)
+ *   trashWallet(address)                    → the trashed entry, or null
+ *   restoreFromTrash(index, password)       → { raw, entry }; entry is null when it does not open
+ *   sessionEntry(name, wallet, raw), storableEntry(w, password)
+ *
+ * Networks & tokens
+ *   NETWORKS, PREDEFINED_TOKENS, ERC20_ABI, ROUTERS, ROUTER_ABI, WRAPPED_NATIVE
+ *                                           (built-in mainnets or testnets + the profile's custom networks)
+ *   defaultNetworkKey()                     → the current mode's default network
+ *   addNetwork(def, opts)                   → saved definition; every RPC URL must report def.chainId
+ *   removeNetwork(key, opts)                → the removed definition (custom networks only)
+ *   normalizeNetwork(def), fetchChainId(rpcUrl), isCustomNetwork(key)
+ *   explorerTxUrl(networkKey, hash)         → block-explorer link or null
+ *   networkKeyOf(network)                   → key of a NETWORKS entry
+ *   networkKeyForChainId(chainId)           → key of the first network on that chain, or null
+ *   getProvider(networkKey)                 → the network's shared provider (failover pool, see rpc.js)
+ *   networkInfo(networkKey)                 → NETWORKS or SOLANA_NETWORKS entry
+ *
+ * Solana (keys and RPC calls in solana.js)
+ *   SOLANA_NETWORKS, solanaNetworkKey()     mainnet, or devnet in testnet mode
+ *   isSolanaNetwork(key), isSolanaWallet(w), SolanaWallet, isSolanaAddress(text)
+ *   networksFor(address)                    → the Solana cluster for a Solana address, NETWORKS otherwise
+ *   solanaTransferQuote(from, { networkKey, to, token })
+ *                                           → { fee, rent, cost, costFiat } in lamports
+ *   solanaNetworkForChain(caip2)            → SOLANA_NETWORKS key of a WalletConnect chain, or null
+ *   sendSolanaTransaction(networkKey, serialized, sendOptions)
+ *                                           → signature of a signed dApp transaction
+ *
+ * Names (ENS, always on Ethereum mainnet; cached in the profile's ens-cache.json)
+ *   isEnsName(text)                         → true for input such as "vitalik.eth"
+ *   resolveEnsName(name, { fresh })         → checksummed address or null
+ *   lookupEnsName(address)                  → primary name or null (never throws)
+ *   resolveRecipient(input, { chain })      → { address, ens } from an address or ENS name
+ *                                             (a Solana address with chain 'solana')
+ *
+ * Address book (settings.json `contacts`: { label, address, chain?, ens?, networks?, note? })
+ *   addContact(def, opts)                   → saved contact; def.address may be an ENS name
+ *   removeContact(labelOrAddress, opts)     → the removed contact
+ *   findContact(labelOrAddress), contactFor(address) → contact or null
+ *   contactsFor(networkKey)                 → contacts offered on that network
+ *
+ * Testnet mode & local dev node
+ *   isTestnetMode(), setTestnetMode(on, opts)
+ *                                           NETWORKS becomes Sepolia, BSC testnet, Amoy, Alfajores and `local`
+ *   configureLocalDev(rpcUrl, opts)         → { rpc, chainId } of the Anvil / Hardhat node behind `local`
+ *   DEV_MNEMONIC, LOCAL_DEV_DEFAULTS, devAccounts(count) → [{ index, wallet }] the dev node funds
+ *   rpcStatus(networkKeys?)                 → [{ network, name, chainId, endpoints }] after probing every endpoint
+ *   tokensFor(networkKey)                   → predefined + saved tokens of that network
+ *   findToken(networkKey, symbolOrAddress)  → known token or null
+ *   fetchTokenInfo(networkKey, address)     → { address, symbol, decimals } read from the chain
+ *
+ * Balances & prices
+ *   getPrice(coingeckoId)                   → price in USER_SETTINGS.currency (0 when unknown)
+ *   getNetworkPrices()                      → { [networkKey]: price of the native coin }
+ *   getNativeBalance(address, networkKey)   → "1.5"
+ *   getTokenBalances(address, networkKey)   → [{ token, symbol, decimals, balance }] (tokens that fail are left out;
+ *                                             on Solana, every SPL token the address holds)
+ *   getWalletValue(address, prices)         → value of native coins and known tokens on every network
+ *
+ * Transfers & swaps (signer: a session wallet's `wallet`; fee: a speed or customFee() fields)
+ *   sendAsset(signer, { networkKey, to, amount, token, fee })  → transaction response ({ hash } on Solana)
+ *   routerAllowance(signer, { networkKey, token, amountIn }) → { router, allowance, sufficient }
+ *   approveRouter(signer, { networkKey, token, fee })     → transaction response (max approval)
+ *   swapTokenForNative(signer, { networkKey, token, amountIn, fee }) → transaction response
+ *   transferRequest(…), approveRequest(…), swapRequest(signer, …) → the unsigned { to, value?, data? } behind them
+ *   prepareTransaction(signer, networkKey, tx) → { networkKey, tx (with gasLimit), fees, price }
+ *   feeQuote(prepared, fee)                 → { speed, fee, cost, maxCost, costFiat, maxCostFiat }
+ *   sendPrepared(signer, prepared, fee)     → transaction response
+ *   FEE_SPEEDS, customFee(…)                (from fees.js)
+ *
+ * Every write to the vault or settings is followed by the profile's cloud
+ * backup, when one is configured. drive.js is only loaded at that point.
+ */
+
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
+import { isDeepStrictEqual } from 'util';
 import { ethers } from 'ethers';
-import { triggerBackup } from './drive.js';
-
-const CONFIG_DIR = path.join(os.homedir(), '.my-cli-wallet');
-const WALLETS_FILE = path.join(CONFIG_DIR, 'my_wallets.json');
-const SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
-
-// --- Constants ---
-export const NETWORKS = {
-    "ethereum": { name: "Ethereum Mainnet", rpc: "https://eth.llamarpc.com", chainId: 1, currency: "ETH", coingeckoId: "ethereum" },
-    "bsc": { name: "Binance Smart Chain", rpc: "https://bsc-dataseed.binance.org", chainId: 56, currency: "BNB", coingeckoId: "binancecoin" },
-    "polygon": { name: "Polygon (Matic)", rpc: "https://polygon-rpc.com", chainId: 137, currency: "POL", coingeckoId: "matic-network" },
-    "celo": { name: "Celo Mainnet", rpc: "https://forno.celo.org", chainId: 42220, currency: "CELO", coingeckoId: "celo" }
+import { loadVault, saveVault, openVault, openEntry, openPlainEntry, sealEntry, createVaultKey, lockVault, TRASH_FILE } from './vault.js';
+import { seedMeta, seedRoot, accountPath } from './hd.js';
+import { META_FIELDS, pickMeta } from './metadata.js';
+import { readJson, writeJson } from './storage.js';
+import { CONFIG_DIR, onProfileChange } from './profiles.js';
+import { poolProvider, checkPool, poolStatus, configureRpc, resetPools } from './rpc.js';
+import { FEE_SPEEDS, feePresets, feeCost } from './fees.js';
+import { isSolanaAddress, solBalance, splBalances, splMintInfo, transferCost, sendSol, sendSpl, sendTransaction } from './solana.js';
+
+export { FEE_SPEEDS, customFee } from './fees.js';
+export { SolanaWallet, isSolanaAddress } from './solana.js';
+
+export let SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Networks & tokens
+// ─────────────────────────────────────────────────────────────────────────────
+
+// `rpc` is the preferred endpoint; requests go through the pool of all `rpcUrls` (rpc.js)
+const MAINNETS = {
+    "ethereum": {
+        name: "Ethereum Mainnet", rpc: "https://eth.llamarpc.com", chainId: 1, currency: "ETH", coingeckoId: "ethereum", explorer: "https://etherscan.io",
+        rpcUrls: ["https://eth.llamarpc.com", "https://ethereum-rpc.publicnode.com", "https://1rpc.io/eth"]
+    },
+    "bsc": {
+        name: "Binance Smart Chain", rpc: "https://bsc-dataseed.binance.org", chainId: 56, currency: "BNB", coingeckoId: "binancecoin", explorer: "https://bscscan.com",
+        rpcUrls: ["https://bsc-dataseed.binance.org", "https://bsc-rpc.publicnode.com", "https://bsc-dataseed1.defibit.io"]
+    },
+    "polygon": {
+        name: "Polygon (Matic)", rpc: "https://polygon-rpc.com", chainId: 137, currency: "POL", coingeckoId: "matic-network", explorer: "https://polygonscan.com",
+        rpcUrls: ["https://polygon-rpc.com", "https://polygon-bor-rpc.publicnode.com", "https://1rpc.io/matic"]
+    },
+    "celo": {
+        name: "Celo Mainnet", rpc: "https://forno.celo.org", chainId: 42220, currency: "CELO", coingeckoId: "celo", explorer: "https://celoscan.io",
+        rpcUrls: ["https://forno.celo.org", "https://celo-rpc.publicnode.com", "https://1rpc.io/celo"]
+    }
 };
 
+// Testnet mode swaps the list above for these (faucet coins, so no prices)
+// plus `local`, a dev node on this machine (see localDevNetwork()).
+const TESTNETS = {
+    "sepolia": {
+        name: "Sepolia (Ethereum testnet)", rpc: "https://ethereum-sepolia-rpc.publicnode.com", chainId: 11155111, currency: "ETH", coingeckoId: null,
+        explorer: "https://sepolia.etherscan.io", testnet: true,
+        rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com", "https://rpc.sepolia.org", "https://1rpc.io/sepolia"]
+    },
+    "bsc-testnet": {
+        name: "BSC Testnet", rpc: "https://data-seed-prebsc-1-s1.bnbchain.org:8545", chainId: 97, currency: "tBNB", coingeckoId: null,
+        explorer: "https://testnet.bscscan.com", testnet: true,
+        rpcUrls: ["https://data-seed-prebsc-1-s1.bnbchain.org:8545", "https://bsc-testnet-rpc.publicnode.com"]
+    },
+    "amoy": {
+        name: "Polygon Amoy (testnet)", rpc: "https://rpc-amoy.polygon.technology", chainId: 80002, currency: "POL", coingeckoId: null,
+        explorer: "https://amoy.polygonscan.com", testnet: true,
+        rpcUrls: ["https://rpc-amoy.polygon.technology", "https://polygon-amoy-bor-rpc.publicnode.com"]
+    },
+    "alfajores": {
+        name: "Celo Alfajores (testnet)", rpc: "https://alfajores-forno.celo-testnet.org", chainId: 44787, currency: "CELO", coingeckoId: null,
+        explorer: "https://celo-alfajores.blockscout.com", testnet: true,
+        rpcUrls: ["https://alfajores-forno.celo-testnet.org"]
+    }
+};
+
+// Solana is not an EVM chain, so it stays out of NETWORKS: network pickers and
+// swaps only offer EVM chains. Solana wallets always use solanaNetworkKey(),
+// which follows testnet mode. `chainIds` are the CAIP-2 references (genesis
+// hash prefixes) WalletConnect names the cluster by; the first is current.
+export const SOLANA_NETWORKS = {
+    "solana": {
+        name: "Solana Mainnet", rpc: "https://api.mainnet-beta.solana.com", currency: "SOL", coingeckoId: "solana",
+        explorer: "https://solscan.io", explorerQuery: "",
+        chainIds: ["5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp", "4sGjMW1sUnHzSxGspuhpqLDx6wiyjNtZ"]
+    },
+    "solana-devnet": {
+        name: "Solana Devnet", rpc: "https://api.devnet.solana.com", currency: "SOL", coingeckoId: null,
+        explorer: "https://solscan.io", explorerQuery: "?cluster=devnet", testnet: true,
+        chainIds: ["EtWTRABZaYq6iMfeYKouRu166VU2xqa1", "8E9rvCKLFQia2Y35HXjjpWzj8weVo44K"]
+    }
+};
+
+// Anvil and Hardhat both fund the first accounts of this public phrase
+export const DEV_MNEMONIC = "test test test test test test test test test test test junk";
+export const LOCAL_DEV_DEFAULTS = { rpc: "http://127.0.0.1:8545", chainId: 31337 };
+
+// The networks of the current mode (mainnets or testnets) and the profile's custom networks
+export const NETWORKS = {};
+const BUILTIN_NETWORKS = [...Object.keys(MAINNETS), ...Object.keys(TESTNETS), 'local'];
+
 export const PREDEFINED_TOKENS = {
     "ethereum": [
         { symbol: "USDT", address: "0xdac17f958d2ee523a2206206994597c13d831ec7", decimals: 6, coingeckoId: "tether" }
@@ -30,6 +207,11 @@ export const PREDEFINED_TOKENS = {
     ],
     "celo": [
         { symbol: "JMPT", address: "0x88d7e9b65dc24cf54f5edef929225fc3e1580c25", decimals: 18, coingeckoId: "jumptoken" }
+    ],
+    // SPL tokens: `address` is the mint
+    "solana": [
+        { symbol: "USDC", address: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", decimals: 6, coingeckoId: "usd-coin" },
+        { symbol: "USDT", address: "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB", decimals: 6, coingeckoId: "tether" }
     ]
 };
 
@@ -42,58 +224,795 @@ export const ERC20_ABI = [
     "function allowance(address owner, address spender) view returns (uint256)"
 ];
 
-// --- State ---
+// Router Addresses (Uniswap V2 style)
+export const ROUTERS = {
+    "ethereum": "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", // Uniswap V2
+    "bsc": "0x10ED43C718714eb63d5aA57B78B54704E256024E",      // PancakeSwap V2
+    "polygon": "0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff",  // QuickSwap
+    "celo": "0xE3D8bd6Aed4F159bc8000a9cD47CffDb95F96121",     // Ubeswap (example, verify if V2 compatible)
+    "sepolia": "0xeE567Fe1712Faf6149d80dA1E6934E354124CfE3",  // Uniswap V2
+    "bsc-testnet": "0xD99D1c33F9fC3444f8101754aBC46c52416550D1" // PancakeSwap V2
+};
+
+export const ROUTER_ABI = [
+    "function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)",
+    "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+    "function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external"
+];
+
+// WETH/WBNB…: the native side of a swap path
+export const WRAPPED_NATIVE = {
+    "ethereum": "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+    "bsc": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
+    "polygon": "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
+    "celo": "0x471EcE3750Da237f93b8E339c536989b8978a438",
+    "sepolia": "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",
+    "bsc-testnet": "0xae13d989daC2f0dEbFf460aC112a837C89BAa7cd"
+};
+
+export function isCustomNetwork(networkKey) {
+    return !!NETWORKS[networkKey]?.custom;
+}
+
+export function explorerTxUrl(networkKey, hash) {
+    const net = networkInfo(networkKey);
+    return net?.explorer ? `${net.explorer}/tx/${hash}${net.explorerQuery || ''}` : null;
+}
+
+export function isSolanaNetwork(networkKey) {
+    return Object.hasOwn(SOLANA_NETWORKS, networkKey);
+}
+
+export function solanaNetworkKey() {
+    return isTestnetMode() ? 'solana-devnet' : 'solana';
+}
+
+// A session wallet, a wallet, or a listWallets() row
+export function isSolanaWallet(w) {
+    return (w.wallet ?? w).chain === 'solana';
+}
+
+// "solana:5eykt4UsFv8P8NJdTREpY1vzqKqZKvdp" (or just the reference) → "solana"
+export function solanaNetworkForChain(chain) {
+    const ref = String(chain).replace(/^solana:/, '');
+    return Object.keys(SOLANA_NETWORKS).find(key => SOLANA_NETWORKS[key].chainIds.includes(ref)) || null;
+}
+
+// NETWORKS entry or Solana cluster
+export function networkInfo(networkKey) {
+    return NETWORKS[networkKey] || SOLANA_NETWORKS[networkKey] || null;
+}
+
+// Where an address can hold funds in the current mode
+export function networksFor(address) {
+    return isSolanaAddress(address) ? [solanaNetworkKey()] : Object.keys(NETWORKS);
+}
+
+export function isTestnetMode() {
+    return !!USER_SETTINGS.testnetMode;
+}
+
+// Pickers start here; mainnet and testnet mode each remember their own default
+export function defaultNetworkKey() {
+    const key = isTestnetMode() ? USER_SETTINGS.defaultTestnet : USER_SETTINGS.defaultNetwork;
+    return NETWORKS[key] ? key : Object.keys(NETWORKS)[0];
+}
+
+export function networkKeyOf(network) {
+    return Object.keys(NETWORKS).find(key => NETWORKS[key] === network || NETWORKS[key].rpc === network.rpc);
+}
+
+export function networkKeyForChainId(chainId) {
+    return Object.keys(NETWORKS).find(key => NETWORKS[key].chainId === Number(chainId)) || null;
+}
+
+// The network's shared pool: one provider per network for the whole process.
+// Built-in networks stay reachable outside their mode (ENS lives on Ethereum).
+export function getProvider(networkKey) {
+    const net = NETWORKS[networkKey] || MAINNETS[networkKey] || TESTNETS[networkKey];
+    if (!net) throw new Error(`Unknown network "${networkKey}".`);
+    return poolProvider(networkKey, net);
+}
+
+/**
+ * Probe every endpoint of the given networks (all by default) now.
+ *
+ * @returns {Promise<{ network: string, name: string, chainId: number, endpoints: ReturnType<typeof poolStatus> }[]>}
+ */
+export async function rpcStatus(networkKeys = Object.keys(NETWORKS)) {
+    return Promise.all(networkKeys.map(async key => {
+        const net = NETWORKS[key];
+        if (!net) throw new Error(`Unknown network "${key}".`);
+        return { network: key, name: net.name, chainId: net.chainId, endpoints: await checkPool(key, net) };
+    }));
+}
+
+export function tokensFor(networkKey) {
+    return [
+        ...(PREDEFINED_TOKENS[networkKey] || []),
+        ...(USER_SETTINGS.savedTokens || []).filter(t => t.network === networkKey)
+    ];
+}
+
+export function findToken(networkKey, symbolOrAddress) {
+    const wanted = String(symbolOrAddress).toLowerCase();
+    return tokensFor(networkKey).find(t => t.symbol.toLowerCase() === wanted || t.address.toLowerCase() === wanted) || null;
+}
+
+export async function fetchTokenInfo(networkKey, address) {
+    if (isSolanaNetwork(networkKey)) {
+        // SPL mints carry no symbol on chain
+        const { decimals } = await splMintInfo(SOLANA_NETWORKS[networkKey].rpc, address);
+        return { address, symbol: findToken(networkKey, address)?.symbol || `${address.slice(0, 4)}…${address.slice(-4)}`, decimals };
+    }
+    const contract = new ethers.Contract(address, ERC20_ABI, getProvider(networkKey));
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+    return { address, symbol, decimals: Number(decimals) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Names (ENS)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Names resolve on Ethereum mainnet in every mode. Answers are cached in the
+// profile's ens-cache.json; "no such name" is kept for less time, since it is
+// the answer most likely to change.
+const ENS_TTL_MS = 60 * 60_000;
+const ENS_MISS_TTL_MS = 5 * 60_000;
+let ENS_CACHE_FILE = path.join(CONFIG_DIR, 'ens-cache.json');
+let ensCache = null; // { names: { [name]: { value, at } }, addresses: { [address]: { value, at } } }
+
+function ensTable(table) {
+    if (!ensCache) {
+        try {
+            ensCache = JSON.parse(fs.readFileSync(ENS_CACHE_FILE, 'utf8'));
+        } catch {
+            ensCache = {};
+        }
+        ensCache.names ||= {};
+        ensCache.addresses ||= {};
+    }
+    return ensCache[table];
+}
+
+// undefined when not cached or expired; null is a cached "none"
+function ensCached(table, key) {
+    const hit = ensTable(table)[key];
+    if (!hit || Date.now() - hit.at >= (hit.value ? ENS_TTL_MS : ENS_MISS_TTL_MS)) return undefined;
+    return hit.value;
+}
+
+function ensRemember(table, key, value) {
+    const entry = { value, at: Date.now() };
+    ensTable(table)[key] = entry;
+    try {
+        fs.mkdirSync(path.dirname(ENS_CACHE_FILE), { recursive: true });
+        // Re-read so answers another process cached meanwhile are kept
+        const onDisk = readJson(ENS_CACHE_FILE, {});
+        ensCache = { names: { ...onDisk.names, ...ensCache.names }, addresses: { ...onDisk.addresses, ...ensCache.addresses } };
+        ensCache[table][key] = entry;
+        writeJson(ENS_CACHE_FILE, ensCache);
+    } catch {
+        // Only a cache: the name is looked up again next time
+    }
+    return value;
+}
+
+export function isEnsName(text) {
+    const name = String(text ?? '').trim();
+    if (!name.includes('.') || ethers.isAddress(name)) return false;
+    try {
+        ethers.ensNormalize(name);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {string} name – e.g. "vitalik.eth"
+ * @param {{ fresh?: boolean }} [opts] – fresh skips the cache
+ * @returns {Promise<string|null>} checksummed address, or null when the name has none
+ */
+export async function resolveEnsName(name, { fresh = false } = {}) {
+    const key = ethers.ensNormalize(name.trim());
+    const hit = fresh ? undefined : ensCached('names', key);
+    if (hit !== undefined) return hit;
+    const address = await getProvider('ethereum').resolveName(key);
+    return ensRemember('names', key, address ? ethers.getAddress(address) : null);
+}
+
+// Primary name of an address (only one that resolves back to it). For display:
+// null when there is none or Ethereum cannot be reached.
+export async function lookupEnsName(address) {
+    if (!ethers.isAddress(address)) return null;
+    const key = ethers.getAddress(address);
+    const hit = ensCached('addresses', key);
+    if (hit !== undefined) return hit;
+    try {
+        return ensRemember('addresses', key, await getProvider('ethereum').lookupAddress(key));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * What a user typed as a recipient: an EVM address, an ENS name, or with
+ * chain 'solana' a Solana address. Throws when it is none of these.
+ *
+ * @returns {Promise<{ address: string, ens: string|null }>}
+ */
+export async function resolveRecipient(input, { chain = null } = {}) {
+    const text = String(input ?? '').trim();
+    if (chain === 'solana') {
+        if (!isSolanaAddress(text)) throw new Error(`"${text}" is not a Solana address.`);
+        return { address: text, ens: null };
+    }
+    if (ethers.isAddress(text)) return { address: ethers.getAddress(text), ens: null };
+    if (!isEnsName(text)) throw new Error(`"${text}" is not a valid address or ENS name.`);
+    const address = await resolveEnsName(text);
+    if (!address) throw new Error(`${text} does not resolve to an address.`);
+    return { address, ens: ethers.ensNormalize(text) };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Address book
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Kept per profile in settings.json as `contacts`:
+//   [{ label, address, chain?, ens?, networks?, note?, createdAt }]
+// `chain` is 'solana' for Solana addresses, `ens` the name the address came
+// from, and `networks` the network keys the contact is offered on (every
+// network of its chain when absent).
+
+function sameAddress(a, b) {
+    return ethers.isAddress(a) && ethers.isAddress(b) ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+function networkKeysOf(chain) {
+    if (chain === 'solana') return Object.keys(SOLANA_NETWORKS);
+    return [...Object.keys(MAINNETS), ...Object.keys(TESTNETS), 'local', ...(USER_SETTINGS.customNetworks || []).map(n => n.key)];
+}
+
+export function contactFor(address) {
+    return (USER_SETTINGS.contacts || []).find(c => sameAddress(c.address, address)) || null;
+}
+
+// By label (any case) or by address
+export function findContact(labelOrAddress) {
+    const text = String(labelOrAddress ?? '').trim();
+    return (USER_SETTINGS.contacts || []).find(c => c.label.toLowerCase() === text.toLowerCase()) || contactFor(text);
+}
+
+export function contactsFor(networkKey) {
+    const solana = isSolanaNetwork(networkKey);
+    return (USER_SETTINGS.contacts || []).filter(c => (c.chain === 'solana') === solana && (!c.networks || c.networks.includes(networkKey)));
+}
+
+/**
+ * @param {{ label: string, address: string, ens?: string, networks?: string[], note?: string }} def
+ *        address may be an ENS name (resolved now) or a Solana address;
+ *        ens records the name an address was already resolved from
+ * @param {Parameters<typeof saveSettings>[1]} [opts]
+ * @returns {Promise<object>} the saved contact
+ */
+export async function addContact(def, opts = {}) {
+    const label = String(def.label || '').trim();
+    if (!label) throw new Error('Contact label is required.');
+    const contacts = USER_SETTINGS.contacts || [];
+    if (contacts.some(c => c.label.toLowerCase() === label.toLowerCase())) throw new Error(`A contact "${label}" already exists.`);
+
+    const text = String(def.address || '').trim();
+    const chain = isSolanaAddress(text) ? 'solana' : null;
+    const { address, ens } = await resolveRecipient(text, { chain });
+    const existing = contactFor(address);
+    if (existing) throw new Error(`${address} is already in the address book as "${existing.label}".`);
+
+    const networks = [...new Set((def.networks || []).map(k => String(k).trim().toLowerCase()).filter(Boolean))];
+    const known = networkKeysOf(chain);
+    const unknown = networks.filter(k => !known.includes(k));
+    if (unknown.length > 0) throw new Error(`Unknown ${chain === 'solana' ? 'Solana ' : ''}network(s): ${unknown.join(', ')}.`);
+
+    const contact = { label, address };
+    if (chain) contact.chain = chain;
+    if (ens || def.ens) contact.ens = ens || ethers.ensNormalize(def.ens);
+    if (networks.length > 0) contact.networks = networks;
+    if (String(def.note || '').trim()) contact.note = String(def.note).trim();
+    contact.createdAt = new Date().toISOString();
+    await saveSettings({ contacts: [...contacts, contact] }, opts);
+    return contact;
+}
+
+export async function removeContact(labelOrAddress, opts = {}) {
+    const removed = findContact(labelOrAddress);
+    if (!removed) throw new Error(`No contact "${labelOrAddress}".`);
+    await saveSettings({ contacts: (USER_SETTINGS.contacts || []).filter(c => c !== removed) }, opts);
+    return removed;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Custom networks
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Kept per profile in settings.json as `customNetworks`:
+//   [{ key, name, rpcUrls, chainId, currency, explorer, coingeckoId, wrappedNative, router, testnet? }]
+// and merged into NETWORKS / ROUTERS / WRAPPED_NATIVE whenever settings load,
+// so every network picker and lookup sees them like the built-in ones.
+// Networks marked `testnet` only show up in testnet mode, the others only outside it.
+
+const RPC_CHECK_MS = 10_000;
+
+function localDevNetwork() {
+    const { rpc, chainId } = { ...LOCAL_DEV_DEFAULTS, ...USER_SETTINGS.localDev };
+    return { name: "Local Dev (Anvil / Hardhat)", rpc, rpcUrls: [rpc], chainId, currency: "ETH", coingeckoId: null, explorer: null, testnet: true, local: true };
+}
+
+function applyNetworks() {
+    for (const key of Object.keys(NETWORKS)) delete NETWORKS[key];
+    for (const table of [ROUTERS, WRAPPED_NATIVE]) {
+        for (const key of Object.keys(table)) if (!BUILTIN_NETWORKS.includes(key)) delete table[key];
+    }
+
+    const testnet = isTestnetMode();
+    Object.assign(NETWORKS, testnet ? { ...TESTNETS, local: localDevNetwork() } : MAINNETS);
+    for (const n of USER_SETTINGS.customNetworks || []) {
+        if (!!n.testnet !== testnet) continue;
+        NETWORKS[n.key] = {
+            name: n.name,
+            rpc: n.rpcUrls[0],
+            rpcUrls: n.rpcUrls,
+            chainId: n.chainId,
+            currency: n.currency,
+            coingeckoId: n.coingeckoId || null,
+            explorer: n.explorer || null,
+            testnet: !!n.testnet,
+            custom: true
+        };
+        if (n.router) ROUTERS[n.key] = n.router;
+        if (n.wrappedNative) WRAPPED_NATIVE[n.key] = n.wrappedNative;
+    }
+}
+
+function httpUrl(value, label) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch {
+        throw new Error(`${label} "${value}" is not a URL.`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`${label} "${value}" must be an http(s) URL.`);
+    return url.href.replace(/\/$/, '');
+}
+
+function optionalAddress(value, label) {
+    if (!value) return null;
+    if (!ethers.isAddress(value)) throw new Error(`${label} "${value}" is not an address.`);
+    return ethers.getAddress(value);
+}
+
+/**
+ * Check and tidy a network definition; nothing is contacted.
+ *
+ * @param {{ key: string, name: string, rpcUrls: string[], chainId: number|string, currency: string,
+ *           explorer?: string, coingeckoId?: string, wrappedNative?: string, router?: string, testnet?: boolean }} def
+ */
+export function normalizeNetwork(def) {
+    const key = String(def.key || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) throw new Error(`Network key "${def.key}" must be lowercase letters, digits and dashes.`);
+    // Solana cluster keys too: isSolanaNetwork() goes by key
+    if (BUILTIN_NETWORKS.includes(key) || Object.hasOwn(SOLANA_NETWORKS, key)) throw new Error(`"${key}" is a built-in network.`);
+    if ((USER_SETTINGS.customNetworks || []).some(n => n.key === key)) throw new Error(`A network "${key}" already exists. Remove it first.`);
+
+    const name = String(def.name || '').trim();
+    if (!name) throw new Error('Network name is required.');
+    const rpcUrls = [...new Set((def.rpcUrls || []).filter(Boolean).map(u => httpUrl(u, 'RPC URL')))];
+    if (rpcUrls.length === 0) throw new Error('At least one RPC URL is required.');
+    const chainId = Number(def.chainId);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0) throw new Error(`Chain ID "${def.chainId}" must be a positive whole number.`);
+    const currency = String(def.currency || '').trim();
+    if (!currency) throw new Error('Native currency symbol is required.');
+
+    const net = { key, name, rpcUrls, chainId, currency };
+    if (def.explorer) net.explorer = httpUrl(def.explorer, 'Explorer URL');
+    if (def.coingeckoId) net.coingeckoId = String(def.coingeckoId).trim();
+    const wrappedNative = optionalAddress(def.wrappedNative, 'Wrapped-native address');
+    const router = optionalAddress(def.router, 'Router address');
+    if (wrappedNative) net.wrappedNative = wrappedNative;
+    if (router) net.router = router;
+    if (def.testnet) net.testnet = true;
+    return net;
+}
+
+/**
+ * Ask an RPC endpoint which chain it serves (plain eth_chainId, no retries).
+ *
+ * @param {string} rpcUrl
+ * @returns {Promise<number>}
+ */
+export async function fetchChainId(rpcUrl) {
+    let res;
+    try {
+        res = await fetch(rpcUrl, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+            signal: AbortSignal.timeout(RPC_CHECK_MS)
+        });
+    } catch (e) {
+        throw new Error(`${rpcUrl} is not reachable (${e.cause?.code || e.message}).`);
+    }
+    const body = await res.json().catch(() => null);
+    if (!body || typeof body.result !== 'string') {
+        throw new Error(`${rpcUrl} did not answer eth_chainId${body?.error ? `: ${body.error.message}` : ` (HTTP ${res.status})`}.`);
+    }
+    return Number(BigInt(body.result));
+}
+
+/**
+ * Validates `def`, checks every RPC URL serves `def.chainId`, then saves it.
+ *
+ * @param {Parameters<typeof normalizeNetwork>[0]} def
+ * @param {Parameters<typeof saveSettings>[1]} [opts]
+ * @returns {Promise<object>} the saved definition (in NETWORKS only while its mode is on)
+ */
+export async function addNetwork(def, opts = {}) {
+    const net = normalizeNetwork(def);
+    for (const url of net.rpcUrls) {
+        const actual = await fetchChainId(url);
+        if (actual !== net.chainId) throw new Error(`${url} serves chain ${actual}, not ${net.chainId}.`);
+    }
+    await saveSettings({ customNetworks: [...(USER_SETTINGS.customNetworks || []), net] }, opts);
+    return net;
+}
+
+/**
+ * Saved tokens of the network are kept, so they come back if it is re-added.
+ * A default network that is removed falls back to the first network.
+ */
+export async function removeNetwork(networkKey, opts = {}) {
+    if (BUILTIN_NETWORKS.includes(networkKey)) throw new Error(`"${networkKey}" is a built-in network and cannot be removed.`);
+    const custom = USER_SETTINGS.customNetworks || [];
+    const removed = custom.find(n => n.key === networkKey);
+    if (!removed) throw new Error(`No custom network "${networkKey}".`);
+
+    const changes = { customNetworks: custom.filter(n => n.key !== networkKey) };
+    if (USER_SETTINGS.defaultNetwork === networkKey) changes.defaultNetwork = 'ethereum';
+    if (USER_SETTINGS.defaultTestnet === networkKey) changes.defaultTestnet = 'sepolia';
+    await saveSettings(changes, opts);
+    return removed;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Testnet mode & local dev node
+// ─────────────────────────────────────────────────────────────────────────────
+
+export async function setTestnetMode(on, opts = {}) {
+    await saveSettings({ testnetMode: !!on }, opts);
+}
+
+/**
+ * Point the `local` network at a dev node. The node must be running: its
+ * chain ID is read from it (Anvil and Hardhat default to 31337).
+ *
+ * @returns {Promise<{ rpc: string, chainId: number }>}
+ */
+export async function configureLocalDev(rpcUrl = LOCAL_DEV_DEFAULTS.rpc, opts = {}) {
+    const rpc = httpUrl(rpcUrl, 'RPC URL');
+    const localDev = { rpc, chainId: await fetchChainId(rpc) };
+    await saveSettings({ localDev }, opts);
+    return localDev;
+}
+
+/**
+ * The dev node's pre-funded accounts: m/44'/60'/0'/0/i of DEV_MNEMONIC, as
+ * plain keys so they are not mistaken for a seed you own.
+ *
+ * @returns {{ index: number, wallet: ethers.Wallet }[]}
+ */
+export function devAccounts(count = 10) {
+    const root = seedRoot(DEV_MNEMONIC);
+    return Array.from({ length: count }, (_, index) => ({
+        index,
+        wallet: new ethers.Wallet(root.derivePath(accountPath(index)).privateKey)
+    }));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  State & settings
+// ─────────────────────────────────────────────────────────────────────────────
+
 export let DECRYPTED_WALLETS = [];
-export let USER_SETTINGS = { 
+const defaultSettings = () => ({
     currency: 'USD',
     defaultNetwork: 'ethereum',
-    gasLimitBuffer: '0',
-    backupMethod: null,
+    gasLimitBuffer: '0', // extra gas on top of every estimate
+    feeSpeed: 'normal', // slow | normal | fast, when no fee is chosen per transaction
+    backupMethod: null, // 'rclone' or 'gapi'
     rcloneRemote: null,
-    savedTokens: [] 
-};
+    encryptionDisabled: false,
+    autoLockMinutes: 10, // wipe keys after this long idle (0 = never)
+    savedTokens: [], // { symbol: "USDT", address: "0x...", network: "bsc", decimals: 18 }
+    customNetworks: [], // see normalizeNetwork()
+    contacts: [], // address book, see addContact()
+    rpcQuorum: 1, // endpoints that must agree on a read (1 = plain failover)
+    testnetMode: false,
+    defaultTestnet: 'sepolia',
+    localDev: null // { rpc, chainId } of the dev node; LOCAL_DEV_DEFAULTS until configured
+});
+export let USER_SETTINGS = defaultSettings();
+let settingsBaseline = {}; // USER_SETTINGS as last read from or written to settings.json
+
+// Another profile: lock, then start again from its own settings
+onProfileChange(() => {
+    lockWallets();
+    resetPools();
+    SETTINGS_FILE = path.join(CONFIG_DIR, 'settings.json');
+    ENS_CACHE_FILE = path.join(CONFIG_DIR, 'ens-cache.json');
+    ensCache = null;
+    USER_SETTINGS = defaultSettings();
+    loadSettings();
+});
 
-// --- Methods ---
+function applySettings() {
+    applyNetworks();
+    configureRpc({ quorum: USER_SETTINGS.rpcQuorum });
+}
 
 export function loadSettings() {
-    if (fs.existsSync(SETTINGS_FILE)) {
-        const loaded = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+    const loaded = readJson(SETTINGS_FILE);
+    if (loaded) {
+        // Migration: Ensure savedTokens exists
         if (!loaded.savedTokens) loaded.savedTokens = [];
         USER_SETTINGS = { ...USER_SETTINGS, ...loaded };
     }
+    settingsBaseline = structuredClone(USER_SETTINGS);
+    applySettings();
     return USER_SETTINGS;
 }
+loadSettings();
 
-export function saveSettings(newSettings) {
-    USER_SETTINGS = { ...USER_SETTINGS, ...newSettings };
-    fs.writeFileSync(SETTINGS_FILE, JSON.stringify(USER_SETTINGS, null, 2));
-    triggerBackup(USER_SETTINGS);
+/**
+ * Front-ends may also edit USER_SETTINGS in place and call saveSettings().
+ *
+ * @param {object} [changes]
+ * @param {{ onConflict?: () => void, backup?: boolean }} [opts] – onConflict is
+ *        called when another process saved settings.json meanwhile: the keys this
+ *        process changed since it last read or wrote the file are applied on
+ *        top of the new content, every other key keeps the other process's
+ *        value; backup: false skips the cloud backup
+ */
+export async function saveSettings(changes = {}, { onConflict, backup: withBackup = true } = {}) {
+    USER_SETTINGS = { ...USER_SETTINGS, ...changes };
+    try {
+        writeJson(SETTINGS_FILE, USER_SETTINGS);
+    } catch (e) {
+        if (e.code !== 'ECONFLICT') throw e;
+        onConflict?.();
+        const ours = Object.keys(USER_SETTINGS).filter(key => !isDeepStrictEqual(USER_SETTINGS[key], settingsBaseline[key]));
+        const merged = { ...USER_SETTINGS, ...readJson(SETTINGS_FILE, {}) };
+        for (const key of ours) merged[key] = USER_SETTINGS[key];
+        USER_SETTINGS = merged;
+        writeJson(SETTINGS_FILE, USER_SETTINGS);
+    }
+    settingsBaseline = structuredClone(USER_SETTINGS);
+    applySettings();
+    if (withBackup) await backup();
 }
 
-export function hasEncryptedWallets() {
-    if (!fs.existsSync(WALLETS_FILE)) return false;
-    const data = JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
-    return data.length > 0;
-}
-
-export async function unlockWallets(password) {
-    if (!fs.existsSync(WALLETS_FILE)) return [];
-    const rawWallets = JSON.parse(fs.readFileSync(WALLETS_FILE, 'utf8'));
-    
-    DECRYPTED_WALLETS = [];
-    for (const w of rawWallets) {
-        if (w.privateKey) {
-            // Migration needed, but for core we assume encrypted or we fail?
-            // Let's support loading plain if generic, but usually we want to enforce encryption
-            // For TUI, we assume encrypted.
-            throw new Error("Legacy plain-text wallets found. Please run CLI to migrate.");
-        }
-        const wallet = await ethers.Wallet.fromEncryptedJson(w.data, password);
-        DECRYPTED_WALLETS.push({ name: w.name, wallet: wallet });
+// setTimeout takes a signed 32-bit delay; a longer one fires at once
+export const MAX_AUTO_LOCK_MINUTES = Math.floor((2 ** 31 - 1) / 60_000);
+
+// Settings edited by hand or imported from a bundle never went through the prompt
+export function autoLockMinutes() {
+    const minutes = Number(USER_SETTINGS.autoLockMinutes);
+    return minutes > 0 ? Math.min(minutes, MAX_AUTO_LOCK_MINUTES) : 0;
+}
+
+async function backup() {
+    if (!USER_SETTINGS.backupMethod) return;
+    const { triggerBackup } = await import('./drive.js');
+    await triggerBackup(USER_SETTINGS);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Vault
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Session entry <-> raw vault entry. HD accounts keep their mnemonic (inside the
+// sealed secret when encrypted) plus the seed fingerprint and account index.
+// Watch-only entries carry an ethers.VoidSigner and `watchOnly: true`.
+export function sessionEntry(name, wallet, raw = {}) {
+    if (raw.watchOnly) return { name, wallet, watchOnly: true, ens: raw.ens, ...pickMeta(raw) };
+    return { name, wallet, watchOnly: false, ...seedMeta(wallet), ...pickMeta(raw) };
+}
+
+function watchEntry(w) {
+    const entry = { name: w.name, address: w.wallet.address, watchOnly: true };
+    if (w.ens) entry.ens = w.ens;
+    return { ...entry, ...pickMeta(w) };
+}
+
+function plainEntry(w) {
+    if (w.watchOnly) return watchEntry(w);
+    const entry = { name: w.name, address: w.wallet.address, privateKey: w.wallet.privateKey };
+    if (w.wallet.chain) entry.chain = w.wallet.chain;
+    if (w.wallet.mnemonic) {
+        entry.mnemonic = w.wallet.mnemonic.phrase;
+        entry.path = w.wallet.path;
     }
+    return { ...entry, seedId: w.seedId, index: w.index, ...pickMeta(w) };
+}
+
+/**
+ * @param {object} w               – session wallet
+ * @param {string|null} password   – null for an unencrypted vault
+ * @returns {Promise<object>} entry to store
+ */
+export async function storableEntry(w, password) {
+    if (w.watchOnly) return watchEntry(w);
+    if (password === null) return plainEntry(w);
+    return sealEntry(w.wallet, { name: w.name, seedId: w.seedId, index: w.index, ...pickMeta(w) }, password);
+}
+
+// Entries written before addresses were stored can only be matched by name
+function rawIndexOf(rawWallets, w) {
+    const byAddress = rawWallets.findIndex(r => r.address === w.wallet.address);
+    return byAddress !== -1 ? byAddress : rawWallets.findIndex(r => !r.address && r.name === w.name);
+}
+
+function setWallets(list) {
+    DECRYPTED_WALLETS.length = 0; // also empties any copy of the array still referenced
+    DECRYPTED_WALLETS = list;
     return DECRYPTED_WALLETS;
 }
 
+export function hasEncryptedWallets() {
+    return loadVault().entries.length > 0;
+}
+
+export function isVaultEncrypted() {
+    return loadVault().encrypted;
+}
+
+/**
+ * @param {string|null} password  – ignored for an unencrypted vault
+ * @param {{ onMigrate?: Function }} [opts] – see vault.js loadVault()
+ * @returns {Promise<object[]>} session wallets
+ */
+export async function openWallets(password, { onMigrate } = {}) {
+    const vault = loadVault({ onMigrate });
+    if (vault.entries.length === 0) return [];
+    if (!vault.encrypted) return vault.entries.map(raw => sessionEntry(raw.name, openPlainEntry(raw), raw));
+    if (!password) throw new Error('Vault is encrypted: a password is required.');
+    const opened = await openVault(password);
+    return opened.map(({ raw, wallet }) => sessionEntry(raw.name, wallet, raw));
+}
+
+export async function unlockWallets(password, opts = {}) {
+    setWallets([]);
+    return setWallets(await openWallets(password, opts));
+}
+
+// Drop decrypted wallets and the cached vault key (idle lock / "Lock Now")
+export function lockWallets() {
+    setWallets([]);
+    lockVault();
+}
+
+/**
+ * Seal every entry of an unencrypted vault (or, when the session is already
+ * unlocked, every session wallet) under a new vault password.
+ *
+ * @param {string} password
+ * @param {{ onProgress?: (name: string) => void }} [opts]
+ */
+export async function encryptVault(password, { onProgress } = {}) {
+    const wallets = DECRYPTED_WALLETS.length > 0 ? DECRYPTED_WALLETS : await openWallets(null);
+    await createVaultKey(password);
+    const store = [];
+    for (const w of wallets) {
+        onProgress?.(w.name);
+        store.push(await storableEntry(w, password));
+    }
+    saveVault(store, { encrypted: true, passwordChanged: true });
+    setWallets(wallets);
+    await backup();
+}
+
+// Writes the unlocked session back in plain text
+export async function decryptVault() {
+    const store = await Promise.all(DECRYPTED_WALLETS.map(w => storableEntry(w, null)));
+    saveVault(store, { encrypted: false });
+    await backup();
+}
+
+/**
+ * @param {string} name
+ * @param {ethers.Wallet|ethers.HDNodeWallet|ethers.VoidSigner} wallet
+ * @param {{ raw?: object, password?: string|null }} [opts] – raw: labels and
+ *        watch-only fields; password null keeps the vault unencrypted
+ * @returns {Promise<object>} the new session wallet
+ */
+export async function addWallet(name, wallet, { raw = {}, password = null } = {}) {
+    const entry = sessionEntry(name, wallet, { createdAt: new Date().toISOString(), ...raw });
+    const rawWallets = loadVault().entries;
+    rawWallets.push(await storableEntry(entry, password));
+    saveVault(rawWallets, { encrypted: password !== null });
+    DECRYPTED_WALLETS.push(entry);
+    await backup();
+    return entry;
+}
+
+// Name and labels are stored next to the ciphertext: editing them never re-encrypts
+export async function updateWallet(target, changes) {
+    const rawWallets = loadVault().entries;
+    const rawIndex = rawIndexOf(rawWallets, target);
+    if (rawIndex === -1) return false;
+
+    const merged = { ...rawWallets[rawIndex], ...changes };
+    const rest = { ...merged };
+    for (const field of META_FIELDS) delete rest[field];
+    rawWallets[rawIndex] = { ...rest, ...pickMeta(merged) };
+    saveVault(rawWallets);
+
+    for (const field of META_FIELDS) delete target[field];
+    Object.assign(target, { name: merged.name }, pickMeta(merged));
+    await backup();
+    return true;
+}
+
+export async function trashWallet(address) {
+    const rawWallets = loadVault().entries;
+    const target = DECRYPTED_WALLETS.find(w => w.wallet.address === address);
+    const index = target ? rawIndexOf(rawWallets, target) : rawWallets.findIndex(r => r.address === address);
+    if (index === -1) return null;
+
+    const [removed] = rawWallets.splice(index, 1);
+    saveVault(rawWallets);
+
+    const trash = readJson(TRASH_FILE, []);
+    trash.push(removed);
+    writeJson(TRASH_FILE, trash);
+
+    setWallets(DECRYPTED_WALLETS.filter(w => w.wallet.address !== address));
+    await backup();
+    return removed;
+}
+
+/**
+ * Moves trash entry `index` back into the vault, then opens it into the
+ * session. An entry sealed under an older password is restored but not opened.
+ *
+ * @param {number} index
+ * @param {string|null} password
+ * @returns {Promise<{ raw: object, entry: object|null }>}
+ */
+export async function restoreFromTrash(index, password) {
+    const trash = readJson(TRASH_FILE, []);
+    const [raw] = trash.splice(index, 1);
+    if (!raw) throw new Error('No such wallet in the trash.');
+    writeJson(TRASH_FILE, trash);
+
+    const rawWallets = loadVault().entries;
+    rawWallets.push(raw);
+    saveVault(rawWallets);
+
+    let entry = null;
+    try {
+        const plain = raw.watchOnly || (!raw.secret && !raw.data);
+        entry = sessionEntry(raw.name, plain ? openPlainEntry(raw) : await openEntry(raw, password), raw);
+        DECRYPTED_WALLETS.push(entry);
+    } catch {
+        // Sealed under another password; it opens again after the next unlock with that one
+    }
+    await backup();
+    return { raw, entry };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Balances & prices
+// ─────────────────────────────────────────────────────────────────────────────
+
 export async function getPrice(coingeckoId) {
     if (!coingeckoId) return 0;
     try {
@@ -102,14 +1021,221 @@ export async function getPrice(coingeckoId) {
         const data = await res.json();
         return data[coingeckoId] ? data[coingeckoId][currency] : 0;
     } catch (e) {
-        return 0;
+        return 0; // API failure or rate limit
+    }
+}
+
+export async function getNetworkPrices() {
+    const prices = {};
+    for (const key of [...Object.keys(NETWORKS), solanaNetworkKey()]) {
+        prices[key] = await getPrice(networkInfo(key).coingeckoId);
     }
+    return prices;
 }
 
 export async function getNativeBalance(walletAddress, networkKey) {
-    const net = NETWORKS[networkKey];
-    if (!net) return "0.0";
-    const provider = new ethers.JsonRpcProvider(net.rpc);
-    const balWei = await provider.getBalance(walletAddress);
+    if (isSolanaNetwork(networkKey)) return solBalance(SOLANA_NETWORKS[networkKey].rpc, walletAddress);
+    if (!NETWORKS[networkKey]) return "0.0";
+    const balWei = await getProvider(networkKey).getBalance(walletAddress);
     return ethers.formatEther(balWei);
 }
+
+/**
+ * @returns {Promise<{ token: object, symbol: string, decimals: number, balance: string }[]>}
+ */
+export async function getTokenBalances(walletAddress, networkKey) {
+    if (isSolanaNetwork(networkKey)) return splTokenBalances(walletAddress, networkKey);
+    const provider = getProvider(networkKey);
+    const balances = [];
+    for (const token of tokensFor(networkKey)) {
+        try {
+            const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
+            const balanceWei = await contract.balanceOf(walletAddress);
+            // Use saved decimals if available, else fetch
+            const decimals = Number(token.decimals ?? await contract.decimals());
+            const symbol = token.symbol || await contract.symbol();
+            balances.push({ token, symbol, decimals, balance: ethers.formatUnits(balanceWei, decimals) });
+        } catch (e) {
+            // Token not deployed here or RPC error: leave it out
+        }
+    }
+    return balances;
+}
+
+// Every non-empty SPL token account, named from the known tokens where possible
+async function splTokenBalances(walletAddress, networkKey) {
+    const held = await splBalances(SOLANA_NETWORKS[networkKey].rpc, walletAddress);
+    return held.map(({ mint, decimals, balance }) => {
+        const token = findToken(networkKey, mint) || { symbol: `${mint.slice(0, 4)}…${mint.slice(-4)}`, address: mint, decimals };
+        return { token, symbol: token.symbol, decimals, balance };
+    });
+}
+
+/**
+ * @param {string} walletAddress
+ * @param {Record<string, number>} prices – from getNetworkPrices()
+ * @returns {Promise<number>} in USER_SETTINGS.currency; unreachable networks count as 0
+ */
+export async function getWalletValue(walletAddress, prices) {
+    const perNetwork = await Promise.all(networksFor(walletAddress).map(async (netKey) => {
+        let value = 0;
+        try {
+            value += parseFloat(await getNativeBalance(walletAddress, netKey)) * (prices[netKey] || 0);
+            for (const t of await getTokenBalances(walletAddress, netKey)) {
+                if (t.token.coingeckoId && parseFloat(t.balance) > 0) {
+                    value += parseFloat(t.balance) * await getPrice(t.token.coingeckoId);
+                }
+            }
+        } catch (e) {
+            // Ignore network errors
+        }
+        return value;
+    }));
+    return perNetwork.reduce((a, b) => a + b, 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Transfers & swaps
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Gas and fee options for `tx`, before anything is signed. Pass the result to
+ * feeQuote() for the cost of a speed and to sendPrepared() to send it.
+ *
+ * @param {ethers.Signer} signer
+ * @param {string} networkKey
+ * @param {{ to: string, value?: bigint, data?: string, gasLimit?: bigint }} tx – a gasLimit is kept as it is
+ * @returns {Promise<{ networkKey: string, tx: object, fees: object, price: number }>}
+ *          fees: feePresets(); price: the native coin in USER_SETTINGS.currency (0 when unknown)
+ */
+export async function prepareTransaction(signer, networkKey, tx) {
+    const provider = getProvider(networkKey);
+    const request = { ...tx, from: await signer.getAddress() };
+    const [gasLimit, fees, price] = await Promise.all([
+        request.gasLimit ? BigInt(request.gasLimit) : provider.estimateGas(request).then(gas => gas + BigInt(USER_SETTINGS.gasLimitBuffer || 0)),
+        feePresets(provider),
+        getPrice(NETWORKS[networkKey]?.coingeckoId)
+    ]);
+    return { networkKey, tx: { ...request, gasLimit }, fees, price };
+}
+
+/**
+ * @param {object} prepared – from prepareTransaction()
+ * @param {string|object} fee – a speed from FEE_SPEEDS, or fee fields (customFee())
+ * @returns {{ speed: string, fee: object, cost: bigint, maxCost: bigint, costFiat: number, maxCostFiat: number }}
+ *          costs in wei of the native coin and in USER_SETTINGS.currency
+ */
+export function feeQuote(prepared, fee = USER_SETTINGS.feeSpeed) {
+    const speed = typeof fee === 'string' ? fee : 'custom';
+    const fields = typeof fee === 'string' ? prepared.fees[fee] : fee;
+    if (!fields) throw new Error(`Unknown fee speed "${fee}" (${FEE_SPEEDS.join(', ')}).`);
+    const { expected, max } = feeCost(fields, prepared.tx.gasLimit, prepared.fees.baseFee);
+    const fiat = wei => parseFloat(ethers.formatEther(wei)) * prepared.price;
+    return { speed, fee: fields, cost: expected, maxCost: max, costFiat: fiat(expected), maxCostFiat: fiat(max) };
+}
+
+export async function sendPrepared(signer, prepared, fee = USER_SETTINGS.feeSpeed) {
+    const { from, ...tx } = prepared.tx;
+    return signer.connect(getProvider(prepared.networkKey)).sendTransaction({ ...tx, ...feeQuote(prepared, fee).fee });
+}
+
+async function sendWithFee(signer, networkKey, tx, fee) {
+    return sendPrepared(signer, await prepareTransaction(signer, networkKey, tx), fee);
+}
+
+/**
+ * The unsigned transaction behind sendAsset(); amount in whole units.
+ *
+ * @param {{ networkKey: string, to: string, amount: string,
+ *           token?: { address: string, decimals: number } | null }} transfer
+ */
+export function transferRequest({ to, amount, token = null }) {
+    if (!token) return { to, value: ethers.parseEther(String(amount)) };
+    const data = new ethers.Interface(ERC20_ABI).encodeFunctionData('transfer', [to, ethers.parseUnits(String(amount), token.decimals)]);
+    return { to: token.address, data };
+}
+
+/**
+ * @param {ethers.Signer} signer
+ * @param {{ networkKey: string, to: string, amount: string,
+ *           token?: { address: string, decimals: number } | null, fee?: string|object }} tx – amount in whole units;
+ *        fee defaults to USER_SETTINGS.feeSpeed
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+export async function sendAsset(signer, { networkKey, to, amount, token = null, fee }) {
+    if (isSolanaNetwork(networkKey)) {
+        const rpc = SOLANA_NETWORKS[networkKey].rpc;
+        return { hash: await (token ? sendSpl(rpc, signer, { to, token, amount }) : sendSol(rpc, signer, { to, amount })) };
+    }
+    return sendWithFee(signer, networkKey, transferRequest({ to, amount, token }), fee);
+}
+
+/**
+ * Broadcast a transaction a dApp built and the wallet signed.
+ *
+ * @param {string} networkKey – a SOLANA_NETWORKS key
+ * @param {string} serialized – base64
+ * @returns {Promise<string>} signature
+ */
+export async function sendSolanaTransaction(networkKey, serialized, sendOptions = {}) {
+    return sendTransaction(SOLANA_NETWORKS[networkKey].rpc, serialized, sendOptions);
+}
+
+/**
+ * What a Solana transfer costs on top of the amount. Solana has no fee market
+ * to choose from, so this replaces prepareTransaction()/feeQuote() there.
+ *
+ * @param {string} from – sender address
+ * @param {{ networkKey: string, to: string, token?: { address: string } | null }} transfer
+ * @returns {Promise<{ fee: bigint, rent: bigint, cost: bigint, costFiat: number }>}
+ *          lamports; rent opens the recipient's token account when it has none
+ */
+export async function solanaTransferQuote(from, { networkKey, to, token = null }) {
+    const net = SOLANA_NETWORKS[networkKey];
+    const [{ fee, rent }, price] = await Promise.all([transferCost(net.rpc, from, { to, token }), getPrice(net.coingeckoId)]);
+    const cost = BigInt(fee) + BigInt(rent);
+    return { fee: BigInt(fee), rent: BigInt(rent), cost, costFiat: parseFloat(ethers.formatUnits(cost, 9)) * price };
+}
+
+function routerFor(networkKey) {
+    if (!ROUTERS[networkKey]) throw new Error('Swap not supported on this network yet.');
+    if (!WRAPPED_NATIVE[networkKey]) throw new Error('WNative address missing for this chain.');
+    return ROUTERS[networkKey];
+}
+
+export async function routerAllowance(signer, { networkKey, token, amountIn }) {
+    const router = routerFor(networkKey);
+    const contract = new ethers.Contract(token.address, ERC20_ABI, getProvider(networkKey));
+    const allowance = await contract.allowance(await signer.getAddress(), router);
+    return { router, allowance, sufficient: allowance >= amountIn };
+}
+
+export function approveRequest({ networkKey, token }) {
+    const data = new ethers.Interface(ERC20_ABI).encodeFunctionData('approve', [routerFor(networkKey), ethers.MaxUint256]);
+    return { to: token.address, data };
+}
+
+export async function approveRouter(signer, { networkKey, token, fee }) {
+    return sendWithFee(signer, networkKey, approveRequest({ networkKey, token }), fee);
+}
+
+/**
+ * Sells `amountIn` (base units) of `token` for the native coin. No minimum
+ * output is enforced: any amount of the native coin is accepted.
+ */
+export async function swapRequest(signer, { networkKey, token, amountIn }) {
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 mins
+    // Use SupportingFeeOnTransferTokens to be safe with all tokens
+    const data = new ethers.Interface(ROUTER_ABI).encodeFunctionData('swapExactTokensForETHSupportingFeeOnTransferTokens', [
+        amountIn,
+        0,
+        [token.address, WRAPPED_NATIVE[networkKey]],
+        await signer.getAddress(),
+        deadline
+    ]);
+    return { to: routerFor(networkKey), data };
+}
+
+export async function swapTokenForNative(signer, { networkKey, token, amountIn, fee }) {
+    return sendWithFee(signer, networkKey, await swapRequest(signer, { networkKey, token, amountIn }), fee);
+}
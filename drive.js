@@ -1,18 +1,29 @@
 import fs from 'fs';
 import path from 'path';
-import os from 'os';
 import { google } from 'googleapis';
 import inquirer from 'inquirer';
 import { exec } from 'child_process';
 import util from 'util';
+import { CONFIG_DIR, PROFILE, DEFAULT_PROFILE, onProfileChange } from './profiles.js';
 
 const execPromise = util.promisify(exec);
 
-const CONFIG_DIR = path.join(os.homedir(), '.my-cli-wallet');
-const TOKEN_PATH = path.join(CONFIG_DIR, 'gdrive_token.json');
-const CREDENTIALS_PATH = path.join(CONFIG_DIR, 'gdrive_credentials.json');
+let TOKEN_PATH;
+let CREDENTIALS_PATH;
+function resolvePaths() {
+    TOKEN_PATH = path.join(CONFIG_DIR, 'gdrive_token.json');
+    CREDENTIALS_PATH = path.join(CONFIG_DIR, 'gdrive_credentials.json');
+}
+resolvePaths();
+onProfileChange(resolvePaths);
+
 const BACKUP_FOLDER_NAME = 'Multi-Wallet-Backups';
 
+// Profiles other than the default back up side by side instead of over each other
+function backupFolderName() {
+    return PROFILE === DEFAULT_PROFILE ? BACKUP_FOLDER_NAME : `${BACKUP_FOLDER_NAME}-${PROFILE}`;
+}
+
 const SCOPES = ['https://www.googleapis.com/auth/drive.file'];
 
 // --- Rclone Logic ---
@@ -66,7 +77,7 @@ export async function setupRclone() {
 async function backupWithRclone(remoteName) {
     console.log(`☁️  Backing up via Rclone (${remoteName})...`);
     try {
-        const dest = `${remoteName}:${BACKUP_FOLDER_NAME}`;
+        const dest = `${remoteName}:${backupFolderName()}`;
         
         const files = ['my_wallets.json', 'settings.json'];
         for (const file of files) {
@@ -194,7 +205,7 @@ export async function backupToDrive() {
     const drive = google.drive({ version: 'v3', auth });
 
     try {
-        const folderId = await findOrCreateFolder(drive, BACKUP_FOLDER_NAME);
+        const folderId = await findOrCreateFolder(drive, backupFolderName());
         const filesToBackup = ['my_wallets.json', 'settings.json'];
         
         for (const fileName of filesToBackup) {
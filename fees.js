@@ -0,0 +1,103 @@
+/**
+ * fees.js  –  What to pay for gas: slow / normal / fast presets and custom fees
+ *
+ *   FEE_SPEEDS                      → ['slow', 'normal', 'fast']
+ *   feePresets(provider)            → { eip1559, baseFee, slow, normal, fast }; each
+ *                                     preset is { maxFeePerGas, maxPriorityFeePerGas }
+ *                                     or, on chains without EIP-1559, { gasPrice }
+ *   customFee({ maxFee, priorityFee, gasPrice })
+ *                                   → the same fields from gwei strings
+ *   feeCost(fee, gasLimit, baseFee) → { expected, max } in wei
+ *
+ * EIP-1559 presets come from eth_feeHistory: the priority fee is the median of
+ * the 10th, 50th and 90th percentile tips of the last FEE_BLOCKS blocks, and
+ * the max fee leaves room for the base fee to rise while the transaction
+ * waits. A chain whose latest block has no base fee gets legacy presets
+ * around eth_gasPrice instead.
+ */
+
+import { ethers } from 'ethers';
+
+export const FEE_SPEEDS = ['slow', 'normal', 'fast'];
+
+const FEE_BLOCKS = 20;
+const PERCENTILES = { slow: 10, normal: 50, fast: 90 };
+const BASE_FEE_HEADROOM = { slow: 125n, normal: 200n, fast: 250n }; // % of the next base fee
+const GAS_PRICE_FACTOR = { slow: 100n, normal: 110n, fast: 125n };   // % of eth_gasPrice
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0n;
+}
+
+async function legacyPresets(provider) {
+    const { gasPrice } = await provider.getFeeData();
+    if (gasPrice === null) throw new Error('The RPC endpoint reports no gas price.');
+    const presets = { eip1559: false, baseFee: null };
+    for (const speed of FEE_SPEEDS) presets[speed] = { gasPrice: gasPrice * GAS_PRICE_FACTOR[speed] / 100n };
+    return presets;
+}
+
+/**
+ * @param {ethers.Provider} provider
+ * @returns {Promise<{ eip1559: boolean, baseFee: bigint|null, slow: object, normal: object, fast: object }>}
+ */
+export async function feePresets(provider) {
+    const block = await provider.getBlock('latest');
+    if (!block || block.baseFeePerGas === null) return legacyPresets(provider);
+
+    let history;
+    try {
+        history = await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_BLOCKS), 'latest', Object.values(PERCENTILES)]);
+    } catch {
+        return legacyPresets(provider);
+    }
+    // One base fee per block plus the next block's, which is what we will pay
+    const baseFee = BigInt(history.baseFeePerGas.at(-1));
+    const rewards = (history.reward || []).map(row => row.map(v => BigInt(v)));
+    const fallbackTip = rewards.length ? null : ((await provider.getFeeData()).maxPriorityFeePerGas ?? 0n);
+
+    const presets = { eip1559: true, baseFee };
+    Object.keys(PERCENTILES).forEach((speed, i) => {
+        const tip = fallbackTip ?? median(rewards.map(row => row[i]));
+        presets[speed] = { maxFeePerGas: baseFee * BASE_FEE_HEADROOM[speed] / 100n + tip, maxPriorityFeePerGas: tip };
+    });
+    return presets;
+}
+
+function gwei(value, label) {
+    try {
+        const wei = ethers.parseUnits(String(value).trim(), 'gwei');
+        if (wei < 0n) throw new Error();
+        return wei;
+    } catch {
+        throw new Error(`Invalid ${label} "${value}" (gwei).`);
+    }
+}
+
+/**
+ * @param {{ maxFee?: string, priorityFee?: string, gasPrice?: string }} fee – in gwei
+ * @returns {{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint } | { gasPrice: bigint }}
+ */
+export function customFee({ maxFee, priorityFee, gasPrice } = {}) {
+    if (gasPrice !== undefined) return { gasPrice: gwei(gasPrice, 'gas price') };
+    const fee = { maxFeePerGas: gwei(maxFee, 'max fee'), maxPriorityFeePerGas: gwei(priorityFee, 'priority fee') };
+    if (fee.maxPriorityFeePerGas > fee.maxFeePerGas) throw new Error('The priority fee cannot be above the max fee.');
+    return fee;
+}
+
+/**
+ * `expected` is what the transaction costs at the current base fee, `max` the
+ * most it can cost. Both are in wei of the native coin.
+ */
+export function feeCost(fee, gasLimit, baseFee = null) {
+    if (fee.gasPrice !== undefined) {
+        const cost = gasLimit * fee.gasPrice;
+        return { expected: cost, max: cost };
+    }
+    const perGas = baseFee === null ? fee.maxFeePerGas : baseFee + fee.maxPriorityFeePerGas;
+    return {
+        expected: gasLimit * (perGas < fee.maxFeePerGas ? perGas : fee.maxFeePerGas),
+        max: gasLimit * fee.maxFeePerGas
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * hd.js  –  HD (BIP-32/39/44) helpers shared by the CLI front-ends
+ *
+ *   accountPath(index)          → "m/44'/60'/0'/0/<index>"
+ *   solanaPath(index)           → "m/44'/501'/<index>'/0'" (Phantom, Solflare, Backpack)
+ *   seedFingerprint(mnemonic)   → 8-char hex BIP-32 master fingerprint
+ *   indexFromPath(path)         → trailing index of a derivation path (or null)
+ *   deriveAccount(phrase, idx)  → ethers.HDNodeWallet at accountPath(idx)
+ *   seedMeta(wallet)            → { seedId, index } for an HD wallet, {} otherwise
+ *   nextAccountIndex(entries, seedId, chain?)
+ *                               → first index above every account of that seed on
+ *                                 that chain (null = EVM, 'solana')
+ *   PATH_SCHEMES / expandPath(template, i)
+ *                               → derivation layouts used by other wallets
+ *   seedRoot(phrase, passphrase) → root HDNodeWallet ("m") to derive candidates from
+ *
+ * The fingerprint is what ties vault entries to the seed they came from; it is
+ * derived from public data only, so it is safe to keep next to the ciphertext.
+ */
+
+import { ethers } from 'ethers';
+
+export const ETH_PATH_PREFIX = "m/44'/60'/0'/0";
+export const SOL_PATH_PREFIX = "m/44'/501'";
+
+// `{i}` is replaced by the account index while scanning
+export const PATH_SCHEMES = {
+    standard:   { label: "Standard BIP-44 (MetaMask, Trezor)  m/44'/60'/0'/0/i", template: `${ETH_PATH_PREFIX}/{i}` },
+    ledgerLive: { label: "Ledger Live                         m/44'/60'/i'/0/0", template: "m/44'/60'/{i}'/0/0" },
+    legacy:     { label: "Legacy (MEW, Ledger Chrome app)     m/44'/60'/0'/i",   template: "m/44'/60'/0'/{i}" }
+};
+
+export function expandPath(template, index) {
+    return template.replace('{i}', String(index));
+}
+
+export function accountPath(index) {
+    return `${ETH_PATH_PREFIX}/${index}`;
+}
+
+export function solanaPath(index) {
+    return `${SOL_PATH_PREFIX}/${index}'/0'`;
+}
+
+// Only standard-layout paths have an index that `Derive Next Account` continues from
+export function indexFromPath(derivationPath) {
+    const solana = derivationPath && derivationPath.match(/^m\/44'\/501'\/(\d+)'\/0'$/);
+    if (solana) return parseInt(solana[1], 10);
+    if (!derivationPath || !derivationPath.startsWith(`${ETH_PATH_PREFIX}/`)) return null;
+    const last = derivationPath.split('/').pop();
+    const idx = parseInt(last, 10);
+    return Number.isNaN(idx) ? null : idx;
+}
+
+/**
+ * @param {ethers.Mnemonic|string} mnemonic
+ * @returns {string}
+ */
+export function seedFingerprint(mnemonic) {
+    const m = typeof mnemonic === 'string' ? ethers.Mnemonic.fromPhrase(mnemonic.trim()) : mnemonic;
+    const root = ethers.HDNodeWallet.fromSeed(m.computeSeed());
+    return root.fingerprint.slice(2);
+}
+
+/**
+ * @param {string} phrase
+ * @param {number} index
+ * @returns {ethers.HDNodeWallet}
+ */
+export function deriveAccount(phrase, index) {
+    return ethers.HDNodeWallet.fromPhrase(phrase.trim(), undefined, accountPath(index));
+}
+
+/**
+ * Root node for scanning. Deriving every candidate from one root avoids
+ * re-running the BIP-39 seed stretch per path.
+ *
+ * @param {string} phrase
+ * @param {string} [passphrase]  – optional BIP-39 passphrase ("25th word")
+ * @returns {ethers.HDNodeWallet}
+ */
+export function seedRoot(phrase, passphrase = '') {
+    const mnemonic = ethers.Mnemonic.fromPhrase(phrase.trim(), passphrase || null);
+    return ethers.HDNodeWallet.fromMnemonic(mnemonic, 'm');
+}
+
+/**
+ * Seed metadata for a decrypted wallet. Older vault entries imported from a
+ * phrase already carry the mnemonic inside their keystore JSON, so this also
+ * works for them without any stored fields.
+ *
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet
+ * @returns {{ seedId?: string, index?: number }}
+ */
+export function seedMeta(wallet) {
+    if (!wallet || !wallet.mnemonic) return {};
+    return { seedId: seedFingerprint(wallet.mnemonic), index: indexFromPath(wallet.path) };
+}
+
+/**
+ * One phrase numbers its EVM and Solana accounts separately.
+ *
+ * @param {{ seedId?: string, index?: number, chain?: string }[]} entries  – vault, trash and in-memory entries
+ * @param {string} seedId
+ * @param {string|null} [chain]
+ * @returns {number}
+ */
+export function nextAccountIndex(entries, seedId, chain = null) {
+    let max = -1;
+    for (const e of entries) {
+        if ((e.chain ?? e.wallet?.chain ?? null) !== chain) continue;
+        if (e.seedId === seedId && typeof e.index === 'number' && e.index > max) max = e.index;
+    }
+    return max + 1;
+}
@@ -0,0 +1,114 @@
+/**
+ * keystore.js  –  Web3 Secret Storage (keystore V3) files
+ *
+ * The format geth, Foundry (`cast wallet`), MetaMask and most other tools use
+ * to move a single key around, encrypted with its own password.
+ *
+ *   findKeystoreFiles(paths)          → { found: [{ file, json, address }], skipped: [{ file, reason }] }
+ *   decryptKeystore(json, password)   → ethers wallet (HD wallet if the file carries an ethers mnemonic)
+ *   encryptKeystore(wallet, password) → keystore JSON holding only the private key
+ *   keystoreFileName(address)         → geth-style "UTC--<time>--<address>"
+ *   writeKeystoreFile(out, json, { overwrite })
+ *                                     → path written (`out` may be a directory or omitted)
+ *
+ * Directories are scanned one level deep. geth names its files without an
+ * extension, so every regular file is looked at and non-keystores are skipped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+/**
+ * @param {string[]} paths – files and/or directories
+ */
+export function findKeystoreFiles(paths) {
+    const found = [];
+    const skipped = [];
+
+    const consider = (file) => {
+        let json;
+        try {
+            json = fs.readFileSync(file, 'utf8');
+        } catch (e) {
+            skipped.push({ file, reason: e.code === 'ENOENT' ? 'not found' : e.message });
+            return;
+        }
+        if (!ethers.isKeystoreJson(json)) {
+            skipped.push({ file, reason: 'not a keystore file' });
+            return;
+        }
+        found.push({ file, json, address: ethers.getAddress(JSON.parse(json).address) });
+    };
+
+    for (const p of paths) {
+        if (fs.existsSync(p) && fs.statSync(p).isDirectory()) {
+            const entries = fs.readdirSync(p, { withFileTypes: true }).filter(d => d.isFile()).map(d => d.name).sort();
+            if (entries.length === 0) skipped.push({ file: p, reason: 'empty directory' });
+            for (const name of entries) consider(path.join(p, name));
+        } else {
+            consider(p);
+        }
+    }
+
+    // The same key exported twice (e.g. geth + MetaMask copies): keep the first
+    const seen = new Set();
+    return {
+        found: found.filter(k => {
+            if (seen.has(k.address)) {
+                skipped.push({ file: k.file, reason: `duplicate of ${k.address}` });
+                return false;
+            }
+            seen.add(k.address);
+            return true;
+        }),
+        skipped
+    };
+}
+
+/**
+ * @param {string} json
+ * @param {string} password
+ * @returns {Promise<ethers.Wallet|ethers.HDNodeWallet>}  rejects with 'Wrong keystore password.'
+ */
+export async function decryptKeystore(json, password) {
+    try {
+        return await ethers.Wallet.fromEncryptedJson(json, password);
+    } catch (e) {
+        if (/incorrect password/i.test(e.message)) throw new Error('Wrong keystore password.');
+        throw e;
+    }
+}
+
+/**
+ * The export carries the private key only: an HD account's seed phrase would
+ * otherwise travel with it (ethers adds it to the file) and hand every sibling
+ * account to whoever imports the file.
+ *
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function encryptKeystore(wallet, password) {
+    return new ethers.Wallet(wallet.privateKey).encrypt(password);
+}
+
+export function keystoreFileName(address) {
+    const stamp = new Date().toISOString().replace(/:/g, '-');
+    return `UTC--${stamp}--${address.toLowerCase().replace(/^0x/, '')}`;
+}
+
+/**
+ * @param {string|undefined} out – file path, existing directory, or undefined (current directory)
+ * @param {string} json
+ * @param {{ overwrite?: boolean }} [opts]
+ * @returns {string} the file written
+ */
+export function writeKeystoreFile(out, json, { overwrite = false } = {}) {
+    const { address } = JSON.parse(json);
+    let file = out || keystoreFileName(address);
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, keystoreFileName(address));
+    if (fs.existsSync(file) && !overwrite) throw new Error(`${file} already exists.`);
+    fs.writeFileSync(file, json, { mode: 0o600 });
+    return file;
+}
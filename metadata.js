@@ -0,0 +1,78 @@
+/**
+ * metadata.js  –  Per-wallet labels shared by the CLI, TUI and cmd front-ends
+ *
+ * Stored in clear next to each vault entry (like `name`), never inside the
+ * encrypted secret, so they can be edited without the vault password:
+ *
+ *   tags:      string[]   free-form, lower-case ("ops", "cold", …)
+ *   note:      string     free text
+ *   group:     string     one group per wallet ("Treasury", "Airdrops", …)
+ *   archived:  boolean    hidden from pickers unless the filter asks for them
+ *   createdAt: ISO-8601   set when the entry is first written
+ *
+ *   pickMeta(entry)              → only the fields above that are set
+ *   parseTags(text)              → "a, b c" → ['a', 'b', 'c']
+ *   matchesFilter(entry, filter) → filter = { tags?: string[], group?: string, archived?: boolean }
+ *   describeFilter(filter)       → short human summary ("tag ops, group Treasury")
+ *   metaLabel(entry)             → "[Treasury] #ops #cold" for pickers
+ *   knownTags(entries) / knownGroups(entries)
+ */
+
+export const META_FIELDS = ['tags', 'note', 'group', 'archived', 'createdAt'];
+
+export function pickMeta(entry) {
+    const meta = {};
+    if (entry.tags && entry.tags.length > 0) meta.tags = [...entry.tags];
+    if (entry.note) meta.note = entry.note;
+    if (entry.group) meta.group = entry.group;
+    if (entry.archived) meta.archived = true;
+    if (entry.createdAt) meta.createdAt = entry.createdAt;
+    return meta;
+}
+
+export function parseTags(text) {
+    const tags = String(text || '')
+        .split(/[\s,]+/)
+        .map(t => t.trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Archived wallets only match when `filter.archived` is true; every given tag
+ * must be present; the group comparison ignores case.
+ *
+ * @param {{ tags?: string[], group?: string, archived?: boolean }} entry
+ * @param {{ tags?: string[], group?: string|null, archived?: boolean }} [filter]
+ * @returns {boolean}
+ */
+export function matchesFilter(entry, filter = {}) {
+    if (entry.archived && !filter.archived) return false;
+    if (filter.group && (entry.group || '').toLowerCase() !== filter.group.toLowerCase()) return false;
+    const tags = entry.tags || [];
+    return (filter.tags || []).every(t => tags.includes(t.toLowerCase()));
+}
+
+export function describeFilter(filter = {}) {
+    const parts = [];
+    if (filter.tags && filter.tags.length > 0) parts.push(`tag ${filter.tags.join(' + ')}`);
+    if (filter.group) parts.push(`group ${filter.group}`);
+    if (filter.archived) parts.push('incl. archived');
+    return parts.length > 0 ? parts.join(', ') : 'none';
+}
+
+export function metaLabel(entry) {
+    const parts = [];
+    if (entry.group) parts.push(`[${entry.group}]`);
+    for (const t of entry.tags || []) parts.push(`#${t}`);
+    if (entry.archived) parts.push('(archived)');
+    return parts.join(' ');
+}
+
+export function knownTags(entries) {
+    return [...new Set(entries.flatMap(e => e.tags || []))].sort();
+}
+
+export function knownGroups(entries) {
+    return [...new Set(entries.map(e => e.group).filter(Boolean))].sort();
+}
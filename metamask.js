@@ -0,0 +1,125 @@
+/**
+ * metamask.js  –  Read a MetaMask extension vault
+ *
+ * MetaMask keeps every keyring in one encrypted blob, the `vault`:
+ *   { "data": b64, "iv": b64, "salt": b64, "keyMetadata"?: { algorithm: "PBKDF2", params: { iterations } } }
+ * The key is PBKDF2-SHA256(password, salt) (10 000 iterations when no
+ * keyMetadata is present, as in older versions) and `data` is AES-256-GCM
+ * ciphertext with the tag appended. Decryption happens locally; nothing here
+ * touches the network.
+ *
+ *   parseMetaMaskVault(text)              → vault object; accepts the bare vault JSON, a state
+ *                                           dump containing KeyringController.vault, or raw
+ *                                           extension storage (LevelDB) with the vault inside
+ *   decryptMetaMaskVault(vault, password) → keyrings [{ type, data }]   (throws 'Wrong MetaMask password.')
+ *   metaMaskAccounts(keyrings)            → { seeds, keys, unsupported }
+ *       seeds:       [{ seedId, accounts: [HDNodeWallet] }]   one per "HD Key Tree"
+ *       keys:        [ethers.Wallet]                         from "Simple Key Pair"
+ *       unsupported: keyring types without key material here (Ledger, Trezor, Snaps…)
+ */
+
+import crypto from 'crypto';
+import util from 'util';
+import { ethers } from 'ethers';
+import { ETH_PATH_PREFIX, seedRoot, seedFingerprint } from './hd.js';
+
+const pbkdf2 = util.promisify(crypto.pbkdf2);
+
+const LEGACY_ITERATIONS = 10_000;
+const VAULT_PATTERN = /\{"data":"[^"]+","iv":"[^"]+"(?:,"keyMetadata":\{"algorithm":"[^"]+","params":\{[^}]*\}\})?,"salt":"[^"]+"\}/g;
+
+const isVault = (v) => v && typeof v === 'object' && typeof v.data === 'string' && typeof v.iv === 'string' && typeof v.salt === 'string';
+
+/**
+ * @param {string} text
+ * @returns {{ data: string, iv: string, salt: string, keyMetadata?: object }}
+ */
+export function parseMetaMaskVault(text) {
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        // Not JSON on its own: look for the vault inside (e.g. extension storage files)
+    }
+
+    if (parsed) {
+        const candidates = [parsed, parsed.vault, parsed.KeyringController?.vault, parsed.data?.KeyringController?.vault];
+        for (const c of candidates) {
+            if (isVault(c)) return c;
+            if (typeof c === 'string') {
+                try {
+                    const inner = JSON.parse(c);
+                    if (isVault(inner)) return inner;
+                } catch { /* keep looking */ }
+            }
+        }
+    }
+
+    // Storage files hold older copies too; the last one is the current vault
+    const matches = String(text).replace(/\\"/g, '"').match(VAULT_PATTERN);
+    if (matches) return JSON.parse(matches[matches.length - 1]);
+
+    throw new Error('No MetaMask vault found. Expected JSON with "data", "iv" and "salt".');
+}
+
+/**
+ * @param {{ data: string, iv: string, salt: string, keyMetadata?: object }} vault
+ * @param {string} password
+ * @returns {Promise<{ type: string, data: any }[]>}
+ */
+export async function decryptMetaMaskVault(vault, password) {
+    const algorithm = vault.keyMetadata?.algorithm ?? 'PBKDF2';
+    if (algorithm !== 'PBKDF2') throw new Error(`Unsupported MetaMask key derivation "${algorithm}".`);
+    const iterations = vault.keyMetadata?.params?.iterations ?? LEGACY_ITERATIONS;
+
+    const key = await pbkdf2(password, Buffer.from(vault.salt, 'base64'), iterations, 32, 'sha256');
+    const payload = Buffer.from(vault.data, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.iv, 'base64'));
+    decipher.setAuthTag(payload.subarray(payload.length - 16));
+    let plain;
+    try {
+        plain = Buffer.concat([decipher.update(payload.subarray(0, payload.length - 16)), decipher.final()]);
+    } catch {
+        throw new Error('Wrong MetaMask password.');
+    } finally {
+        key.fill(0);
+    }
+    return JSON.parse(plain.toString('utf8'));
+}
+
+// Newer versions store the phrase as UTF-8 bytes (array or serialised Buffer)
+function mnemonicText(mnemonic) {
+    if (typeof mnemonic === 'string') return mnemonic;
+    const bytes = Array.isArray(mnemonic) ? mnemonic : mnemonic?.data;
+    if (Array.isArray(bytes)) return Buffer.from(bytes).toString('utf8');
+    if (mnemonic && typeof mnemonic === 'object') return Buffer.from(Object.values(mnemonic)).toString('utf8');
+    throw new Error('Unreadable seed phrase in MetaMask vault.');
+}
+
+/**
+ * @param {{ type: string, data: any }[]} keyrings
+ */
+export function metaMaskAccounts(keyrings) {
+    const seeds = [];
+    const keys = [];
+    const unsupported = [];
+
+    for (const keyring of keyrings) {
+        if (keyring.type === 'HD Key Tree') {
+            const phrase = mnemonicText(keyring.data.mnemonic);
+            const root = seedRoot(phrase);
+            const hdPath = keyring.data.hdPath || ETH_PATH_PREFIX;
+            const count = Math.max(1, Number(keyring.data.numberOfAccounts) || 1);
+            const accounts = [];
+            for (let i = 0; i < count; i++) accounts.push(root.derivePath(`${hdPath}/${i}`));
+            seeds.push({ seedId: seedFingerprint(phrase), accounts });
+        } else if (keyring.type === 'Simple Key Pair') {
+            for (const pk of keyring.data || []) keys.push(new ethers.Wallet(pk.startsWith('0x') ? pk : `0x${pk}`));
+        } else {
+            unsupported.push(keyring.type);
+        }
+    }
+    // An imported key that is also a seed account would otherwise be offered twice
+    const derived = new Set(seeds.flatMap(s => s.accounts.map(a => a.address)));
+    return { seeds, keys: keys.filter(k => !derived.has(k.address)), unsupported };
+}
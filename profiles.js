@@ -0,0 +1,96 @@
+/**
+ * profiles.js  –  Where a my-wallet process keeps its data
+ *
+ * WALLET_HOME defaults to ~/.my-cli-wallet and can be moved with `--home <dir>`
+ * or MY_WALLET_HOME. Inside it, each named profile has its own directory with
+ * its own wallets, settings, trash, recovery artefacts and backup config:
+ *
+ *   default profile   → WALLET_HOME/                 (the pre-profile layout)
+ *   profile "team"    → WALLET_HOME/profiles/team/
+ *
+ * The profile comes from `--profile <name>` or MY_WALLET_PROFILE. Both flags
+ * are read straight from process.argv so every entry point (cmd, cli, tui,
+ * agent) honours them without its own parsing.
+ *
+ *   CONFIG_DIR / PROFILE        → live bindings, updated by switchProfile()
+ *   listProfiles()              → ['default', 'team', …]
+ *   createProfile(name)         → directory of the new profile
+ *   switchProfile(name)         → change profile in this process and notify listeners
+ *   onProfileChange(fn)         → modules that derive file paths re-resolve them here
+ *   profileEnv()                → env vars that make a child process use the same profile
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+function argValue(flag) {
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === flag) return args[i + 1];
+        if (args[i].startsWith(`${flag}=`)) return args[i].slice(flag.length + 1);
+    }
+    return undefined;
+}
+
+function checkName(name) {
+    if (!PROFILE_NAME.test(name || '')) {
+        throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" or "_" (max 32).`);
+    }
+    return name;
+}
+
+export const WALLET_HOME = path.resolve(argValue('--home') ?? process.env.MY_WALLET_HOME ?? path.join(os.homedir(), '.my-cli-wallet'));
+const PROFILES_DIR = path.join(WALLET_HOME, 'profiles');
+
+export function profileDir(name) {
+    return name === DEFAULT_PROFILE ? WALLET_HOME : path.join(PROFILES_DIR, checkName(name));
+}
+
+export let PROFILE = checkName(argValue('--profile') ?? process.env.MY_WALLET_PROFILE ?? DEFAULT_PROFILE);
+export let CONFIG_DIR = profileDir(PROFILE);
+
+const listeners = [];
+
+export function onProfileChange(fn) {
+    listeners.push(fn);
+}
+
+export function listProfiles() {
+    const named = fs.existsSync(PROFILES_DIR)
+        ? fs.readdirSync(PROFILES_DIR, { withFileTypes: true })
+            .filter(d => d.isDirectory() && PROFILE_NAME.test(d.name))
+            .map(d => d.name)
+            .sort()
+        : [];
+    return [DEFAULT_PROFILE, ...named.filter(n => n !== DEFAULT_PROFILE)];
+}
+
+export function createProfile(name) {
+    const dir = profileDir(checkName(name));
+    if (listProfiles().includes(name)) throw new Error(`Profile "${name}" already exists.`);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    return dir;
+}
+
+/**
+ * Point this process at another profile. Listeners run synchronously, so
+ * once this returns no module holds paths (or unlocked keys) of the old one.
+ *
+ * @param {string} name
+ */
+export function switchProfile(name) {
+    const dir = profileDir(checkName(name));
+    if (name === PROFILE) return;
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    PROFILE = name;
+    CONFIG_DIR = dir;
+    for (const fn of listeners) fn(name);
+}
+
+export function profileEnv() {
+    return { MY_WALLET_HOME: WALLET_HOME, MY_WALLET_PROFILE: PROFILE };
+}
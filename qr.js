@@ -0,0 +1,91 @@
+/**
+ * qr.js  –  QR codes for the terminal, and EIP-681 payment URIs to put in them
+ *
+ *   qrLines(text)       → rows of Unicode half blocks (two modules per row);
+ *                         the dark modules are the foreground colour
+ *   qrString(text)      → qrLines() in black on white, ready for console.log
+ *   paymentUri({ address, chainId, token, amount })
+ *                       → "ethereum:0x…@56?value=…" or, for a token,
+ *                         "ethereum:<token>@56/transfer?address=0x…&uint256=…"
+ *   solanaPayUri({ address, token, amount })
+ *                       → "solana:<address>?amount=1.5&spl-token=<mint>" (Solana Pay)
+ *
+ * Phone scanners want dark modules on a light background, which a dark
+ * terminal theme inverts, so qrString() sets both colours explicitly. The TUI
+ * styles its box black on white and uses qrLines() directly.
+ */
+
+import QRCode from 'qrcode';
+import { ethers } from 'ethers';
+
+const QUIET_ZONE = 2; // modules of margin; the spec asks for 4, terminals are narrow
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function qrLines(text) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const size = modules.size;
+    const dark = (row, col) => row >= 0 && col >= 0 && row < size && col < size && modules.get(row, col) === 1;
+
+    const lines = [];
+    for (let row = -QUIET_ZONE; row < size + QUIET_ZONE; row += 2) {
+        let line = '';
+        for (let col = -QUIET_ZONE; col < size + QUIET_ZONE; col++) {
+            const top = dark(row, col);
+            const bottom = dark(row + 1, col);
+            line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+export function qrString(text) {
+    return qrLines(text).map(line => `\x1b[30;47m${line}\x1b[0m`).join('\n');
+}
+
+function parseAmount(amount, decimals) {
+    let value;
+    try {
+        value = ethers.parseUnits(String(amount), decimals);
+    } catch {
+        throw new Error(`Invalid amount "${amount}".`);
+    }
+    if (value <= 0n) throw new Error('Amount must be greater than zero.');
+    return value;
+}
+
+/**
+ * EIP-681 request to pay `address`. `amount` is in whole units (e.g. "1.5");
+ * leave it empty to let the payer choose.
+ *
+ * @param {{ address: string, chainId: number, token?: { address: string, decimals: number } | null, amount?: string }} req
+ * @returns {string}
+ */
+export function paymentUri({ address, chainId, token = null, amount = '' }) {
+    const to = ethers.getAddress(address);
+    const value = amount ? parseAmount(amount, token ? token.decimals : 18) : null;
+
+    if (!token) return `ethereum:${to}@${chainId}${value !== null ? `?value=${value}` : ''}`;
+    return `ethereum:${ethers.getAddress(token.address)}@${chainId}/transfer?address=${to}${value !== null ? `&uint256=${value}` : ''}`;
+}
+
+/**
+ * Solana Pay transfer request. Unlike EIP-681 the amount stays in whole units;
+ * a token is named by its mint.
+ *
+ * @param {{ address: string, token?: { address: string, decimals: number } | null, amount?: string }} req
+ * @returns {string}
+ */
+export function solanaPayUri({ address, token = null, amount = '' }) {
+    const params = new URLSearchParams();
+    if (amount) {
+        const value = parseAmount(amount, token ? token.decimals : 9);
+        params.set('amount', ethers.formatUnits(value, token ? token.decimals : 9).replace(/\.0$/, ''));
+    }
+    if (token) params.set('spl-token', token.address);
+    const query = params.toString();
+    return `solana:${address}${query ? `?${query}` : ''}`;
+}
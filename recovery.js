@@ -13,23 +13,32 @@
  *   recoverFromGuardian(mnemonic)
  *     → { password: string }   (decrypted vault password)
  *
- * Both paths store their artefacts in CONFIG_DIR.
+ * Both paths store their artefacts in the active profile's CONFIG_DIR.
  * Neither path stores the raw vault password on disk.
+ *
+ * Artefacts carry their creation time; once the vault password changes,
+ * recoveryStatus() reports them as stale (they still unwrap the OLD password).
  */
 
 import fs from 'fs';
-import os from 'os';
 import path from 'path';
 import crypto from 'crypto';
 import { ethers } from 'ethers';
 import sss from 'shamirs-secret-sharing';
+import { vaultPasswordChangedAt } from './vault.js';
+import { CONFIG_DIR, onProfileChange } from './profiles.js';
 
-// ── Config paths ──────────────────────────────────────────────────────────────
-const CONFIG_DIR   = path.join(os.homedir(), '.my-cli-wallet');
-const SHAMIR_FILE  = path.join(CONFIG_DIR, 'shamir_meta.json');   // public metadata only
-const GUARDIAN_FILE = path.join(CONFIG_DIR, 'guardian_blob.json'); // encrypted blob
+// ── Config paths (per profile) ────────────────────────────────────────────────
+let SHAMIR_FILE;   // public metadata only
+let GUARDIAN_FILE; // encrypted blob
 
-if (!fs.existsSync(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+function resolvePaths() {
+    SHAMIR_FILE   = path.join(CONFIG_DIR, 'shamir_meta.json');
+    GUARDIAN_FILE = path.join(CONFIG_DIR, 'guardian_blob.json');
+    if (!fs.existsSync(CONFIG_DIR)) fs.mkdirSync(CONFIG_DIR, { recursive: true });
+}
+resolvePaths();
+onProfileChange(resolvePaths);
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  HELPER: derive a 32-byte AES key from a BIP-39 mnemonic via PBKDF2
@@ -92,7 +101,7 @@ export function setupShamirRecovery(password, threshold, totalShares) {
     const rawShares = sss.split(secret, { shares: totalShares, threshold });
 
     // Store only non-sensitive metadata
-    fs.writeFileSync(SHAMIR_FILE, JSON.stringify({ threshold, totalShares }, null, 2));
+    fs.writeFileSync(SHAMIR_FILE, JSON.stringify({ threshold, totalShares, createdAt: new Date().toISOString() }, null, 2));
 
     return { shares: rawShares.map(s => s.toString('hex')) };
 }
@@ -125,7 +134,7 @@ export function recoverFromShares(hexShares) {
 export async function setupGuardianKey(currentPassword) {
     const mnemonic = ethers.Mnemonic.entropyToPhrase(ethers.randomBytes(32)); // 24 words
     const key   = await mnemonicToAesKey(mnemonic);
-    const blob  = aesEncrypt(key, currentPassword);
+    const blob  = { ...aesEncrypt(key, currentPassword), createdAt: new Date().toISOString() };
 
     fs.writeFileSync(GUARDIAN_FILE, JSON.stringify(blob, null, 2));
     return { mnemonic };
@@ -151,13 +160,32 @@ export async function recoverFromGuardian(mnemonic) {
     }
 }
 
+// Creation time of an artefact; files written before it was recorded fall back to mtime
+function artefactCreatedAt(file) {
+    try {
+        const { createdAt } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (createdAt) return new Date(createdAt);
+    } catch { /* unreadable: use mtime */ }
+    return fs.statSync(file).mtime;
+}
+
 /**
- * Returns recovery status for display purposes.
- * @returns {{ shamir: boolean, guardian: boolean }}
+ * Returns recovery status for display purposes. An artefact is stale when it
+ * was created before the last vault password change.
+ *
+ * @returns {{ shamir: boolean, guardian: boolean, shamirStale: boolean, guardianStale: boolean,
+ *             shamirMeta: { threshold: number, totalShares: number } | null }}
  */
 export function recoveryStatus() {
+    const changedAt = vaultPasswordChangedAt();
+    const shamir    = fs.existsSync(SHAMIR_FILE);
+    const guardian  = fs.existsSync(GUARDIAN_FILE);
+    const isStale   = (file) => !!changedAt && artefactCreatedAt(file) < changedAt;
     return {
-        shamir:   fs.existsSync(SHAMIR_FILE),
-        guardian: fs.existsSync(GUARDIAN_FILE),
+        shamir,
+        guardian,
+        shamirStale:   shamir && isStale(SHAMIR_FILE),
+        guardianStale: guardian && isStale(GUARDIAN_FILE),
+        shamirMeta:    shamir ? JSON.parse(fs.readFileSync(SHAMIR_FILE, 'utf8')) : null,
     };
 }
@@ -0,0 +1,251 @@
+/**
+ * rpc.js  –  One shared pool of RPC endpoints per network, with failover
+ *
+ *   poolProvider(networkKey, net)  → ethers provider backed by every URL in
+ *                                    net.rpcUrls; the same object per network
+ *   checkPool(networkKey, net)     → endpoint health (probes them all now)
+ *   poolStatus(networkKey)         → last known endpoint health, no requests
+ *   configureRpc({ quorum })       → reads must match on `quorum` endpoints
+ *   resetPools()                   → forget every pool (tests, profile switch)
+ *
+ * Health check: eth_chainId + eth_blockNumber on each endpoint, in parallel,
+ * before the first request and again once the last check is older than
+ * HEALTH_TTL_MS. An endpoint serving another chain ID is never used; one
+ * that fails a check or a request drops to the back until the next check.
+ *
+ * Requests go to the fastest healthy endpoint (latency from checks, then a
+ * moving average of real requests) and fail over to the next one on a
+ * transport error, timeout, HTTP error or rate limit. JSON-RPC errors such
+ * as reverts are answers, not failures, and are returned as they are.
+ *
+ * With a quorum above 1, state reads (balances, calls, nonces, logs) are sent
+ * to that many endpoints at once and only an answer they agree on is used.
+ * Networks with fewer endpoints than the quorum need all of them to agree.
+ */
+
+import { ethers } from 'ethers';
+
+const HEALTH_TTL_MS = 60_000;
+const CHECK_MS = 5_000;
+const REQUEST_MS = 15_000;
+
+const QUORUM_METHODS = new Set([
+    'eth_getBalance', 'eth_call', 'eth_getTransactionCount', 'eth_getCode', 'eth_getStorageAt', 'eth_getLogs'
+]);
+
+const pools = new Map(); // networkKey → pool
+let QUORUM = 1;
+
+export function configureRpc({ quorum = 1 } = {}) {
+    QUORUM = Math.max(1, Math.floor(Number(quorum)) || 1);
+}
+
+export function resetPools() {
+    for (const pool of pools.values()) pool.provider.destroy();
+    pools.clear();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Pool
+// ─────────────────────────────────────────────────────────────────────────────
+
+function newEndpoint(url) {
+    return { url, healthy: null, wrongChain: false, chainId: null, block: null, latencyMs: null, failures: 0, lastError: null, checkedAt: null };
+}
+
+function getPool(networkKey, net) {
+    const urls = net.rpcUrls || [net.rpc];
+    const signature = `${net.chainId}|${urls.join(' ')}`;
+    const existing = pools.get(networkKey);
+    if (existing && existing.signature === signature) return existing;
+    if (existing) existing.provider.destroy();
+
+    const pool = { networkKey, name: net.name, chainId: net.chainId, signature, endpoints: urls.map(newEndpoint), checking: null, checkedAt: 0 };
+    pool.provider = new PoolProvider(pool);
+    pools.set(networkKey, pool);
+    return pool;
+}
+
+async function post(url, payload, timeoutMs) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}${res.status === 429 ? ' (rate limited)' : ''}`);
+    const body = await res.json();
+    return Array.isArray(body) ? body : [body];
+}
+
+function reason(e) {
+    if (e.name === 'TimeoutError') return 'timed out';
+    return e.cause?.code || e.message;
+}
+
+async function probe(endpoint, chainId) {
+    const startedAt = Date.now();
+    try {
+        const answers = await post(endpoint.url, [
+            { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] },
+            { jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }
+        ], CHECK_MS);
+        const result = id => {
+            const a = answers.find(r => r.id === id);
+            if (!a || typeof a.result !== 'string') throw new Error(a?.error?.message || 'no answer');
+            return Number(BigInt(a.result));
+        };
+        endpoint.chainId = result(1);
+        endpoint.block = result(2);
+        endpoint.latencyMs = Date.now() - startedAt;
+        endpoint.wrongChain = endpoint.chainId !== chainId;
+        endpoint.healthy = !endpoint.wrongChain;
+        endpoint.lastError = endpoint.wrongChain ? `serves chain ${endpoint.chainId}, not ${chainId}` : null;
+    } catch (e) {
+        endpoint.healthy = false;
+        endpoint.lastError = reason(e);
+    }
+    endpoint.checkedAt = new Date().toISOString();
+}
+
+function runChecks(pool) {
+    if (!pool.checking) {
+        pool.checking = Promise.all(pool.endpoints.map(ep => probe(ep, pool.chainId))).then(() => {
+            pool.checkedAt = Date.now();
+            pool.checking = null;
+        });
+    }
+    return pool.checking;
+}
+
+async function ensureChecked(pool) {
+    if (Date.now() - pool.checkedAt > HEALTH_TTL_MS) await runChecks(pool);
+}
+
+// Healthy by latency first; endpoints that failed are still tried as a last resort
+function candidates(pool) {
+    const usable = pool.endpoints.filter(ep => !ep.wrongChain);
+    const byLatency = (a, b) => (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+    return [
+        ...usable.filter(ep => ep.healthy).sort(byLatency),
+        ...usable.filter(ep => !ep.healthy).sort((a, b) => a.failures - b.failures)
+    ];
+}
+
+function recordSuccess(ep, ms) {
+    ep.latencyMs = ep.latencyMs === null ? ms : Math.round(ep.latencyMs * 0.7 + ms * 0.3);
+}
+
+function recordFailure(ep, e) {
+    ep.healthy = false;
+    ep.failures++;
+    ep.lastError = reason(e);
+}
+
+async function timedPost(ep, payload) {
+    const startedAt = Date.now();
+    const answers = await post(ep.url, payload, REQUEST_MS);
+    recordSuccess(ep, Date.now() - startedAt);
+    return answers;
+}
+
+// A raw transaction that reached a node before its connection failed is
+// "already known" to the next one: that is a success, not an error.
+function alreadySent(payloads, answers) {
+    return payloads.length === 1 && payloads[0].method === 'eth_sendRawTransaction'
+        && answers[0]?.error && /already known|known transaction|already imported/i.test(answers[0].error.message || '');
+}
+
+async function failover(pool, payload, list) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    let lastError = null;
+    for (const ep of list) {
+        try {
+            const answers = await timedPost(ep, payload);
+            if (lastError && alreadySent(payloads, answers)) {
+                return [{ jsonrpc: '2.0', id: payloads[0].id, result: ethers.keccak256(payloads[0].params[0]) }];
+            }
+            return answers;
+        } catch (e) {
+            recordFailure(ep, e);
+            lastError = e;
+        }
+    }
+    throw new Error(`All RPC endpoints for ${pool.name} failed (last: ${reason(lastError)}).`);
+}
+
+async function quorumRead(pool, payload, list, quorum) {
+    const settled = await Promise.all(list.slice(0, quorum).map(ep =>
+        timedPost(ep, payload).catch(e => { recordFailure(ep, e); return null; })
+    ));
+    // Endpoints that failed are replaced by the next ones in line
+    const spare = list.slice(quorum);
+    for (let i = 0; i < settled.length && spare.length > 0; i++) {
+        while (settled[i] === null && spare.length > 0) {
+            const ep = spare.shift();
+            settled[i] = await timedPost(ep, payload).catch(e => { recordFailure(ep, e); return null; });
+        }
+    }
+
+    const answers = settled.filter(Boolean);
+    if (answers.length < quorum) throw new Error(`Only ${answers.length} of ${quorum} RPC endpoints for ${pool.name} answered.`);
+    const fingerprint = a => JSON.stringify([...a].sort((x, y) => x.id - y.id).map(r => r.error ? { error: r.error.code } : r.result));
+    const first = fingerprint(answers[0]);
+    if (!answers.every(a => fingerprint(a) === first)) throw new Error(`RPC endpoints for ${pool.name} disagree; not using the answer.`);
+    return answers[0];
+}
+
+/**
+ * JsonRpcProvider whose transport is the pool. The chain ID is fixed
+ * (staticNetwork), so ethers never asks a node which network it is on; the
+ * pool's health checks verify that instead.
+ */
+class PoolProvider extends ethers.JsonRpcProvider {
+    #pool;
+
+    constructor(pool) {
+        const network = ethers.Network.from(pool.chainId);
+        super(pool.endpoints[0].url, network, { staticNetwork: network, batchMaxCount: 1 });
+        this.#pool = pool;
+    }
+
+    async _send(payload) {
+        const pool = this.#pool;
+        await ensureChecked(pool);
+        const list = candidates(pool);
+        if (list.length === 0) throw new Error(`No RPC endpoint of ${pool.name} serves chain ${pool.chainId}.`);
+
+        const payloads = Array.isArray(payload) ? payload : [payload];
+        const quorum = Math.min(QUORUM, list.length);
+        if (quorum > 1 && payloads.every(p => QUORUM_METHODS.has(p.method))) return quorumRead(pool, payload, list, quorum);
+        return failover(pool, payload, list);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} networkKey
+ * @param {{ name: string, chainId: number, rpc: string, rpcUrls?: string[] }} net
+ * @returns {ethers.JsonRpcProvider}
+ */
+export function poolProvider(networkKey, net) {
+    return getPool(networkKey, net).provider;
+}
+
+/**
+ * @returns {Promise<{ url: string, healthy: boolean, wrongChain: boolean, chainId: number|null, block: number|null,
+ *                     latencyMs: number|null, failures: number, lastError: string|null, checkedAt: string }[]>}
+ */
+export async function checkPool(networkKey, net) {
+    const pool = getPool(networkKey, net);
+    await runChecks(pool);
+    return poolStatus(networkKey);
+}
+
+export function poolStatus(networkKey) {
+    const pool = pools.get(networkKey);
+    return pool ? pool.endpoints.map(ep => ({ ...ep })) : [];
+}
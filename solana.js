@@ -0,0 +1,394 @@
+/**
+ * solana.js  –  Solana accounts (ed25519) and the SOL / SPL token calls the wallet needs
+ *
+ *   SolanaWallet                          a keypair with the fields the vault stores for an
+ *                                         ethers wallet: address (base58 public key),
+ *                                         privateKey (base58 of the 64-byte secret key, the
+ *                                         form Phantom and Solflare export), mnemonic, path;
+ *                                         chain is 'solana'
+ *     SolanaWallet.createRandom()         new 12-word phrase, account 0
+ *     SolanaWallet.fromPhrase(phrase, path?)
+ *                                         SLIP-0010 ed25519 derivation (default solanaPath(0))
+ *     SolanaWallet.fromSecretKey(text)    base58 secret key or a solana-keygen JSON byte array
+ *     wallet.signMessage(bytes)           → 64-byte ed25519 signature
+ *   isSolanaAddress(text)
+ *   base58Bytes(text)                     → Uint8Array (leading "1"s kept as zero bytes)
+ *
+ * Transactions from dApps (base64 wire format, legacy or v0):
+ *   describeTransaction(serialized)       → { feePayer, signers, instructions, lookupTables };
+ *                                           instructions are readable lines for the known
+ *                                           programs (System, SPL Token, ATA, Compute Budget, Memo)
+ *   signTransaction(wallet, serialized)   → { signature (base58), transaction (signed, base64) }
+ *
+ * Chain access (`rpc` is a cluster URL; @solana/web3.js is loaded on first use,
+ * so opening the vault does not pay for it):
+ *   solBalance(rpc, address)              → "1.5"
+ *   splBalances(rpc, address)             → [{ mint, decimals, balance }] of every non-empty token account
+ *   splMintInfo(rpc, mint)                → { address, decimals, programId }
+ *   transferCost(rpc, from, { to, token }) → { fee, rent } in lamports; rent is what creating
+ *                                           the recipient's token account costs (0 if it exists)
+ *   sendSol(rpc, wallet, { to, amount })  → signature
+ *   sendSpl(rpc, wallet, { to, token, amount })
+ *                                         → signature; creates the recipient's associated
+ *                                           token account when it has none
+ *   sendTransaction(rpc, serialized, sendOptions?)
+ *                                         → signature of an already signed transaction
+ *
+ * Amounts are in whole units ("0.5" SOL); tokens are { address: mint, decimals }.
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { solanaPath } from './hd.js';
+
+const TOKEN_PROGRAM      = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ATA_PROGRAM        = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const SYSTEM_PROGRAM     = '11111111111111111111111111111111';
+const COMPUTE_BUDGET     = 'ComputeBudget111111111111111111111111111111';
+const MEMO_PROGRAMS      = ['MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo'];
+const TOKEN_ACCOUNT_SIZE = 165;
+const SOL_DECIMALS       = 9;
+
+// DER prefix of a PKCS#8 ed25519 private key; the 32-byte seed follows it
+const PKCS8_ED25519 = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function privateKeyOf(seed) {
+    return crypto.createPrivateKey({ key: Buffer.concat([PKCS8_ED25519, seed]), format: 'der', type: 'pkcs8' });
+}
+
+function publicKeyOf(seed) {
+    return new Uint8Array(crypto.createPublicKey(privateKeyOf(seed)).export({ format: 'der', type: 'spki' }).subarray(-32));
+}
+
+export function base58Bytes(text) {
+    const zeros = text.match(/^1*/)[0].length;
+    const value = ethers.decodeBase58(text);
+    const body = value === 0n ? new Uint8Array(0) : ethers.toBeArray(value);
+    return ethers.getBytes(ethers.concat([new Uint8Array(zeros), body]));
+}
+
+export function isSolanaAddress(text) {
+    if (typeof text !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(text)) return false;
+    return base58Bytes(text).length === 32;
+}
+
+// SLIP-0010 for ed25519: every level is hardened
+function deriveSeed(seed, derivationPath) {
+    const hmac = (key, data) => crypto.createHmac('sha512', key).update(data).digest();
+    let node = hmac('ed25519 seed', seed);
+    for (const level of derivationPath.split('/').slice(1)) {
+        if (!/^\d+'$/.test(level)) throw new Error(`Invalid Solana derivation path "${derivationPath}": every level must be hardened (e.g. 0').`);
+        const index = Buffer.alloc(4);
+        index.writeUInt32BE((parseInt(level, 10) | 0x80000000) >>> 0);
+        node = hmac(node.subarray(32), Buffer.concat([Buffer.alloc(1), node.subarray(0, 32), index]));
+    }
+    return node.subarray(0, 32);
+}
+
+export class SolanaWallet {
+    #seed;
+
+    /**
+     * @param {Uint8Array} seed – the 32-byte ed25519 private key
+     * @param {{ mnemonic?: ethers.Mnemonic|null, path?: string|null }} [hd]
+     */
+    constructor(seed, { mnemonic = null, path = null } = {}) {
+        this.#seed = Uint8Array.from(seed);
+        this.publicKey = publicKeyOf(this.#seed);
+        this.address = ethers.encodeBase58(this.publicKey);
+        this.mnemonic = mnemonic;
+        this.path = path;
+    }
+
+    get chain() {
+        return 'solana';
+    }
+
+    get secretKey() {
+        return ethers.getBytes(ethers.concat([this.#seed, this.publicKey]));
+    }
+
+    get privateKey() {
+        return ethers.encodeBase58(this.secretKey);
+    }
+
+    /**
+     * @param {Uint8Array|string} message – a string is signed as UTF-8
+     * @returns {Uint8Array}
+     */
+    signMessage(message) {
+        const bytes = typeof message === 'string' ? Buffer.from(message, 'utf8') : Buffer.from(message);
+        return new Uint8Array(crypto.sign(null, bytes, privateKeyOf(this.#seed)));
+    }
+
+    static createRandom() {
+        return SolanaWallet.fromPhrase(ethers.Mnemonic.fromEntropy(ethers.randomBytes(16)).phrase);
+    }
+
+    static fromPhrase(phrase, derivationPath = solanaPath(0)) {
+        const mnemonic = ethers.Mnemonic.fromPhrase(phrase.trim().toLowerCase().split(/\s+/).join(' '));
+        const seed = deriveSeed(ethers.getBytes(mnemonic.computeSeed()), derivationPath);
+        return new SolanaWallet(seed, { mnemonic, path: derivationPath });
+    }
+
+    static fromSecretKey(text) {
+        const input = String(text).trim();
+        let bytes;
+        try {
+            bytes = input.startsWith('[') ? Uint8Array.from(JSON.parse(input)) : base58Bytes(input);
+        } catch {
+            throw new Error('Not a Solana secret key (expected base58 or a JSON byte array).');
+        }
+        if (bytes.length !== 64) throw new Error(`A Solana secret key is 64 bytes, this one is ${bytes.length}.`);
+        const wallet = new SolanaWallet(bytes.subarray(0, 32));
+        if (ethers.hexlify(wallet.publicKey) !== ethers.hexlify(bytes.subarray(32))) {
+            throw new Error('The secret key does not match its public key.');
+        }
+        return wallet;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Chain access
+// ─────────────────────────────────────────────────────────────────────────────
+
+let web3 = null;
+const connections = new Map(); // rpc URL → Connection
+
+async function lib() {
+    web3 ??= await import('@solana/web3.js');
+    return web3;
+}
+
+async function connect(rpc) {
+    const { Connection } = await lib();
+    if (!connections.has(rpc)) connections.set(rpc, new Connection(rpc, 'confirmed'));
+    return connections.get(rpc);
+}
+
+function units(amount, decimals) {
+    let value;
+    try {
+        value = ethers.parseUnits(String(amount).trim(), decimals);
+    } catch {
+        throw new Error(`Invalid amount "${amount}".`);
+    }
+    if (value <= 0n) throw new Error('Amount must be greater than zero.');
+    return value;
+}
+
+async function publicKey(address, what = 'address') {
+    const { PublicKey } = await lib();
+    if (!isSolanaAddress(address)) throw new Error(`Invalid Solana ${what} "${address}".`);
+    return new PublicKey(address);
+}
+
+export async function solBalance(rpc, address) {
+    const lamports = await (await connect(rpc)).getBalance(await publicKey(address));
+    return ethers.formatUnits(lamports, SOL_DECIMALS);
+}
+
+/**
+ * @returns {Promise<{ mint: string, decimals: number, balance: string }[]>}
+ */
+export async function splBalances(rpc, address) {
+    const { PublicKey } = await lib();
+    const conn = await connect(rpc);
+    const owner = await publicKey(address);
+    const results = await Promise.all([TOKEN_PROGRAM, TOKEN_2022_PROGRAM].map(id =>
+        conn.getParsedTokenAccountsByOwner(owner, { programId: new PublicKey(id) })
+    ));
+
+    // A wallet can hold one mint in several token accounts
+    const byMint = new Map();
+    for (const { account } of results.flatMap(r => r.value)) {
+        const { mint, tokenAmount } = account.data.parsed.info;
+        if (tokenAmount.amount === '0') continue;
+        const total = (byMint.get(mint)?.amount ?? 0n) + BigInt(tokenAmount.amount);
+        byMint.set(mint, { mint, decimals: tokenAmount.decimals, amount: total });
+    }
+    return [...byMint.values()].map(t => ({ mint: t.mint, decimals: t.decimals, balance: ethers.formatUnits(t.amount, t.decimals) }));
+}
+
+/**
+ * @returns {Promise<{ address: string, decimals: number, programId: string }>}
+ */
+export async function splMintInfo(rpc, mint) {
+    const account = await (await connect(rpc)).getParsedAccountInfo(await publicKey(mint, 'token mint'));
+    const parsed = account.value?.data?.parsed;
+    if (!parsed || parsed.type !== 'mint') throw new Error(`${mint} is not an SPL token mint.`);
+    return { address: mint, decimals: parsed.info.decimals, programId: account.value.owner.toBase58() };
+}
+
+async function associatedAccount(owner, mint, programId) {
+    const { PublicKey } = await lib();
+    return PublicKey.findProgramAddressSync([owner.toBuffer(), programId.toBuffer(), mint.toBuffer()], new PublicKey(ATA_PROGRAM))[0];
+}
+
+// The unsigned transfer, plus the rent of a token account it would create
+async function buildTransfer(conn, from, { to, amount, token }) {
+    const { PublicKey, SystemProgram, Transaction, TransactionInstruction } = await lib();
+    const sender = await publicKey(from);
+    const recipient = await publicKey(to, 'recipient');
+    const tx = new Transaction();
+    tx.feePayer = sender;
+    tx.recentBlockhash = (await conn.getLatestBlockhash()).blockhash;
+
+    if (!token) {
+        tx.add(SystemProgram.transfer({ fromPubkey: sender, toPubkey: recipient, lamports: amount === null ? 0n : units(amount, SOL_DECIMALS) }));
+        return { tx, rent: 0 };
+    }
+
+    const info = await splMintInfo(conn.rpcEndpoint, token.address);
+    const mint = new PublicKey(info.address);
+    const programId = new PublicKey(info.programId);
+    const source = await associatedAccount(sender, mint, programId);
+    const destination = await associatedAccount(recipient, mint, programId);
+    const rent = await conn.getAccountInfo(destination) ? 0 : await conn.getMinimumBalanceForRentExemption(TOKEN_ACCOUNT_SIZE);
+
+    // Idempotent create: a no-op when the recipient already has the account
+    tx.add(new TransactionInstruction({
+        programId: new PublicKey(ATA_PROGRAM),
+        keys: [
+            { pubkey: sender, isSigner: true, isWritable: true },
+            { pubkey: destination, isSigner: false, isWritable: true },
+            { pubkey: recipient, isSigner: false, isWritable: false },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: programId, isSigner: false, isWritable: false }
+        ],
+        data: Buffer.from([1])
+    }));
+
+    // TransferChecked: the program verifies the mint and its decimals
+    const data = Buffer.alloc(10);
+    data[0] = 12;
+    data.writeBigUInt64LE(amount === null ? 0n : units(amount, info.decimals), 1);
+    data[9] = info.decimals;
+    tx.add(new TransactionInstruction({
+        programId,
+        keys: [
+            { pubkey: source, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: destination, isSigner: false, isWritable: true },
+            { pubkey: sender, isSigner: true, isWritable: false }
+        ],
+        data
+    }));
+    return { tx, rent };
+}
+
+/**
+ * @param {string} rpc
+ * @param {string} from – sender address
+ * @param {{ to: string, token?: { address: string } | null }} transfer
+ * @returns {Promise<{ fee: number, rent: number }>} lamports
+ */
+export async function transferCost(rpc, from, { to, token = null }) {
+    const conn = await connect(rpc);
+    const { tx, rent } = await buildTransfer(conn, from, { to, amount: null, token });
+    const { value } = await conn.getFeeForMessage(tx.compileMessage());
+    return { fee: value ?? 5000, rent };
+}
+
+async function signAndSend(conn, wallet, tx) {
+    const { Keypair } = await lib();
+    tx.sign(Keypair.fromSecretKey(wallet.secretKey));
+    return conn.sendRawTransaction(tx.serialize());
+}
+
+export async function sendSol(rpc, wallet, { to, amount }) {
+    const conn = await connect(rpc);
+    const { tx } = await buildTransfer(conn, wallet.address, { to, amount });
+    return signAndSend(conn, wallet, tx);
+}
+
+export async function sendSpl(rpc, wallet, { to, token, amount }) {
+    const conn = await connect(rpc);
+    const { tx } = await buildTransfer(conn, wallet.address, { to, amount, token });
+    return signAndSend(conn, wallet, tx);
+}
+
+export async function sendTransaction(rpc, serialized, sendOptions = {}) {
+    return (await connect(rpc)).sendRawTransaction(Buffer.from(serialized, 'base64'), sendOptions);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Transactions from dApps
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function deserialize(serialized) {
+    const { VersionedTransaction } = await lib();
+    try {
+        return VersionedTransaction.deserialize(Buffer.from(serialized, 'base64'));
+    } catch (e) {
+        throw new Error(`Not a Solana transaction: ${e.message}`);
+    }
+}
+
+function describeInstruction(program, accounts, data) {
+    const view = Buffer.from(data);
+    const sol = lamports => `${ethers.formatUnits(lamports, SOL_DECIMALS)} SOL`;
+    if (program === SYSTEM_PROGRAM && view.length >= 12) {
+        if (view.readUInt32LE(0) === 2) return `Transfer ${sol(view.readBigUInt64LE(4))} from ${accounts[0]} to ${accounts[1]}`;
+        if (view.readUInt32LE(0) === 0) return `Create account ${accounts[1]} funded with ${sol(view.readBigUInt64LE(4))}`;
+    }
+    if ((program === TOKEN_PROGRAM || program === TOKEN_2022_PROGRAM) && view.length >= 9) {
+        const amount = view.readBigUInt64LE(1);
+        const checked = view.length >= 10 ? ethers.formatUnits(amount, view[9]) : null;
+        switch (view[0]) {
+            case 3:  return `Token transfer of ${amount} base units from ${accounts[0]} to ${accounts[1]}`;
+            case 12: return `Token transfer of ${checked} (mint ${accounts[1]}) from ${accounts[0]} to ${accounts[2]}`;
+            case 4:  return `⚠️  Allow ${accounts[1]} to spend ${amount} base units from ${accounts[0]}`;
+            case 13: return `⚠️  Allow ${accounts[2]} to spend ${checked} (mint ${accounts[1]}) from ${accounts[0]}`;
+        }
+    }
+    if (program === TOKEN_PROGRAM || program === TOKEN_2022_PROGRAM) {
+        if (view[0] === 6) return `⚠️  Change an authority of token account ${accounts[0]}`;
+        if (view[0] === 9) return `Close token account ${accounts[0]} (its rent goes to ${accounts[1]})`;
+    }
+    if (program === ATA_PROGRAM) return `Create token account ${accounts[1]} for ${accounts[2]} (mint ${accounts[3]})`;
+    if (program === COMPUTE_BUDGET) {
+        if (view[0] === 2 && view.length >= 5) return `Compute limit: ${view.readUInt32LE(1)} units`;
+        if (view[0] === 3 && view.length >= 9) return `Priority fee: ${view.readBigUInt64LE(1)} micro-lamports per compute unit`;
+    }
+    if (MEMO_PROGRAMS.includes(program)) return `Memo: "${view.toString('utf8')}"`;
+    return `Program ${program}: ${accounts.length} account(s), ${view.length} byte(s) of data`;
+}
+
+/**
+ * Accounts that come from address lookup tables are not fetched; they show
+ * up as "lookup #n".
+ *
+ * @param {string} serialized – base64
+ * @returns {Promise<{ feePayer: string, signers: string[], instructions: string[], lookupTables: number }>}
+ */
+export async function describeTransaction(serialized) {
+    const { message } = await deserialize(serialized);
+    const keys = message.staticAccountKeys.map(k => k.toBase58());
+    const account = i => keys[i] ?? `lookup #${i - keys.length}`;
+    return {
+        feePayer: keys[0],
+        signers: keys.slice(0, message.header.numRequiredSignatures),
+        instructions: message.compiledInstructions.map(ix =>
+            describeInstruction(account(ix.programIdIndex), ix.accountKeyIndexes.map(account), ix.data)
+        ),
+        lookupTables: message.addressTableLookups.length
+    };
+}
+
+/**
+ * @param {SolanaWallet} wallet
+ * @param {string} serialized – base64, as the dApp sent it
+ * @returns {Promise<{ signature: string, transaction: string }>}
+ */
+export async function signTransaction(wallet, serialized) {
+    const { Keypair } = await lib();
+    const tx = await deserialize(serialized);
+    const signers = tx.message.staticAccountKeys.slice(0, tx.message.header.numRequiredSignatures).map(k => k.toBase58());
+    const slot = signers.indexOf(wallet.address);
+    if (slot === -1) throw new Error(`The transaction does not ask ${wallet.address} to sign.`);
+    tx.sign([Keypair.fromSecretKey(wallet.secretKey)]);
+    return { signature: ethers.encodeBase58(tx.signatures[slot]), transaction: Buffer.from(tx.serialize()).toString('base64') };
+}
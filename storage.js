@@ -0,0 +1,233 @@
+/**
+ * storage.js  –  Crash- and multi-process-safe JSON files
+ *
+ *   readJson(file, fallback)     → parsed content; remembers the revision this process saw
+ *   peekJson(file, fallback)     → same, without touching the remembered revision
+ *   writeJson(file, data)        → locked, atomic replace (temp file + fsync + rename)
+ *   withLock(file, fn)           → run fn while holding the advisory lock for file
+ *   listGenerations(file)        → previous versions kept for rollback
+ *   rollback(file, generation)   → restore one of them
+ *   dropGenerations(file)        → delete them all (number removed)
+ *
+ * Locking is advisory: a `<file>.lock` created with O_EXCL holding the owner's
+ * pid. Locks left behind by a dead process (or older than LOCK_STALE_MS) are
+ * broken automatically.
+ *
+ * writeJson refuses to overwrite a file that changed on disk since this
+ * process last read or wrote it and throws an Error with code 'ECONFLICT'.
+ *
+ * Every successful write shifts the previous content into `<file>.1` …
+ * `<file>.<KEEP_GENERATIONS>` (newest first).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const KEEP_GENERATIONS = 5;
+const LOCK_TIMEOUT_MS = 10_000;
+const LOCK_STALE_MS   = 60_000;
+
+const revisions = new Map(); // file → sha256 of the content this process last saw
+const heldLocks = new Set(); // files whose lock this process currently holds
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+function breakStaleLock(lockFile) {
+    try {
+        const { pid, at } = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+        if (!isProcessAlive(pid) || Date.now() - at > LOCK_STALE_MS) {
+            fs.unlinkSync(lockFile);
+            return true;
+        }
+    } catch (e) {
+        // Half-written or already removed lock file: let the next attempt decide
+        if (e.code === 'ENOENT') return true;
+    }
+    return false;
+}
+
+function acquireLock(file) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    while (true) {
+        try {
+            const fd = fs.openSync(lockFile, 'wx', 0o600);
+            fs.writeSync(fd, JSON.stringify({ pid: process.pid, at: Date.now() }));
+            fs.closeSync(fd);
+            return lockFile;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        if (breakStaleLock(lockFile)) continue;
+        if (Date.now() > deadline) {
+            throw new Error(`${path.basename(file)} is locked by another my-wallet process. Try again in a moment.`);
+        }
+        sleepSync(100);
+    }
+}
+
+/**
+ * Run `fn` while holding the advisory lock for `file`. Re-entrant within
+ * this process.
+ *
+ * @template T
+ * @param {string} file
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLock(file, fn) {
+    if (heldLocks.has(file)) return fn();
+
+    const lockFile = acquireLock(file);
+    heldLocks.add(file);
+    try {
+        return fn();
+    } finally {
+        heldLocks.delete(file);
+        try { fs.unlinkSync(lockFile); } catch { /* already gone */ }
+    }
+}
+
+export function peekJson(file, fallback = null) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function readJson(file, fallback = null) {
+    if (!fs.existsSync(file)) {
+        revisions.set(file, null);
+        return fallback;
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    revisions.set(file, hashOf(content));
+    return JSON.parse(content);
+}
+
+function rotateGenerations(file) {
+    if (!fs.existsSync(file)) return;
+    for (let g = KEEP_GENERATIONS - 1; g >= 1; g--) {
+        if (fs.existsSync(`${file}.${g}`)) fs.renameSync(`${file}.${g}`, `${file}.${g + 1}`);
+    }
+    fs.copyFileSync(file, `${file}.1`);
+}
+
+function fsyncDir(dir) {
+    try {
+        const fd = fs.openSync(dir, 'r');
+        try { fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+    } catch {
+        // Directory fsync is not supported everywhere (e.g. Windows)
+    }
+}
+
+function atomicReplace(file, content) {
+    const tmp = `${file}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    const fd = fs.openSync(tmp, 'w', 0o600);
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    try {
+        rotateGenerations(file);
+        fs.renameSync(tmp, file);
+    } catch (e) {
+        try { fs.unlinkSync(tmp); } catch { /* ignore */ }
+        throw e;
+    }
+    fsyncDir(path.dirname(file));
+}
+
+/**
+ * Atomically replace `file` with `data` serialised as JSON.
+ *
+ * @param {string} file
+ * @param {any} data
+ */
+export function writeJson(file, data) {
+    const content = JSON.stringify(data, null, 2);
+    withLock(file, () => {
+        if (revisions.has(file)) {
+            const onDisk = fs.existsSync(file) ? hashOf(fs.readFileSync(file, 'utf8')) : null;
+            if (onDisk !== revisions.get(file)) {
+                const err = new Error(`${path.basename(file)} was changed by another process since it was loaded. Reload and try again.`);
+                err.code = 'ECONFLICT';
+                throw err;
+            }
+        }
+        atomicReplace(file, content);
+        revisions.set(file, hashOf(content));
+    });
+}
+
+/**
+ * @param {string} file
+ * @returns {{ generation: number, modified: Date }[]}
+ */
+export function listGenerations(file) {
+    const gens = [];
+    for (let g = 1; g <= KEEP_GENERATIONS; g++) {
+        const f = `${file}.${g}`;
+        if (fs.existsSync(f)) gens.push({ generation: g, modified: fs.statSync(f).mtime });
+    }
+    return gens;
+}
+
+/**
+ * Restore generation `g`. The content being replaced becomes generation 1,
+ * so a rollback can itself be rolled back.
+ *
+ * @param {string} file
+ * @param {number} generation
+ */
+export function rollback(file, generation) {
+    const source = `${file}.${generation}`;
+    withLock(file, () => {
+        if (!fs.existsSync(source)) throw new Error(`Generation ${generation} of ${path.basename(file)} not found.`);
+        // Read first: rotation renames the generation files
+        const content = fs.readFileSync(source, 'utf8');
+        atomicReplace(file, content);
+        revisions.set(file, hashOf(content));
+    });
+}
+
+/**
+ * Delete every kept generation of `file`, e.g. copies that a changed vault
+ * password still opens.
+ *
+ * @param {string} file
+ * @returns {number} generation files removed
+ */
+export function dropGenerations(file) {
+    let removed = 0;
+    withLock(file, () => {
+        for (let g = 1; g <= KEEP_GENERATIONS; g++) {
+            try {
+                fs.unlinkSync(`${file}.${g}`);
+                removed++;
+            } catch (e) {
+                if (e.code !== 'ENOENT') throw e;
+            }
+        }
+    });
+    return removed;
+}
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'my-wallet-agent-'));
+process.env.MY_WALLET_HOME = home;
+const { loadVault, saveVault, sealEntry, lockVault } = await import('../vault.js');
+const { AGENT_SOCKET, MAX_TTL_MINUTES, startAgent, stopAgent, agentStatus, agentWallets, agentPrivateKey } = await import('../agent.js');
+
+const alice = ethers.Wallet.createRandom();
+const watched = ethers.Wallet.createRandom().address;
+
+// One raw line to the socket, the raw answer back
+function rawRequest(text) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(AGENT_SOCKET);
+        let data = '';
+        socket.setEncoding('utf8');
+        socket.on('connect', () => socket.write(text));
+        socket.on('data', chunk => { data += chunk; });
+        socket.on('error', reject);
+        socket.on('end', () => resolve(data));
+    });
+}
+
+before(async () => {
+    loadVault();
+    saveVault([
+        await sealEntry(alice, { name: 'Alice' }, 'pw'),
+        { name: 'Watched', address: watched, watchOnly: true },
+    ], { encrypted: true });
+    lockVault();
+});
+
+after(async () => {
+    await stopAgent().catch(() => {});
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+test('the agent refuses to start with a wrong password', async () => {
+    await assert.rejects(startAgent('wrong', { ttlMinutes: 1 }), /Wrong vault password/);
+    assert.equal(await agentStatus(), null);
+});
+
+test('the agent serves wallets and signs without handing out the signer', async () => {
+    // Past the 32-bit timer limit: clamped, not fired at once
+    const { pid, expiresAt } = await startAgent('pw', { ttlMinutes: MAX_TTL_MINUTES + 1000 });
+    assert.ok(new Date(expiresAt) - Date.now() <= MAX_TTL_MINUTES * 60_000);
+    await new Promise(r => setTimeout(r, 200));
+    assert.equal((await agentStatus()).pid, pid);
+    assert.equal(fs.statSync(AGENT_SOCKET).mode & 0o777, 0o600);
+    await assert.rejects(startAgent('pw', { ttlMinutes: 1 }), /already running/);
+
+    const wallets = await agentWallets();
+    assert.deepEqual(wallets.map(w => w.name), ['Alice', 'Watched']);
+    assert.ok(wallets[1].wallet instanceof ethers.VoidSigner);
+
+    const signer = wallets[0].wallet;
+    const signature = await signer.signMessage('hello');
+    assert.equal(ethers.verifyMessage('hello', signature), alice.address);
+
+    const tx = { to: watched, value: 1n, nonce: 0, gasLimit: 21000n, chainId: 1n, type: 2, maxFeePerGas: 2n, maxPriorityFeePerGas: 1n };
+    const signed = ethers.Transaction.from(await signer.signTransaction(tx));
+    assert.equal(signed.from, alice.address);
+    assert.equal(signed.to, watched);
+
+    assert.equal(await agentPrivateKey(alice.address), alice.privateKey);
+    await assert.rejects(agentPrivateKey(watched), /watch-only/);
+});
+
+test('malformed or unknown requests get an error answer and the agent keeps serving', async () => {
+    for (const line of ['not json\n', '42\n', 'null\n']) {
+        assert.deepEqual(JSON.parse(await rawRequest(line)), { ok: false, error: 'Malformed request.' });
+    }
+    assert.deepEqual(JSON.parse(await rawRequest('{"op":"toString"}\n')), { ok: false, error: 'Unknown agent request "toString".' });
+
+    // Only the first line of a connection is answered
+    const answer = await rawRequest('{"op":"status"}\n{"op":"stop"}\n');
+    assert.equal(answer.trim().split('\n').length, 1);
+    assert.ok(await agentStatus());
+});
+
+test('stopping the agent removes its socket', async () => {
+    assert.equal(await stopAgent(), true);
+    // The agent answers first, then shuts down
+    for (let i = 0; i < 50 && fs.existsSync(AGENT_SOCKET); i++) await new Promise(r => setTimeout(r, 100));
+    assert.ok(!fs.existsSync(AGENT_SOCKET));
+    assert.equal(await agentStatus(), null);
+    assert.equal(await stopAgent(), false);
+});
@@ -0,0 +1,135 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'my-wallet-bundle-'));
+process.env.MY_WALLET_HOME = home;
+const { WALLETS_FILE, TRASH_FILE, loadVault, saveVault, openVault, sealEntry, lockVault } = await import('../vault.js');
+const { exportBundle, openBundle, planBundleImport, applyBundleImport, writeBundleFile } = await import('../bundle.js');
+const { readJson, peekJson, writeJson } = await import('../storage.js');
+
+const SETTINGS_FILE = path.join(home, 'settings.json');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+    lockVault();
+    for (const name of fs.readdirSync(home)) fs.rmSync(path.join(home, name), { recursive: true, force: true });
+    loadVault();
+    readJson(TRASH_FILE, []);
+    readJson(SETTINGS_FILE, {});
+});
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+const carol = ethers.Wallet.createRandom();
+const plain = (name, wallet) => ({ name, address: wallet.address, privateKey: wallet.privateKey });
+
+test('an exported bundle opens only with its password and carries keys, trash and settings', async () => {
+    saveVault([await sealEntry(alice, { name: 'Alice', tags: ['main'] }, 'vault')], { encrypted: true });
+    writeJson(TRASH_FILE, [await sealEntry(bob, { name: 'Old Bob' }, 'vault')]);
+    writeJson(SETTINGS_FILE, { currency: 'EUR', contacts: [{ label: 'Carol', address: carol.address }] });
+
+    const { doc, counts } = await exportBundle('vault', 'bundle');
+    assert.deepEqual(counts, { wallets: 1, trash: 1, trashSkipped: 0, tokens: 0, networks: 0, contacts: 1 });
+    assert.ok(!JSON.stringify(doc).includes(alice.privateKey.slice(2)));
+
+    await assert.rejects(openBundle(doc, 'nope'), /Wrong bundle password/);
+    await assert.rejects(openBundle({ ...doc, format: 'other' }, 'bundle'), /Not a my-wallet bundle/);
+
+    const payload = await openBundle(doc, 'bundle');
+    assert.equal(payload.wallets[0].privateKey, alice.privateKey);
+    assert.deepEqual(payload.wallets[0].tags, ['main']);
+    assert.equal(payload.trash[0].privateKey, bob.privateKey);
+    assert.equal(payload.settings.currency, 'EUR');
+
+    const file = writeBundleFile(path.join(home, 'out.bundle.json'), doc);
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.throws(() => writeBundleFile(file, doc), /already exists/);
+});
+
+test('planning merges by address: duplicates skipped, watch-only upgraded, taken names renamed', async () => {
+    saveVault([
+        plain('Alice', alice),
+        { name: 'Watched Bob', address: bob.address, watchOnly: true, group: 'friends' },
+    ], { encrypted: false });
+
+    const plan = planBundleImport({
+        wallets: [plain('Alice', alice), plain('Bob', bob), plain('Alice', carol)],
+        trash: [plain('Alice again', alice)],
+        settings: {},
+    });
+    assert.deepEqual(plan.wallets.map(w => [w.action, w.name]), [
+        ['duplicate', 'Alice'],
+        ['upgrade', 'Watched Bob'],
+        ['rename', 'Alice (2)'],
+    ]);
+    assert.deepEqual(plan.trash, []);
+    assert.ok(!fs.existsSync(SETTINGS_FILE)); // planning writes nothing
+
+    const counts = await applyBundleImport(plan, null);
+    assert.equal(counts.added, 1);
+    assert.equal(counts.upgraded, 1);
+    assert.equal(counts.skipped, 1);
+
+    const entries = loadVault().entries;
+    assert.deepEqual(entries.map(e => e.name), ['Alice', 'Watched Bob', 'Alice (2)']);
+    const upgraded = entries[1];
+    assert.equal(upgraded.privateKey, bob.privateKey);
+    assert.equal(upgraded.watchOnly, undefined);
+    assert.equal(upgraded.group, 'friends');
+});
+
+test('imported wallets are sealed under an encrypted target vault', async () => {
+    saveVault([await sealEntry(alice, { name: 'Alice' }, 'vault')], { encrypted: true });
+    const plan = planBundleImport({ wallets: [plain('Bob', bob)], trash: [plain('Carol', carol)], settings: {} });
+    await applyBundleImport(plan, 'vault');
+
+    const stored = JSON.stringify([peekJson(WALLETS_FILE), peekJson(TRASH_FILE)]);
+    assert.ok(!stored.includes(bob.privateKey.slice(2)));
+    assert.ok(!stored.includes(carol.privateKey.slice(2)));
+    lockVault();
+    const opened = await openVault('vault');
+    assert.deepEqual(opened.map(o => o.wallet.address), [alice.address, bob.address]);
+});
+
+test('tokens, networks and contacts are merged; other settings only fill an empty profile', async () => {
+    const settings = {
+        currency: 'EUR',
+        savedTokens: [{ network: 'ethereum', address: '0xAbC', symbol: 'ABC' }, { network: 'polygon', address: '0xdef', symbol: 'DEF' }],
+        customNetworks: [{ key: 'mychain', name: 'My Chain' }],
+        contacts: [
+            { label: 'alice', address: carol.address },           // label taken (any case)
+            { label: 'Bobby', address: bob.address.toLowerCase() }, // address taken (any case)
+            { label: 'Carol', address: carol.address },
+        ],
+    };
+
+    // Empty target: everything applies as is
+    let plan = planBundleImport({ wallets: [], trash: [], settings });
+    assert.equal(plan.settings, 'apply');
+    await applyBundleImport(plan, null);
+    assert.equal(peekJson(SETTINGS_FILE).currency, 'EUR');
+
+    // Existing target: only the new items are added
+    writeJson(SETTINGS_FILE, {
+        currency: 'USD',
+        savedTokens: [{ network: 'ethereum', address: '0xabc', symbol: 'ABC' }],
+        contacts: [{ label: 'Alice', address: alice.address }, { label: 'Bob', address: bob.address }],
+    });
+    plan = planBundleImport({ wallets: [], trash: [], settings });
+    assert.equal(plan.settings, 'keep');
+    assert.deepEqual(plan.tokens.map(t => t.symbol), ['DEF']);
+    assert.deepEqual(plan.networks.map(n => n.key), ['mychain']);
+    assert.deepEqual(plan.contacts.map(c => c.label), ['Carol']);
+
+    const counts = await applyBundleImport(plan, null);
+    assert.equal(counts.contacts, 1);
+    const merged = peekJson(SETTINGS_FILE);
+    assert.equal(merged.currency, 'USD');
+    assert.deepEqual(merged.savedTokens.map(t => t.symbol), ['ABC', 'DEF']);
+    assert.deepEqual(merged.contacts.map(c => c.label), ['Alice', 'Bob', 'Carol']);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { feePresets, customFee, feeCost } from '../fees.js';
+
+const GWEI = 1_000_000_000n;
+
+// Just the provider calls feePresets makes
+function fakeProvider({ baseFee = null, history = null, gasPrice = 5n * GWEI, tip = 2n * GWEI }) {
+    return {
+        getBlock: async () => ({ baseFeePerGas: baseFee }),
+        getFeeData: async () => ({ gasPrice, maxPriorityFeePerGas: tip }),
+        send: async (method) => {
+            assert.equal(method, 'eth_feeHistory');
+            if (!history) throw new Error('not supported');
+            return history;
+        },
+    };
+}
+
+test('EIP-1559 presets take the median tip per percentile and add base fee headroom', async () => {
+    const history = {
+        baseFeePerGas: ['0x1', ethers.toQuantity(10n * GWEI)],
+        reward: [
+            [1n, 5n, 9n].map(g => ethers.toQuantity(g * GWEI)),
+            [3n, 4n, 7n].map(g => ethers.toQuantity(g * GWEI)),
+            [2n, 6n, 8n].map(g => ethers.toQuantity(g * GWEI)),
+        ],
+    };
+    const presets = await feePresets(fakeProvider({ baseFee: 9n * GWEI, history }));
+    assert.equal(presets.eip1559, true);
+    assert.equal(presets.baseFee, 10n * GWEI);
+    assert.deepEqual(presets.slow, { maxFeePerGas: 12_500_000_000n + 2n * GWEI, maxPriorityFeePerGas: 2n * GWEI });
+    assert.deepEqual(presets.normal, { maxFeePerGas: 20n * GWEI + 5n * GWEI, maxPriorityFeePerGas: 5n * GWEI });
+    assert.deepEqual(presets.fast, { maxFeePerGas: 25n * GWEI + 8n * GWEI, maxPriorityFeePerGas: 8n * GWEI });
+});
+
+test('without reward data the node\'s suggested tip is used', async () => {
+    const presets = await feePresets(fakeProvider({ baseFee: GWEI, history: { baseFeePerGas: [ethers.toQuantity(GWEI)] }, tip: 3n * GWEI }));
+    assert.equal(presets.normal.maxPriorityFeePerGas, 3n * GWEI);
+});
+
+test('chains without a base fee, or without eth_feeHistory, get gas price presets', async () => {
+    for (const provider of [fakeProvider({}), fakeProvider({ baseFee: GWEI })]) {
+        const presets = await feePresets(provider);
+        assert.equal(presets.eip1559, false);
+        assert.deepEqual(presets.slow, { gasPrice: 5n * GWEI });
+        assert.deepEqual(presets.normal, { gasPrice: 5_500_000_000n });
+        assert.deepEqual(presets.fast, { gasPrice: 6_250_000_000n });
+    }
+    await assert.rejects(feePresets(fakeProvider({ gasPrice: null })), /no gas price/);
+});
+
+test('customFee parses gwei strings and rejects nonsense', () => {
+    assert.deepEqual(customFee({ maxFee: '30', priorityFee: '1.5' }), { maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: 1_500_000_000n });
+    assert.deepEqual(customFee({ gasPrice: ' 7 ' }), { gasPrice: 7n * GWEI });
+    assert.throws(() => customFee({ maxFee: 'abc', priorityFee: '1' }), /Invalid max fee "abc"/);
+    assert.throws(() => customFee({ maxFee: '-1', priorityFee: '0' }), /Invalid max fee/);
+    assert.throws(() => customFee({ maxFee: '1', priorityFee: '2' }), /cannot be above the max fee/);
+    assert.throws(() => customFee({ maxFee: '1' }), /Invalid priority fee/);
+});
+
+test('feeCost: expected cost at the current base fee, capped by the max fee', () => {
+    const fee = { maxFeePerGas: 30n, maxPriorityFeePerGas: 2n };
+    assert.deepEqual(feeCost(fee, 21000n, 10n), { expected: 21000n * 12n, max: 21000n * 30n });
+    assert.deepEqual(feeCost(fee, 21000n, 50n), { expected: 21000n * 30n, max: 21000n * 30n });
+    assert.deepEqual(feeCost(fee, 21000n), { expected: 21000n * 30n, max: 21000n * 30n });
+    assert.deepEqual(feeCost({ gasPrice: 5n }, 100n), { expected: 500n, max: 500n });
+});
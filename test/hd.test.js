@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+    PATH_SCHEMES, expandPath, accountPath, solanaPath, indexFromPath, seedFingerprint,
+    deriveAccount, seedRoot, seedMeta, nextAccountIndex,
+} from '../hd.js';
+
+// Hardhat / Anvil development phrase: its accounts are well known
+const PHRASE = 'test test test test test test test test test test test junk';
+
+test('paths for each layout', () => {
+    assert.equal(accountPath(3), "m/44'/60'/0'/0/3");
+    assert.equal(solanaPath(3), "m/44'/501'/3'/0'");
+    assert.equal(expandPath(PATH_SCHEMES.standard.template, 2), "m/44'/60'/0'/0/2");
+    assert.equal(expandPath(PATH_SCHEMES.ledgerLive.template, 2), "m/44'/60'/2'/0/0");
+    assert.equal(expandPath(PATH_SCHEMES.legacy.template, 2), "m/44'/60'/0'/2");
+});
+
+test('indexFromPath only reads standard EVM and Solana paths', () => {
+    assert.equal(indexFromPath("m/44'/60'/0'/0/7"), 7);
+    assert.equal(indexFromPath("m/44'/501'/4'/0'"), 4);
+    assert.equal(indexFromPath("m/44'/60'/7'/0/0"), null);
+    assert.equal(indexFromPath("m/44'/501'/4'"), null);
+    assert.equal(indexFromPath(null), null);
+});
+
+test('deriveAccount gives the standard accounts of a phrase', () => {
+    assert.equal(deriveAccount(PHRASE, 0).address, '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266');
+    assert.equal(deriveAccount(` ${PHRASE}\n`, 1).address, '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+});
+
+test('seedRoot derives the same accounts, and different ones with a passphrase', () => {
+    const path = expandPath(PATH_SCHEMES.standard.template, 1);
+    assert.equal(seedRoot(PHRASE).derivePath(path).address, deriveAccount(PHRASE, 1).address);
+    assert.notEqual(seedRoot(PHRASE, 'extra').derivePath(path).address, deriveAccount(PHRASE, 1).address);
+});
+
+test('seed metadata ties accounts to their phrase', () => {
+    const id = seedFingerprint(PHRASE);
+    assert.match(id, /^[0-9a-f]{8}$/);
+    assert.equal(seedFingerprint(ethers.Mnemonic.fromPhrase(PHRASE)), id);
+    assert.notEqual(seedFingerprint(ethers.Wallet.createRandom().mnemonic.phrase), id);
+
+    assert.deepEqual(seedMeta(deriveAccount(PHRASE, 5)), { seedId: id, index: 5 });
+    const random = ethers.Wallet.createRandom();
+    assert.deepEqual(seedMeta(random), { seedId: seedFingerprint(random.mnemonic), index: 0 });
+    assert.deepEqual(seedMeta(new ethers.Wallet(deriveAccount(PHRASE, 0).privateKey)), {});
+});
+
+test('nextAccountIndex counts EVM and Solana accounts of a seed separately', () => {
+    const entries = [
+        { seedId: 'aaaa', index: 0 },
+        { seedId: 'aaaa', index: 4 },
+        { seedId: 'aaaa', index: 9, chain: 'solana' },
+        { seedId: 'bbbb', index: 20 },
+        { wallet: { chain: 'solana' }, seedId: 'aaaa', index: 11 },
+        { name: 'imported key' },
+    ];
+    assert.equal(nextAccountIndex(entries, 'aaaa'), 5);
+    assert.equal(nextAccountIndex(entries, 'aaaa', 'solana'), 12);
+    assert.equal(nextAccountIndex(entries, 'cccc'), 0);
+});
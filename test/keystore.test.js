@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import { findKeystoreFiles, decryptKeystore, encryptKeystore, keystoreFileName, writeKeystoreFile } from '../keystore.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'my-wallet-keystore-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const alice = ethers.Wallet.createRandom();
+const bob = new ethers.Wallet(ethers.Wallet.createRandom().privateKey);
+let aliceJson, bobJson;
+
+// Keystores use the real scrypt cost: encrypt each key once for the whole file
+before(async () => {
+    aliceJson = await alice.encrypt('alice-pw');
+    bobJson = await encryptKeystore(bob, 'bob-pw');
+});
+
+test('decryptKeystore opens what ethers.Wallet.encrypt wrote, and names a wrong password', async () => {
+    const wallet = await decryptKeystore(aliceJson, 'alice-pw');
+    assert.equal(wallet.privateKey, alice.privateKey);
+    // ethers keeps the phrase of an HD wallet in the file
+    assert.equal(wallet.mnemonic.phrase, alice.mnemonic.phrase);
+    await assert.rejects(decryptKeystore(aliceJson, 'nope'), /^Error: Wrong keystore password\.$/);
+});
+
+test('encryptKeystore leaves the seed phrase out', async () => {
+    const json = await encryptKeystore(alice, 'pw');
+    assert.equal(JSON.parse(json)['x-ethers']?.mnemonicCiphertext, undefined);
+    const wallet = await decryptKeystore(json, 'pw');
+    assert.equal(wallet.address, alice.address);
+    assert.equal(wallet.mnemonic ?? null, null);
+});
+
+test('findKeystoreFiles takes one file, many files or a directory', () => {
+    const scan = path.join(dir, 'scan');
+    fs.mkdirSync(path.join(scan, 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(scan, 'UTC--alice'), aliceJson);
+    fs.writeFileSync(path.join(scan, 'bob.json'), bobJson);
+    fs.writeFileSync(path.join(scan, 'copy-of-alice.json'), aliceJson);
+    fs.writeFileSync(path.join(scan, 'notes.txt'), 'not a key');
+    fs.writeFileSync(path.join(scan, 'nested', 'deeper.json'), bobJson); // one level deep only
+
+    const one = findKeystoreFiles([path.join(scan, 'bob.json')]);
+    assert.deepEqual(one.found.map(k => k.address), [bob.address]);
+    assert.deepEqual(one.skipped, []);
+
+    const many = findKeystoreFiles([path.join(scan, 'bob.json'), path.join(scan, 'UTC--alice'), path.join(dir, 'missing.json')]);
+    assert.deepEqual(many.found.map(k => k.address), [bob.address, alice.address]);
+    assert.deepEqual(many.skipped, [{ file: path.join(dir, 'missing.json'), reason: 'not found' }]);
+
+    // Sorted by name; the second copy of a key is skipped as a duplicate
+    const all = findKeystoreFiles([scan]);
+    assert.deepEqual(all.found.map(k => path.basename(k.file)), ['UTC--alice', 'bob.json']);
+    assert.deepEqual(all.skipped.map(s => [path.basename(s.file), s.reason]), [
+        ['notes.txt', 'not a keystore file'],
+        ['copy-of-alice.json', `duplicate of ${alice.address}`],
+    ]);
+    assert.equal(all.found[0].json, aliceJson);
+
+    const empty = path.join(dir, 'empty');
+    fs.mkdirSync(empty);
+    assert.deepEqual(findKeystoreFiles([empty]), { found: [], skipped: [{ file: empty, reason: 'empty directory' }] });
+});
+
+test('an exported file is written geth-style and imports again', async () => {
+    const out = path.join(dir, 'export');
+    fs.mkdirSync(out);
+    const file = writeKeystoreFile(out, bobJson);
+    assert.match(path.basename(file), new RegExp(`^UTC--.*--${bob.address.toLowerCase().slice(2)}$`));
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.throws(() => writeKeystoreFile(file, bobJson), /already exists/);
+    assert.equal(writeKeystoreFile(file, bobJson, { overwrite: true }), file);
+
+    const { found } = findKeystoreFiles([out]);
+    assert.deepEqual(found.map(k => k.file), [file]);
+    assert.equal((await decryptKeystore(found[0].json, 'bob-pw')).privateKey, bob.privateKey);
+
+    assert.match(keystoreFileName('0xABCDEF0000000000000000000000000000000001'), /^UTC--\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d\.\d{3}Z--abcdef0000000000000000000000000000000001$/);
+});
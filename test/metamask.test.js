@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { parseMetaMaskVault, decryptMetaMaskVault, metaMaskAccounts } from '../metamask.js';
+import { seedFingerprint } from '../hd.js';
+
+// A current-format vault (600 000 PBKDF2 iterations) holding, under "correct horse":
+//   HD Key Tree      the Hardhat phrase, 2 accounts, mnemonic stored as UTF-8 bytes
+//   Simple Key Pair  Hardhat account #2 (no 0x) and account #0 (also the seed's first account)
+//   Ledger Hardware  no key material
+const FIXTURE = fs.readFileSync(new URL('./fixtures/metamask-vault.json', import.meta.url), 'utf8');
+const PASSWORD = 'correct horse';
+const PHRASE = 'test test test test test test test test test test test junk';
+
+// Older MetaMask: no keyMetadata, 10 000 iterations, mnemonic as a string
+function legacyVault(keyrings, password) {
+    const salt = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    const key = crypto.pbkdf2Sync(password, salt, 10_000, 32, 'sha256');
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(keyrings)), cipher.final(), cipher.getAuthTag()]);
+    return { data: data.toString('base64'), iv: iv.toString('base64'), salt: salt.toString('base64') };
+}
+
+test('the vault is found as bare JSON, in a state dump and inside extension storage', () => {
+    const vault = JSON.parse(FIXTURE);
+    assert.deepEqual(parseMetaMaskVault(FIXTURE), vault);
+    assert.deepEqual(parseMetaMaskVault(JSON.stringify({ KeyringController: { vault: FIXTURE } })), vault);
+    assert.deepEqual(parseMetaMaskVault(JSON.stringify({ data: { KeyringController: { vault } } })), vault);
+
+    // LevelDB keeps older copies with escaped quotes: the last one wins
+    const older = JSON.stringify({ data: 'AAAA', iv: 'BBBB', salt: 'CCCC' });
+    const storage = `\x00junk${JSON.stringify(older)}\x01more${JSON.stringify(FIXTURE)}\x02`;
+    assert.deepEqual(parseMetaMaskVault(storage), vault);
+
+    assert.throws(() => parseMetaMaskVault('{"hello":"world"}'), /No MetaMask vault found/);
+});
+
+test('a wrong password is reported as such', async () => {
+    await assert.rejects(decryptMetaMaskVault(parseMetaMaskVault(FIXTURE), 'wrong horse'), /Wrong MetaMask password/);
+    await assert.rejects(decryptMetaMaskVault({ ...JSON.parse(FIXTURE), keyMetadata: { algorithm: 'argon2id' } }, PASSWORD), /Unsupported MetaMask key derivation "argon2id"/);
+});
+
+test('HD and imported accounts are listed, without duplicates', async () => {
+    const keyrings = await decryptMetaMaskVault(parseMetaMaskVault(FIXTURE), PASSWORD);
+    assert.deepEqual(keyrings.map(k => k.type), ['HD Key Tree', 'Simple Key Pair', 'Ledger Hardware']);
+
+    const { seeds, keys, unsupported } = metaMaskAccounts(keyrings);
+    assert.equal(seeds.length, 1);
+    assert.equal(seeds[0].seedId, seedFingerprint(PHRASE));
+    assert.deepEqual(seeds[0].accounts.map(a => a.address), [
+        '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+        '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    ]);
+    assert.deepEqual(seeds[0].accounts.map(a => a.path), ["m/44'/60'/0'/0/0", "m/44'/60'/0'/0/1"]);
+    // Account #0 was imported too, but is already offered as a seed account
+    assert.deepEqual(keys.map(k => k.address), ['0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC']);
+    assert.deepEqual(unsupported, ['Ledger Hardware']);
+});
+
+test('older vaults decrypt with the legacy iteration count', async () => {
+    const vault = legacyVault([{ type: 'HD Key Tree', data: { mnemonic: PHRASE, numberOfAccounts: 0 } }], 'pw');
+    const { seeds, keys } = metaMaskAccounts(await decryptMetaMaskVault(parseMetaMaskVault(JSON.stringify(vault)), 'pw'));
+    // At least one account, even when the count is missing or zero
+    assert.deepEqual(seeds[0].accounts.map(a => a.address), ['0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266']);
+    assert.deepEqual(keys, []);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QRCode from 'qrcode';
+import { qrLines, qrString, paymentUri, solanaPayUri } from '../qr.js';
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const USDC = { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', decimals: 6 };
+const SOL_ADDRESS = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const SOL_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test('EIP-681 URIs for the native coin and for tokens', () => {
+    assert.equal(paymentUri({ address: ADDRESS.toLowerCase(), chainId: 1 }), `ethereum:${ADDRESS}@1`);
+    assert.equal(paymentUri({ address: ADDRESS, chainId: 56, amount: '1.5' }), `ethereum:${ADDRESS}@56?value=1500000000000000000`);
+    assert.equal(paymentUri({ address: ADDRESS, chainId: 1, token: USDC, amount: '2.25' }),
+        `ethereum:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48@1/transfer?address=${ADDRESS}&uint256=2250000`);
+    assert.equal(paymentUri({ address: ADDRESS, chainId: 1, token: USDC }),
+        `ethereum:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48@1/transfer?address=${ADDRESS}`);
+});
+
+test('payment URIs refuse bad amounts and addresses', () => {
+    assert.throws(() => paymentUri({ address: ADDRESS, chainId: 1, amount: 'lots' }), /Invalid amount "lots"/);
+    assert.throws(() => paymentUri({ address: ADDRESS, chainId: 1, token: USDC, amount: '0.0000001' }), /Invalid amount/);
+    assert.throws(() => paymentUri({ address: ADDRESS, chainId: 1, amount: '0' }), /greater than zero/);
+    assert.throws(() => paymentUri({ address: '0x1234', chainId: 1 }));
+    assert.throws(() => solanaPayUri({ address: SOL_ADDRESS, amount: '-1' }), /greater than zero/);
+});
+
+test('Solana Pay URIs keep whole units and name tokens by mint', () => {
+    assert.equal(solanaPayUri({ address: SOL_ADDRESS }), `solana:${SOL_ADDRESS}`);
+    assert.equal(solanaPayUri({ address: SOL_ADDRESS, amount: '2' }), `solana:${SOL_ADDRESS}?amount=2`);
+    assert.equal(solanaPayUri({ address: SOL_ADDRESS, amount: '0.5', token: { address: SOL_MINT, decimals: 6 } }),
+        `solana:${SOL_ADDRESS}?amount=0.5&spl-token=${SOL_MINT}`);
+});
+
+test('qrLines packs two module rows per line with a quiet zone', () => {
+    const text = `ethereum:${ADDRESS}@1`;
+    const size = QRCode.create(text, { errorCorrectionLevel: 'M' }).modules.size;
+    const lines = qrLines(text);
+    assert.equal(lines.length, Math.ceil((size + 4) / 2));
+    assert.ok(lines.every(line => [...line].length === size + 4));
+    assert.ok(lines.every(line => /^[ █▀▄]+$/.test(line)));
+    assert.equal(lines[0].trim(), ''); // quiet zone
+    assert.ok(qrString(text).startsWith('\x1b[30;47m'));
+});
@@ -0,0 +1,143 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { poolProvider, checkPool, poolStatus, configureRpc, resetPools } from '../rpc.js';
+
+// ethers answers a repeated request from its short-lived cache: ask about a new address each time
+let addresses = 0;
+const address = () => ethers.zeroPadValue(ethers.toBeHex(++addresses), 20);
+
+// Stub endpoints behind fetch(), which is all rpc.js uses to reach a node:
+// url → { chainId, delay (ms), balance, down (connection refused), status (HTTP error) }
+let endpoints = {};
+let calls = []; // [url, method] of every request that reached an endpoint
+const realFetch = globalThis.fetch;
+
+globalThis.fetch = async (url, { body }) => {
+    const ep = endpoints[url];
+    await new Promise(r => setTimeout(r, ep.delay || 0));
+    if (ep.down) throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+    if (ep.status) return { ok: false, status: ep.status };
+    const payload = JSON.parse(body);
+    const answer = p => {
+        calls.push([url, p.method]);
+        switch (p.method) {
+            case 'eth_chainId':     return { jsonrpc: '2.0', id: p.id, result: ethers.toQuantity(ep.chainId ?? 1) };
+            case 'eth_blockNumber': return { jsonrpc: '2.0', id: p.id, result: '0x10' };
+            case 'eth_getBalance':  return { jsonrpc: '2.0', id: p.id, result: ethers.toQuantity(ep.balance ?? 100n) };
+            case 'eth_call':        return { jsonrpc: '2.0', id: p.id, error: { code: 3, message: 'execution reverted', data: '0x' } };
+            default:                return { jsonrpc: '2.0', id: p.id, error: { code: -32601, message: 'method not found' } };
+        }
+    };
+    const answers = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+    return { ok: true, json: async () => answers };
+};
+
+after(() => {
+    resetPools();
+    globalThis.fetch = realFetch;
+});
+
+beforeEach(() => {
+    resetPools();
+    configureRpc({ quorum: 1 });
+    calls = [];
+});
+
+let n = 0;
+// A fresh network over the given stub endpoints
+function network(stubs) {
+    const key = `net${++n}`;
+    endpoints = Object.fromEntries(Object.entries(stubs).map(([name, stub]) => [`http://${key}.${name}`, stub]));
+    return { key, net: { name: `Net ${n}`, chainId: 1, rpcUrls: Object.keys(endpoints) }, url: name => `http://${key}.${name}` };
+}
+
+const requestsTo = (url, method) => calls.filter(([u, m]) => u === url && m === method).length;
+
+test('an endpoint on another chain is never used', async () => {
+    const { key, net, url } = network({ fast: { chainId: 5 }, right: { delay: 20 } });
+    const status = await checkPool(key, net);
+    assert.equal(status[0].wrongChain, true);
+    assert.equal(status[0].healthy, false);
+    assert.equal(status[0].lastError, 'serves chain 5, not 1');
+    assert.equal(status[1].healthy, true);
+
+    assert.equal(await poolProvider(key, net).getBalance(address()), 100n);
+    assert.equal(requestsTo(url('fast'), 'eth_getBalance'), 0);
+    assert.equal(requestsTo(url('right'), 'eth_getBalance'), 1);
+});
+
+test('no endpoint on the right chain is an error', async () => {
+    const { key, net } = network({ only: { chainId: 56 } });
+    await assert.rejects(poolProvider(key, net).getBalance(address()), /No RPC endpoint of Net \d+ serves chain 1/);
+});
+
+test('requests go to the fastest endpoint', async () => {
+    const { key, net, url } = network({ slow: { delay: 60 }, fast: { delay: 0 }, middle: { delay: 30 } });
+    await poolProvider(key, net).getBalance(address());
+    assert.deepEqual(calls.filter(([, m]) => m === 'eth_getBalance').map(([u]) => u), [url('fast')]);
+
+    const latency = Object.fromEntries(poolStatus(key).map(ep => [ep.url, ep.latencyMs]));
+    assert.ok(latency[url('fast')] < latency[url('middle')]);
+    assert.ok(latency[url('middle')] < latency[url('slow')]);
+});
+
+test('a failing endpoint is skipped and marked; all failing is an error', async () => {
+    const { key, net, url } = network({ first: {}, limited: { delay: 10 }, last: { delay: 20 } });
+    const provider = poolProvider(key, net);
+    await checkPool(key, net);
+
+    endpoints[url('first')].down = true;
+    endpoints[url('limited')].status = 429;
+    assert.equal(await provider.getBalance(address()), 100n);
+    assert.equal(requestsTo(url('last'), 'eth_getBalance'), 1);
+
+    const status = Object.fromEntries(poolStatus(key).map(ep => [ep.url, ep]));
+    assert.equal(status[url('first')].healthy, false);
+    assert.equal(status[url('first')].failures, 1);
+    assert.equal(status[url('first')].lastError, 'ECONNREFUSED');
+    assert.equal(status[url('limited')].lastError, 'HTTP 429 (rate limited)');
+
+    // The endpoint that answered is now the only healthy one, so it goes first
+    calls = [];
+    await provider.getBalance(address());
+    assert.deepEqual(calls.map(([u]) => u), [url('last')]);
+
+    endpoints[url('last')].down = true;
+    await assert.rejects(provider.getBalance(address()), /All RPC endpoints for Net \d+ failed \(last: /);
+});
+
+test('a JSON-RPC error is an answer, not a reason to fail over', async () => {
+    const { key, net } = network({ a: {}, b: { delay: 10 } });
+    await assert.rejects(poolProvider(key, net).call({ to: address(), data: '0x' }), /revert/);
+    assert.equal(calls.filter(([, m]) => m === 'eth_call').length, 1);
+    assert.ok(poolStatus(key).every(ep => ep.healthy));
+});
+
+test('with a quorum, reads need matching answers from that many endpoints', async () => {
+    configureRpc({ quorum: 2 });
+    let { key, net, url } = network({ a: {}, b: { delay: 5 }, c: { delay: 10 } });
+    assert.equal(await poolProvider(key, net).getBalance(address()), 100n);
+    assert.equal(requestsTo(url('a'), 'eth_getBalance'), 1);
+    assert.equal(requestsTo(url('b'), 'eth_getBalance'), 1);
+    assert.equal(requestsTo(url('c'), 'eth_getBalance'), 0);
+
+    // Not a state read: one endpoint is enough
+    calls = [];
+    await poolProvider(key, net).getBlockNumber();
+    assert.equal(calls.filter(([, m]) => m === 'eth_blockNumber').length, 1);
+
+    // A failed endpoint is replaced by the next one in line
+    calls = [];
+    endpoints[url('a')].down = true;
+    assert.equal(await poolProvider(key, net).getBalance(address()), 100n);
+    assert.equal(requestsTo(url('c'), 'eth_getBalance'), 1);
+
+    ({ key, net } = network({ a: { balance: 100n }, b: { balance: 999n, delay: 5 } }));
+    await assert.rejects(poolProvider(key, net).getBalance(address()), /RPC endpoints for Net \d+ disagree/);
+
+    ({ key, net, url } = network({ a: {}, b: { delay: 5 } }));
+    await checkPool(key, net);
+    endpoints[url('b')].down = true;
+    await assert.rejects(poolProvider(key, net).getBalance(address()), /Only 1 of 2 RPC endpoints for Net \d+ answered/);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    Keypair, PublicKey, SystemProgram, ComputeBudgetProgram, TransactionInstruction,
+    TransactionMessage, VersionedTransaction,
+} from '@solana/web3.js';
+import { SolanaWallet, isSolanaAddress, base58Bytes, describeTransaction, signTransaction } from '../solana.js';
+import { solanaPath } from '../hd.js';
+
+const PHRASE = 'test test test test test test test test test test test junk';
+const MEMO = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const BLOCKHASH = '11111111111111111111111111111111';
+
+// Node key object for a wallet's ed25519 public key (DER SPKI prefix + 32 bytes)
+const verifyKey = wallet => crypto.createPublicKey({ key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), wallet.publicKey]), format: 'der', type: 'spki' });
+
+function unsignedTransaction(payer, instructions) {
+    const message = new TransactionMessage({ payerKey: payer, recentBlockhash: BLOCKHASH, instructions }).compileToV0Message();
+    return Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+}
+
+test('phrase accounts are distinct per path and agree with @solana/web3.js', () => {
+    const first = SolanaWallet.fromPhrase(PHRASE);
+    const second = SolanaWallet.fromPhrase(` ${PHRASE.toUpperCase()} `, solanaPath(1));
+    assert.equal(first.path, solanaPath(0));
+    assert.notEqual(first.address, second.address);
+    assert.equal(SolanaWallet.fromPhrase(PHRASE).address, first.address);
+    assert.equal(Keypair.fromSecretKey(first.secretKey).publicKey.toBase58(), first.address);
+    assert.equal(first.chain, 'solana');
+    assert.throws(() => SolanaWallet.fromPhrase(PHRASE, "m/44'/501'/0'/0"), /must be hardened/);
+});
+
+test('secret keys import from base58 and from solana-keygen JSON', () => {
+    const wallet = SolanaWallet.createRandom();
+    assert.equal(SolanaWallet.fromSecretKey(wallet.privateKey).address, wallet.address);
+    assert.equal(SolanaWallet.fromSecretKey(JSON.stringify([...wallet.secretKey])).address, wallet.address);
+
+    const tampered = Uint8Array.from(wallet.secretKey);
+    tampered[40] ^= 1;
+    assert.throws(() => SolanaWallet.fromSecretKey(JSON.stringify([...tampered])), /does not match its public key/);
+    assert.throws(() => SolanaWallet.fromSecretKey('[1,2,3]'), /64 bytes, this one is 3/);
+    assert.throws(() => SolanaWallet.fromSecretKey('0OIl'), /Not a Solana secret key/);
+});
+
+test('messages are signed with ed25519', () => {
+    const wallet = SolanaWallet.createRandom();
+    const signature = wallet.signMessage('hello');
+    assert.ok(crypto.verify(null, Buffer.from('hello'), verifyKey(wallet), signature));
+});
+
+test('address checks', () => {
+    const { address } = SolanaWallet.createRandom();
+    assert.ok(isSolanaAddress(address));
+    assert.ok(isSolanaAddress('11111111111111111111111111111111'));
+    assert.ok(!isSolanaAddress('0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'));
+    assert.ok(!isSolanaAddress('1111'));
+    assert.deepEqual([...base58Bytes('112')], [0, 0, 1]);
+});
+
+test('describeTransaction reads the known programs', async () => {
+    const payer = SolanaWallet.createRandom();
+    const to = Keypair.generate().publicKey;
+    const from = new PublicKey(payer.address);
+    const serialized = unsignedTransaction(from, [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 5000 }),
+        SystemProgram.transfer({ fromPubkey: from, toPubkey: to, lamports: 1_500_000_000 }),
+        new TransactionInstruction({ programId: MEMO, keys: [], data: Buffer.from('rent') }),
+        new TransactionInstruction({ programId: to, keys: [{ pubkey: from, isSigner: false, isWritable: true }], data: Buffer.from([1, 2, 3]) }),
+    ]);
+
+    const described = await describeTransaction(serialized);
+    assert.equal(described.feePayer, payer.address);
+    assert.deepEqual(described.signers, [payer.address]);
+    assert.equal(described.lookupTables, 0);
+    assert.deepEqual(described.instructions, [
+        'Compute limit: 200000 units',
+        'Priority fee: 5000 micro-lamports per compute unit',
+        `Transfer 1.5 SOL from ${payer.address} to ${to.toBase58()}`,
+        'Memo: "rent"',
+        `Program ${to.toBase58()}: 1 account(s), 3 byte(s) of data`,
+    ]);
+
+    await assert.rejects(describeTransaction(Buffer.from('nope').toString('base64')), /Not a Solana transaction/);
+});
+
+test('signTransaction signs only transactions that ask for the wallet', async () => {
+    const wallet = SolanaWallet.createRandom();
+    const from = new PublicKey(wallet.address);
+    const serialized = unsignedTransaction(from, [SystemProgram.transfer({ fromPubkey: from, toPubkey: Keypair.generate().publicKey, lamports: 1 })]);
+
+    const { signature, transaction } = await signTransaction(wallet, serialized);
+    const signed = VersionedTransaction.deserialize(Buffer.from(transaction, 'base64'));
+    assert.equal(Buffer.from(signed.signatures[0]).toString('hex'), Buffer.from(base58Bytes(signature)).toString('hex'));
+    assert.ok(crypto.verify(null, Buffer.from(signed.message.serialize()), verifyKey(wallet), signed.signatures[0]));
+
+    await assert.rejects(signTransaction(SolanaWallet.createRandom(), serialized), /does not ask .* to sign/);
+});
@@ -0,0 +1,97 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readJson, peekJson, writeJson, withLock, listGenerations, rollback, dropGenerations, KEEP_GENERATIONS } from '../storage.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'my-wallet-storage-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let n = 0;
+const newFile = () => path.join(dir, `file-${++n}.json`);
+
+test('writeJson replaces the file with mode 0600 and leaves no temp or lock files', () => {
+    const file = newFile();
+    writeJson(file, { a: 1 });
+    assert.deepEqual(readJson(file), { a: 1 });
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(dir).filter(f => f.startsWith(path.basename(file))), [path.basename(file)]);
+});
+
+test('readJson returns the fallback for a missing file', () => {
+    assert.deepEqual(readJson(newFile(), { empty: true }), { empty: true });
+    assert.equal(peekJson(newFile()), null);
+});
+
+test('writeJson throws ECONFLICT when another process changed the file', () => {
+    const file = newFile();
+    writeJson(file, { v: 1 });
+    readJson(file);
+    fs.writeFileSync(file, JSON.stringify({ v: 'other' }));
+    assert.throws(() => writeJson(file, { v: 2 }), { code: 'ECONFLICT' });
+    assert.deepEqual(peekJson(file), { v: 'other' });
+
+    // Reading again accepts the other process's content as the new base
+    readJson(file);
+    writeJson(file, { v: 2 });
+    assert.deepEqual(peekJson(file), { v: 2 });
+});
+
+test('peekJson does not move the remembered revision', () => {
+    const file = newFile();
+    writeJson(file, { v: 1 });
+    fs.writeFileSync(file, JSON.stringify({ v: 'other' }));
+    peekJson(file);
+    assert.throws(() => writeJson(file, { v: 2 }), { code: 'ECONFLICT' });
+});
+
+test('every write keeps the previous content as a generation, newest first', () => {
+    const file = newFile();
+    for (let v = 1; v <= KEEP_GENERATIONS + 2; v++) writeJson(file, { v });
+    assert.deepEqual(listGenerations(file).map(g => g.generation), Array.from({ length: KEEP_GENERATIONS }, (_, i) => i + 1));
+    assert.deepEqual(peekJson(`${file}.1`), { v: KEEP_GENERATIONS + 1 });
+    assert.deepEqual(peekJson(`${file}.${KEEP_GENERATIONS}`), { v: 2 });
+});
+
+test('rollback restores a generation and can itself be rolled back', () => {
+    const file = newFile();
+    writeJson(file, { v: 1 });
+    writeJson(file, { v: 2 });
+    writeJson(file, { v: 3 });
+    rollback(file, 2);
+    assert.deepEqual(peekJson(file), { v: 1 });
+    assert.deepEqual(peekJson(`${file}.1`), { v: 3 });
+    rollback(file, 1);
+    assert.deepEqual(peekJson(file), { v: 3 });
+    // The restored content counts as this process's revision
+    writeJson(file, { v: 4 });
+    assert.throws(() => rollback(file, 9), /Generation 9 of .* not found/);
+});
+
+test('dropGenerations deletes every kept copy and reports how many', () => {
+    const file = newFile();
+    for (let v = 1; v <= 4; v++) writeJson(file, { v });
+    assert.equal(dropGenerations(file), 3);
+    assert.deepEqual(listGenerations(file), []);
+    assert.deepEqual(peekJson(file), { v: 4 });
+    assert.equal(dropGenerations(file), 0);
+});
+
+test('withLock is re-entrant and releases the lock afterwards', () => {
+    const file = newFile();
+    const result = withLock(file, () => withLock(file, () => {
+        assert.ok(fs.existsSync(`${file}.lock`));
+        return 'inner';
+    }));
+    assert.equal(result, 'inner');
+    assert.ok(!fs.existsSync(`${file}.lock`));
+});
+
+test('a lock left by a dead process is broken', () => {
+    const file = newFile();
+    // Pid far above any real one: treated as dead
+    fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, at: Date.now() }));
+    writeJson(file, { ok: true });
+    assert.deepEqual(peekJson(file), { ok: true });
+});
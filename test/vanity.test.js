@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVanityPattern, vanityDifficulty, estimateSeconds, formatDuration, searchVanity } from '../vanity.js';
+
+test('parseVanityPattern normalises and checks the pattern', () => {
+    assert.deepEqual(parseVanityPattern({ prefix: '0xDEAD' }), { prefix: 'dead', suffix: '', caseSensitive: false });
+    assert.deepEqual(parseVanityPattern({ suffix: 'Be', caseSensitive: true }), { prefix: '', suffix: 'Be', caseSensitive: true });
+    assert.throws(() => parseVanityPattern({ prefix: 'cafe!' }), /Prefix "cafe!" is not hex/);
+    assert.throws(() => parseVanityPattern({ suffix: 'xyz' }), /Suffix "xyz" is not hex/);
+    assert.throws(() => parseVanityPattern({}), /Give a prefix and\/or a suffix/);
+    assert.throws(() => parseVanityPattern({ prefix: '123456', suffix: '78901' }), /at most 10 characters/);
+});
+
+test('vanityDifficulty: 16 per character, twice that for a cased letter', () => {
+    assert.equal(vanityDifficulty(parseVanityPattern({ prefix: 'a' })), 16);
+    assert.equal(vanityDifficulty(parseVanityPattern({ prefix: 'dead', suffix: '00' })), 16 ** 6);
+    assert.equal(vanityDifficulty(parseVanityPattern({ prefix: 'Ab1', caseSensitive: true })), 16 ** 3 * 4);
+    assert.equal(estimateSeconds(parseVanityPattern({ prefix: 'a' }), 0), Infinity);
+    assert.ok(Math.abs(estimateSeconds(parseVanityPattern({ prefix: 'a' }), 16) - Math.LN2) < 1e-9);
+});
+
+test('formatDuration picks the largest useful unit', () => {
+    assert.equal(formatDuration(Infinity), '…');
+    assert.equal(formatDuration(42.4), '42s');
+    assert.equal(formatDuration(190), '3m 10s');
+    assert.equal(formatDuration(5 * 3600 + 2 * 60 + 30), '5h 2m');
+    assert.equal(formatDuration(12 * 86400 + 3600), '12d');
+});
+
+test('searchVanity finds a 1-character prefix', async () => {
+    const { wallet, attempts, seconds } = await searchVanity(parseVanityPattern({ prefix: 'a' }), { threads: 1 });
+    assert.ok(wallet.address.toLowerCase().startsWith('0xa'));
+    assert.ok(attempts >= 1);
+    assert.ok(seconds >= 0);
+
+    const cased = await searchVanity(parseVanityPattern({ suffix: 'F', caseSensitive: true }), { threads: 1 });
+    assert.ok(cased.wallet.address.endsWith('F'));
+});
+
+test('aborting the signal cancels the search', async () => {
+    const pattern = parseVanityPattern({ prefix: 'ffffffffff' });
+    const controller = new AbortController();
+    const search = searchVanity(pattern, { threads: 1, signal: controller.signal });
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(search, /^Error: Vanity search cancelled\.$/);
+
+    await assert.rejects(searchVanity(pattern, { threads: 1, signal: AbortSignal.abort() }), /Vanity search cancelled/);
+});
@@ -0,0 +1,137 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+
+// The vault follows the profile, which is fixed when profiles.js loads
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'my-wallet-vault-'));
+process.env.MY_WALLET_HOME = home;
+const {
+    WALLETS_FILE, TRASH_FILE, VAULT_VERSION, loadVault, saveVault, openVault, openEntry,
+    openPlainEntry, sealEntry, lockVault, changeVaultPassword,
+} = await import('../vault.js');
+const { peekJson, writeJson, listGenerations } = await import('../storage.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+beforeEach(() => {
+    lockVault();
+    for (const name of fs.readdirSync(home)) fs.rmSync(path.join(home, name), { recursive: true, force: true });
+    loadVault(); // as every caller does before saving: records that there is no vault yet
+});
+
+const alice = ethers.Wallet.createRandom();
+const bob = ethers.Wallet.createRandom();
+
+// Entry as written by the first versions: a Web3 keystore (cheap scrypt to keep the test fast)
+const keystoreEntry = (name, wallet, password) => ({
+    name,
+    address: wallet.address,
+    data: ethers.encryptKeystoreJsonSync({ address: wallet.address, privateKey: wallet.privateKey }, password, { scrypt: { N: 1024 } }),
+});
+
+test('a new profile has an empty encrypted vault', () => {
+    const doc = loadVault();
+    assert.equal(doc.encrypted, true);
+    assert.deepEqual(doc.entries, []);
+    assert.ok(!fs.existsSync(WALLETS_FILE));
+});
+
+test('a legacy keystore array is migrated, then re-sealed under the vault key on first open', async () => {
+    fs.writeFileSync(WALLETS_FILE, JSON.stringify([keystoreEntry('Alice', alice, 'pw')]));
+
+    let migrated;
+    const doc = loadVault({ onMigrate: info => { migrated = info; } });
+    assert.equal(migrated.from, 0);
+    assert.equal(migrated.to, VAULT_VERSION);
+    assert.ok(fs.existsSync(migrated.backupFile));
+    assert.equal(doc.version, VAULT_VERSION);
+    assert.equal(doc.encrypted, true);
+    assert.equal(doc.entries[0].name, 'Alice');
+
+    await assert.rejects(openVault('wrong'), /Wrong vault password/);
+
+    const [opened] = await openVault('pw');
+    assert.equal(opened.wallet.privateKey, alice.privateKey);
+    const saved = peekJson(WALLETS_FILE);
+    assert.equal(saved.kdf.algorithm, 'scrypt');
+    assert.ok(saved.entries[0].secret);
+    assert.equal(saved.entries[0].data, undefined);
+    assert.ok(!JSON.stringify(saved).includes(alice.privateKey.slice(2)));
+});
+
+test('a legacy plain-text array becomes an unencrypted vault', () => {
+    fs.writeFileSync(WALLETS_FILE, JSON.stringify([
+        { name: 'Alice', address: alice.address, privateKey: alice.privateKey },
+        { name: 'Watched', address: bob.address, watchOnly: true },
+    ]));
+    const doc = loadVault();
+    assert.equal(doc.encrypted, false);
+    assert.equal(doc.kdf, null);
+    assert.equal(openPlainEntry(doc.entries[0]).address, alice.address);
+    assert.ok(openPlainEntry(doc.entries[1]) instanceof ethers.VoidSigner);
+});
+
+test('a legacy array mixing plain and encrypted keys is refused and left untouched', () => {
+    const legacy = JSON.stringify([
+        { name: 'Alice', address: alice.address, privateKey: alice.privateKey },
+        keystoreEntry('Bob', bob, 'pw'),
+    ]);
+    fs.writeFileSync(WALLETS_FILE, legacy);
+    assert.throws(() => loadVault(), /mixes 1 plain-text and 1 encrypted/);
+    assert.equal(fs.readFileSync(WALLETS_FILE, 'utf8'), legacy);
+    assert.deepEqual(fs.readdirSync(home), [path.basename(WALLETS_FILE)]);
+});
+
+test('a newer vault format is refused', () => {
+    fs.writeFileSync(WALLETS_FILE, JSON.stringify({ format: 'my-wallet-vault', version: VAULT_VERSION + 1, entries: [] }));
+    assert.throws(() => loadVault(), /newer than this tool supports/);
+});
+
+test('sealed entries open with the password and are bound to their address', async () => {
+    const hd = ethers.HDNodeWallet.fromPhrase(ethers.Wallet.createRandom().mnemonic.phrase);
+    const entries = [await sealEntry(alice, { name: 'Alice' }, 'pw'), await sealEntry(hd, { name: 'HD', index: 0 }, 'pw')];
+    saveVault(entries, { encrypted: true });
+
+    assert.equal((await openEntry(entries[0], 'pw')).privateKey, alice.privateKey);
+    const reopened = await openEntry(entries[1], 'pw');
+    assert.equal(reopened.mnemonic.phrase, hd.mnemonic.phrase);
+    assert.equal(reopened.path, hd.path);
+
+    // The address is the AEAD's associated data: pointing an entry elsewhere breaks it
+    await assert.rejects(openEntry({ ...entries[0], address: bob.address }, 'pw'));
+
+    lockVault();
+    await assert.rejects(openEntry(entries[0], 'wrong'), /Wrong vault password/);
+});
+
+test('changing the password re-encrypts vault and trash and deletes the old copies', async () => {
+    fs.writeFileSync(WALLETS_FILE, JSON.stringify([keystoreEntry('Alice', alice, 'old')]));
+    loadVault();
+    await openVault('old');
+    writeJson(TRASH_FILE, [await sealEntry(bob, { name: 'Bob' }, 'old'), keystoreEntry('Stranger', ethers.Wallet.createRandom(), 'other')]);
+    assert.ok(listGenerations(WALLETS_FILE).length > 0);
+
+    const result = await changeVaultPassword('old', 'new');
+    assert.equal(result.wallets, 1);
+    assert.equal(result.trashed, 1);
+    assert.equal(result.trashSkipped, 1);
+    assert.ok(result.oldCopiesRemoved >= 2); // generation(s) and the migration backup
+    assert.deepEqual(listGenerations(WALLETS_FILE), []);
+    assert.deepEqual(listGenerations(TRASH_FILE), []);
+    assert.ok(!fs.readdirSync(home).some(f => f.endsWith('.bak')));
+    assert.ok(peekJson(WALLETS_FILE).passwordChangedAt);
+
+    lockVault();
+    await assert.rejects(openVault('old'), /Wrong vault password/);
+    const [opened] = await openVault('new');
+    assert.equal(opened.wallet.privateKey, alice.privateKey);
+    assert.equal((await openEntry(peekJson(TRASH_FILE)[0], 'new')).privateKey, bob.privateKey);
+});
+
+test('changing the password of a plain vault is refused', async () => {
+    saveVault([{ name: 'Alice', address: alice.address, privateKey: alice.privateKey }], { encrypted: false });
+    await assert.rejects(changeVaultPassword('a', 'b'), /not encrypted/);
+});
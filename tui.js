@@ -1,29 +1,62 @@
 #!/usr/bin/env node
 import blessed from 'blessed';
 import contrib from 'blessed-contrib';
+import { ethers } from 'ethers';
 import { 
     loadSettings, 
     hasEncryptedWallets, 
+    isVaultEncrypted,
     unlockWallets, 
+    lockWallets,
     DECRYPTED_WALLETS, 
     NETWORKS, 
     getNativeBalance, 
+    getTokenBalances,
     getPrice,
     USER_SETTINGS,
-    PREDEFINED_TOKENS,
-    ERC20_ABI
+    findToken,
+    prepareTransaction,
+    transferRequest,
+    feeQuote,
+    sendPrepared,
+    FEE_SPEEDS,
+    isTestnetMode,
+    defaultNetworkKey,
+    sendAsset,
+    isSolanaWallet,
+    solanaNetworkKey,
+    solanaTransferQuote,
+    networkInfo,
+    resolveRecipient,
+    lookupEnsName,
+    contactFor,
+    contactsFor,
+    autoLockMinutes
 } from './core.js';
-import { ethers } from 'ethers';
+import { matchesFilter, describeFilter, metaLabel, parseTags } from './metadata.js';
+import { PROFILE, DEFAULT_PROFILE, listProfiles, createProfile, switchProfile } from './profiles.js';
+import { qrLines, paymentUri, solanaPayUri } from './qr.js';
 
 // --- Setup Screen ---
 const screen = blessed.screen({
   smartCSR: true,
-  title: 'Multi-Wallet TUI'
+  title: profileTitle()
 });
 
+function profileTitle() {
+    const title = PROFILE === DEFAULT_PROFILE ? 'Multi-Wallet TUI' : `Multi-Wallet TUI [${PROFILE}]`;
+    return isTestnetMode() ? `${title} [TESTNET]` : title;
+}
+
 // --- State ---
 let currentWalletIndex = 0;
 let currentNetwork = 'bsc'; // Default to BSC
+let walletFilter = { tags: [], group: null, archived: false };
+let visibleWallets = []; // walletList row → index in DECRYPTED_WALLETS
+let dashboardStarted = false;
+let locked = false;
+let idleTimer = null;
+let unlockForm = null;
 
 // --- UI Elements ---
 const grid = new contrib.grid({rows: 12, cols: 12, screen: screen});
@@ -70,7 +103,7 @@ const logBox = grid.set(8, 0, 4, 12, blessed.log, {
 
 const helpBox = grid.set(4, 3, 4, 9, blessed.box, {
     label: 'Controls',
-    content: 'UP/DOWN: Select Wallet | q: Quit | n: Switch Network'
+    content: 'UP/DOWN: Select Wallet | q: Quit | n: Switch Network | f: Filter Wallets | a: Receive QR | l: Lock | p: Profile'
 });
 
 // --- Logic ---
@@ -79,52 +112,60 @@ function log(msg) {
     logBox.log(`[${new Date().toLocaleTimeString()}] ${msg}`);
 }
 
+// 'n' cycles the EVM networks; Solana wallets always show their cluster
+function walletNetwork(w = DECRYPTED_WALLETS[currentWalletIndex]) {
+    return w && isSolanaWallet(w) ? solanaNetworkKey() : currentNetwork;
+}
+
+function balanceLabel() {
+    return `Balances (${networkInfo(walletNetwork()).name})${isTestnetMode() ? ' [TESTNET]' : ''}`;
+}
+
+// Testnet mode: yellow frames and [TESTNET] in the title and balance label
+function applyMode() {
+    if (!NETWORKS[currentNetwork]) currentNetwork = defaultNetworkKey();
+    const frame = isTestnetMode() ? 'yellow' : 'cyan';
+    balanceTable.style.border.fg = frame;
+    walletList.style.border = { ...walletList.style.border, fg: isTestnetMode() ? 'yellow' : undefined };
+    balanceTable.setLabel(balanceLabel());
+    screen.title = profileTitle();
+    if (isTestnetMode()) log('🧪 TESTNET MODE: test networks only; nothing here has real value.');
+}
+
 async function refreshBalances() {
     if (DECRYPTED_WALLETS.length === 0) return;
     
     const wallet = DECRYPTED_WALLETS[currentWalletIndex];
     if (!wallet) return;
 
-    log(`Fetching balances for ${wallet.name} on ${currentNetwork}...`);
+    const networkKey = walletNetwork(wallet);
+    const net = networkInfo(networkKey);
+    balanceTable.setLabel(balanceLabel());
+    log(`Fetching balances for ${wallet.name} on ${networkKey}...`);
+    const contact = contactFor(wallet.wallet.address);
+    if (contact) log(`In the address book as ${contact.label}${contact.note ? ` — ${contact.note}` : ''}`);
     
     // Native
     const tableData = [];
     try {
-        const bal = await getNativeBalance(wallet.wallet.address, currentNetwork);
-        const symbol = NETWORKS[currentNetwork].currency;
+        const bal = await getNativeBalance(wallet.wallet.address, networkKey);
+        const symbol = net.currency;
         
-        const price = await getPrice(NETWORKS[currentNetwork].coingeckoId);
+        const price = await getPrice(net.coingeckoId);
         const val = (parseFloat(bal) * price).toFixed(2);
         
         tableData.push([symbol, parseFloat(bal).toFixed(4), val]);
         
         // Tokens
-        const tokensToCheck = [];
-        if (PREDEFINED_TOKENS[currentNetwork]) tokensToCheck.push(...PREDEFINED_TOKENS[currentNetwork]);
-        if (USER_SETTINGS.savedTokens) {
-            tokensToCheck.push(...USER_SETTINGS.savedTokens.filter(t => t.network === currentNetwork));
-        }
-
-        const provider = new ethers.JsonRpcProvider(NETWORKS[currentNetwork].rpc);
-
-        for (const token of tokensToCheck) {
-            try {
-                const contract = new ethers.Contract(token.address, ERC20_ABI, provider);
-                const balWei = await contract.balanceOf(wallet.wallet.address);
-                const decimals = token.decimals || await contract.decimals();
-                const symbol = token.symbol || await contract.symbol();
-                const balFloat = parseFloat(ethers.formatUnits(balWei, decimals));
-
-                if (balFloat > 0) {
-                    let valStr = "0.00";
-                    if (token.coingeckoId) {
-                        const tPrice = await getPrice(token.coingeckoId);
-                        valStr = (balFloat * tPrice).toFixed(2);
-                    }
-                    tableData.push([symbol, balFloat.toFixed(4), valStr]);
+        for (const t of await getTokenBalances(wallet.wallet.address, networkKey)) {
+            const balFloat = parseFloat(t.balance);
+            if (balFloat > 0) {
+                let valStr = "0.00";
+                if (t.token.coingeckoId) {
+                    const tPrice = await getPrice(t.token.coingeckoId);
+                    valStr = (balFloat * tPrice).toFixed(2);
                 }
-            } catch (e) {
-                // Ignore error for specific token
+                tableData.push([t.symbol, balFloat.toFixed(4), valStr]);
             }
         }
 
@@ -148,7 +189,7 @@ function createForm(title, fields, onSubmit) {
         left: 'center',
         top: 'center',
         width: '60%',
-        height: '60%',
+        height: Math.max(fields.length * 4 + 6, 12),
         bg: 'blue',
         label: title,
         border: { type: 'line' }
@@ -176,6 +217,7 @@ function createForm(title, fields, onSubmit) {
             border: { type: 'line' },
             style: { focus: { border: { fg: 'white' } } }
         });
+        if (f.value) inputs[f.name].setValue(f.value);
         offset += 4;
     });
 
@@ -216,39 +258,102 @@ function createForm(title, fields, onSubmit) {
     screen.render();
 }
 
+// Yes/no dialog; resolves false on Escape
+function confirm(text) {
+    const question = blessed.question({
+        parent: screen,
+        border: { type: 'line' },
+        left: 'center',
+        top: 'center',
+        width: '70%',
+        height: 8,
+        label: ' Confirm ',
+        keys: true
+    });
+    return new Promise(resolve => question.ask(text, (err, ok) => {
+        question.destroy();
+        screen.render();
+        resolve(!err && !!ok);
+    }));
+}
+
 function showTransferForm() {
-    createForm('Transfer Asset', [
-        { name: 'to', label: 'Recipient:' },
+    const selected = DECRYPTED_WALLETS[currentWalletIndex];
+    if (selected && selected.watchOnly) {
+        log(`❌ ${selected.name} is watch-only and cannot send.`);
+        return;
+    }
+    // Solana has a flat fee, so there is no speed to choose
+    const solana = !!selected && isSolanaWallet(selected);
+    const networkKey = walletNetwork(selected);
+    // A contact's label works as the recipient too
+    const contacts = contactsFor(networkKey);
+    if (contacts.length > 0) log(`📇 Contacts: ${contacts.map(c => c.label).join(', ')}`);
+    const fields = [
+        { name: 'to', label: solana ? 'Recipient (or contact):' : 'Recipient (ENS, contact):' },
         { name: 'amount', label: 'Amount:' },
-        { name: 'token', label: 'Token (Native/USDT):' } // Simplified for now
-    ], async (data) => {
+        { name: 'token', label: solana ? 'Token (Native/USDC):' : 'Token (Native/USDT):' } // Simplified for now
+    ];
+    if (!solana) fields.push({ name: 'fee', label: 'Fee speed:', value: USER_SETTINGS.feeSpeed });
+    createForm('Transfer Asset', fields, async (data) => {
+        const speed = solana ? null : data.fee.trim().toLowerCase() || USER_SETTINGS.feeSpeed;
+        if (!solana && !FEE_SPEEDS.includes(speed)) {
+            log(`❌ Fee must be one of ${FEE_SPEEDS.join(', ')}`);
+            return;
+        }
         log(`Sending ${data.amount} ${data.token} to ${data.to}...`);
         
         const wallet = DECRYPTED_WALLETS[currentWalletIndex].wallet;
-        const provider = new ethers.JsonRpcProvider(NETWORKS[currentNetwork].rpc);
-        const signer = wallet.connect(provider);
 
         try {
-            if (data.token.toLowerCase() === 'native') {
-                const tx = await signer.sendTransaction({
-                    to: data.to,
-                    value: ethers.parseEther(data.amount)
-                });
-                log(`✅ Sent! Hash: ${tx.hash}`);
-            } else {
-                // Find token address (simple search)
-                const tokens = PREDEFINED_TOKENS[currentNetwork] || [];
-                const tokenInfo = tokens.find(t => t.symbol === data.token.toUpperCase());
-                
-                if (!tokenInfo) {
-                    log(`❌ Token ${data.token} not found on ${currentNetwork}`);
+            let token = null;
+            if (data.token.toLowerCase() !== 'native') {
+                // Predefined or saved token, by symbol or address
+                token = findToken(networkKey, data.token);
+                if (!token) {
+                    log(`❌ Token ${data.token} not found on ${networkKey}`);
                     return;
                 }
-                
-                const contract = new ethers.Contract(tokenInfo.address, ERC20_ABI, signer);
-                const tx = await contract.transfer(data.to, ethers.parseUnits(data.amount, tokenInfo.decimals));
-                log(`✅ Sent! Hash: ${tx.hash}`);
             }
+            const byLabel = contacts.find(c => c.label.toLowerCase() === data.to.trim().toLowerCase());
+            const recipient = byLabel ? { address: byLabel.address, ens: null } : await resolveRecipient(data.to, { chain: solana ? 'solana' : null });
+            // The confirmation names the resolved address, so a re-pointed name is caught there
+            const contact = byLabel || contactFor(recipient.address);
+            let to = recipient.address;
+            if (contact) {
+                to = `${contact.label} (${contact.address})`;
+            } else if (recipient.ens) {
+                log(`📛 ${recipient.ens} → ${to}`);
+                to = `${recipient.ens} (${recipient.address})`;
+            } else if (!solana) {
+                const name = await lookupEnsName(recipient.address);
+                if (name) to = `${recipient.address} (${name})`;
+            }
+            if (solana) {
+                const transfer = { to: recipient.address, amount: data.amount, token };
+                const quote = await solanaTransferQuote(wallet.address, { networkKey, ...transfer });
+                const rent = quote.rent > 0n ? ` incl. ${ethers.formatUnits(quote.rent, 9)} to open the recipient's token account` : '';
+                const fee = `${ethers.formatUnits(quote.cost, 9)} SOL${rent}`;
+                log(`💸 Fee: ${fee}`);
+                if (!await confirm(`Send ${data.amount} ${data.token} to ${to}?\nNetwork fee: ${fee}`)) {
+                    log('❌ Transfer cancelled.');
+                    return;
+                }
+                const tx = await sendAsset(wallet, { networkKey, ...transfer });
+                log(`✅ Sent! Signature: ${tx.hash}`);
+                return;
+            }
+            const prepared = await prepareTransaction(wallet, networkKey, transferRequest({ to: recipient.address, amount: data.amount, token }));
+            const quote = feeQuote(prepared, speed);
+            const fiat = quote.costFiat > 0 ? ` ≈ ${quote.costFiat.toFixed(2)} ${USER_SETTINGS.currency}` : '';
+            const fee = `${ethers.formatEther(quote.cost)} ${NETWORKS[networkKey].currency}${fiat} (max ${ethers.formatEther(quote.maxCost)})`;
+            log(`⛽ ${speed} fee: ${fee}`);
+            if (!await confirm(`Send ${data.amount} ${data.token} to ${to}?\nNetwork fee (${speed}): ${fee}`)) {
+                log('❌ Transfer cancelled.');
+                return;
+            }
+            const tx = await sendPrepared(wallet, prepared, speed);
+            log(`✅ Sent! Hash: ${tx.hash}`);
         } catch (e) {
             log(`❌ Failed: ${e.message}`);
         }
@@ -265,75 +370,275 @@ function showConnectForm() {
     });
 }
 
+function showFilterForm() {
+    createForm('Filter Wallets', [
+        { name: 'tags', label: 'Tags (all of):' },
+        { name: 'group', label: 'Group:' },
+        { name: 'archived', label: 'Archived (y/n):' }
+    ], (data) => {
+        walletFilter = {
+            tags: parseTags(data.tags),
+            group: data.group.trim() || null,
+            archived: /^y/i.test(data.archived.trim())
+        };
+        renderWalletList();
+        log(`Filter: ${describeFilter(walletFilter)} (${visibleWallets.length}/${DECRYPTED_WALLETS.length} wallets)`);
+    });
+}
+
+function renderWalletList() {
+    visibleWallets = DECRYPTED_WALLETS
+        .map((w, i) => i)
+        .filter(i => matchesFilter(DECRYPTED_WALLETS[i], walletFilter));
+    walletList.setItems(visibleWallets.map(i => {
+        const w = DECRYPTED_WALLETS[i];
+        const meta = metaLabel(w);
+        return `${w.watchOnly ? `${w.name} (watch)` : w.name}${meta ? ` ${meta}` : ''}`;
+    }));
+    walletList.setLabel(walletFilter.tags.length || walletFilter.group || walletFilter.archived
+        ? `Wallets (${describeFilter(walletFilter)})`
+        : 'Wallets');
+    if (!visibleWallets.includes(currentWalletIndex) && visibleWallets.length > 0) {
+        currentWalletIndex = visibleWallets[0];
+    }
+    screen.render();
+}
+
 function showSwapForm() {
     log("Swap feature coming soon to TUI.");
 }
 
-async function init() {
-    loadSettings();
-    if (hasEncryptedWallets()) {
-        // Show Password Prompt
-        const form = blessed.form({
-            parent: screen,
-            keys: true,
-            left: 'center',
-            top: 'center',
-            width: '50%',
-            height: 10,
-            bg: 'blue',
-            content: 'Enter Vault Password:'
-        });
+// --- Receive: QR of the selected wallet's address; 'e' toggles a payment request (EIP-681 on the current network, Solana Pay for Solana wallets) ---
 
-        const passwordInput = blessed.textbox({
-            parent: form,
-            top: 3,
-            left: 'center',
-            width: '80%',
-            height: 3,
-            inputOnFocus: true,
-            censor: true,
-            border: { type: 'line' },
-            style: { focus: { border: { fg: 'white' } } }
-        });
+let qrBox = null;
 
-        passwordInput.key('enter', async () => {
-            const pass = passwordInput.getValue();
-            try {
-                log("Unlocking wallets...");
-                await unlockWallets(pass);
-                form.detach();
-                screen.render();
-                startDashboard();
-            } catch (e) {
-                log(`Unlock failed: ${e.message}`);
-                passwordInput.setValue('');
-                passwordInput.focus();
-            }
-        });
+function closeReceiveQr() {
+    if (!qrBox) return;
+    qrBox.detach();
+    qrBox = null;
+}
+
+function showReceiveQr() {
+    const w = DECRYPTED_WALLETS[currentWalletIndex];
+    if (qrBox || locked || !w) return;
+    const net = networkInfo(walletNetwork(w));
+    const views = [
+        { title: 'Address', text: w.wallet.address },
+        isSolanaWallet(w)
+            ? { title: `${net.currency} on ${net.name} (Solana Pay)`, text: solanaPayUri({ address: w.wallet.address }) }
+            : { title: `${net.currency} on ${net.name} (EIP-681)`, text: paymentUri({ address: w.wallet.address, chainId: net.chainId }) }
+    ];
+    let view = 0;
+
+    const box = qrBox = blessed.box({
+        parent: screen,
+        label: ` Receive: ${w.name} `,
+        keys: true,
+        left: 'center',
+        top: 'center',
+        shrink: true,
+        border: { type: 'line' },
+        style: { fg: 'black', bg: 'white', border: { fg: 'cyan' } }
+    });
+    const render = () => {
+        const { title, text } = views[view];
+        box.setContent([...qrLines(text), '', ` ${title}: ${text}`, ' e: address / payment request   enter: close'].join('\n'));
+        screen.render();
+    };
+    box.key(['e'], () => {
+        view = (view + 1) % views.length;
+        render();
+    });
+    box.key(['enter', 'space', 'a'], () => {
+        closeReceiveQr();
+        walletList.focus();
+        screen.render();
+    });
+
+    box.focus();
+    render();
+}
+
+// --- Idle auto-lock: any keypress resets the timer ---
+
+function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    const minutes = autoLockMinutes();
+    if (locked || !minutes) return;
+    idleTimer = setTimeout(() => lockNow(`Locked after ${minutes} idle minute(s).`), minutes * 60_000);
+}
+
+function lockNow(reason = 'Locked.') {
+    if (locked || DECRYPTED_WALLETS.length === 0) return;
+    if (!isVaultEncrypted()) {
+        log("Nothing to lock: this vault has no password.");
+        return;
+    }
+    clearTimeout(idleTimer);
+    locked = true;
+    lockWallets();
+    closeReceiveQr();
+    walletList.setItems([]);
+    balanceTable.setData({ headers: ['Asset', 'Balance', 'Value'], data: [] });
+    log(`🔒 ${reason} Enter the vault password to continue.`);
+    showUnlockForm();
+}
+
+function showUnlockForm() {
+    const form = blessed.form({
+        parent: screen,
+        keys: true,
+        left: 'center',
+        top: 'center',
+        width: '50%',
+        height: 10,
+        bg: 'blue',
+        content: PROFILE === DEFAULT_PROFILE ? 'Enter Vault Password:' : `Enter Vault Password (profile ${PROFILE}):`
+    });
+    unlockForm = form;
+
+    const passwordInput = blessed.textbox({
+        parent: form,
+        top: 3,
+        left: 'center',
+        width: '80%',
+        height: 3,
+        inputOnFocus: true,
+        censor: true,
+        border: { type: 'line' },
+        style: { focus: { border: { fg: 'white' } } }
+    });
+
+    passwordInput.key('enter', async () => {
+        const pass = passwordInput.getValue();
+        try {
+            log("Unlocking wallets...");
+            await unlockWallets(pass);
+            form.detach();
+            unlockForm = null;
+            locked = false;
+            screen.render();
+            startDashboard();
+        } catch (e) {
+            log(`Unlock failed: ${e.message}`);
+            passwordInput.setValue('');
+            passwordInput.focus();
+        }
+    });
 
-        passwordInput.focus();
+    passwordInput.focus();
+    screen.render();
+}
+
+// --- Profiles: switching locks the current one and asks for the other's password ---
+
+let pickerOpen = false;
+
+function showProfilePicker() {
+    if (pickerOpen) return;
+    pickerOpen = true;
+    const profiles = listProfiles();
+    const picker = blessed.list({
+        parent: screen,
+        label: `Switch Profile (active: ${PROFILE})`,
+        keys: true,
+        vi: true,
+        left: 'center',
+        top: 'center',
+        width: '40%',
+        height: Math.min(profiles.length + 4, 16),
+        border: { type: 'line' },
+        style: { selected: { bg: 'blue', fg: 'white' } },
+        items: [...profiles.map(p => p === PROFILE ? `${p} (active)` : p), '+ New profile', 'Cancel']
+    });
+
+    picker.on('select', (item, index) => {
+        pickerOpen = false;
+        picker.detach();
         screen.render();
+        if (index < profiles.length) return useProfile(profiles[index]);
+        if (index === profiles.length) {
+            createForm('New Profile', [{ name: 'name', label: 'Profile name:' }], (data) => {
+                try {
+                    const name = data.name.trim();
+                    createProfile(name);
+                    log(`Profile "${name}" created.`);
+                    useProfile(name);
+                } catch (e) {
+                    log(`Profile not created: ${e.message}`);
+                }
+            });
+        }
+    });
+
+    picker.focus();
+    screen.render();
+}
+
+function useProfile(name) {
+    if (name === PROFILE) return;
+    clearTimeout(idleTimer);
+    switchProfile(name); // core.js locks the wallets and loads the profile's settings
+    locked = true;
+    closeReceiveQr();
+    walletFilter = { tags: [], group: null, archived: false };
+    currentWalletIndex = 0;
+    walletList.setItems([]);
+    walletList.setLabel('Wallets');
+    balanceTable.setData({ headers: ['Asset', 'Balance', 'Value'], data: [] });
+    if (unlockForm) {
+        unlockForm.detach();
+        unlockForm = null;
+    }
+    screen.title = profileTitle();
+    log(`👤 Switched to profile "${PROFILE}".`);
+    init();
+}
+
+async function init() {
+    loadSettings();
+    applyMode();
+    if (hasEncryptedWallets() && !isVaultEncrypted()) {
+        // Same vault the CLI and scripts open: plain text needs no password
+        await unlockWallets(null);
+        locked = false;
+        log("⚠️  This vault is NOT encrypted. Use 'my-wallet' → Settings → Toggle Vault Encryption to set a password.");
+        startDashboard();
+    } else if (hasEncryptedWallets()) {
+        showUnlockForm();
     } else {
         log("No wallets found. Please run 'my-wallet' CLI to create one.");
     }
 }
 
 function startDashboard() {
-    const names = DECRYPTED_WALLETS.map(w => w.name);
-    walletList.setItems(names);
+    renderWalletList();
     walletList.focus();
+    resetIdleTimer();
+
+    if (dashboardStarted) {
+        // Re-unlocked after a lock: handlers are already in place
+        refreshBalances();
+        return;
+    }
+    dashboardStarted = true;
     
     walletList.on('select', (item, index) => {
-        currentWalletIndex = index;
+        currentWalletIndex = visibleWallets[index];
         refreshBalances();
     });
 
+    screen.key(['f'], () => { if (!locked) showFilterForm(); });
+    screen.key(['a'], () => showReceiveQr());
+    screen.key(['l'], () => lockNow());
+    screen.on('keypress', () => resetIdleTimer());
+
     screen.key(['n'], () => {
         // Simple network toggle
         const nets = Object.keys(NETWORKS);
         const idx = nets.indexOf(currentNetwork);
         currentNetwork = nets[(idx + 1) % nets.length];
-        balanceTable.setLabel(`Balances (${NETWORKS[currentNetwork].name})`);
+        balanceTable.setLabel(balanceLabel());
         refreshBalances();
     });
 
@@ -343,5 +648,6 @@ function startDashboard() {
 
 // --- Keybindings ---
 screen.key(['escape', 'q', 'C-c'], () => process.exit(0));
+screen.key(['p'], () => showProfilePicker());
 
 init();
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * vanity.js  –  Search for an address with a chosen prefix and/or suffix
+ *
+ *   parseVanityPattern({ prefix, suffix, caseSensitive })
+ *                                   → pattern (throws on non-hex input)
+ *   vanityDifficulty(pattern)       → expected number of keys to try
+ *   estimateSeconds(pattern, rate)  → seconds until a 50% chance of a hit
+ *   formatDuration(seconds)         → "42s", "3m 10s", "5h 2m", "12d"
+ *   searchVanity(pattern, { threads, signal, onProgress })
+ *                                   → { wallet, attempts, seconds }
+ *
+ * Keys are random 32-byte private keys (no seed phrase: a phrase would cost a
+ * PBKDF2 run per attempt). The search runs in worker_threads, one per CPU
+ * core by default; the first worker to find a match wins and the rest are
+ * terminated. Aborting `signal` stops every worker and rejects with
+ * 'Vanity search cancelled.'.
+ *
+ * Case-sensitive patterns match the EIP-55 checksum spelling of the address,
+ * so each letter in the pattern doubles the difficulty.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { ethers } from 'ethers';
+
+const MAX_PATTERN = 10; // 16^10 keys: years, even on every core of a desktop
+const BATCH = 256;
+const PROGRESS_MS = 500;
+
+/**
+ * @param {{ prefix?: string, suffix?: string, caseSensitive?: boolean }} opts
+ * @returns {{ prefix: string, suffix: string, caseSensitive: boolean }}
+ */
+export function parseVanityPattern({ prefix = '', suffix = '', caseSensitive = false } = {}) {
+    prefix = String(prefix || '').replace(/^0x/i, '');
+    suffix = String(suffix || '');
+    for (const [label, part] of [['Prefix', prefix], ['Suffix', suffix]]) {
+        if (!/^[0-9a-f]*$/i.test(part)) throw new Error(`${label} "${part}" is not hex (use 0-9 and a-f).`);
+    }
+    if (!prefix && !suffix) throw new Error('Give a prefix and/or a suffix.');
+    if (prefix.length + suffix.length > MAX_PATTERN) {
+        throw new Error(`Pattern too long: at most ${MAX_PATTERN} characters in total.`);
+    }
+    if (!caseSensitive) return { prefix: prefix.toLowerCase(), suffix: suffix.toLowerCase(), caseSensitive };
+    return { prefix, suffix, caseSensitive };
+}
+
+export function vanityDifficulty({ prefix, suffix, caseSensitive }) {
+    const chars = prefix + suffix;
+    const letters = caseSensitive ? (chars.match(/[a-f]/gi) || []).length : 0;
+    return 16 ** chars.length * 2 ** letters;
+}
+
+export function estimateSeconds(pattern, rate) {
+    return rate > 0 ? Math.LN2 * vanityDifficulty(pattern) / rate : Infinity;
+}
+
+export function formatDuration(seconds) {
+    if (!Number.isFinite(seconds)) return '…';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+    if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m`;
+    return `${Math.round(s / 86400)}d`;
+}
+
+/**
+ * @param {{ prefix: string, suffix: string, caseSensitive: boolean }} pattern – from parseVanityPattern
+ * @param {{ threads?: number, signal?: AbortSignal,
+ *           onProgress?: (p: { attempts: number, rate: number, eta: number }) => void }} [opts]
+ * @returns {Promise<{ wallet: ethers.Wallet, attempts: number, seconds: number }>}
+ */
+export function searchVanity(pattern, { threads = os.availableParallelism(), signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const counts = new Array(threads).fill(0);
+        const attempts = () => counts.reduce((a, b) => a + b, 0);
+        const workers = [];
+        let done = false;
+        let timer = null; // set once the workers run; finish() may come first (signal already aborted)
+
+        function finish(err, result) {
+            if (done) return;
+            done = true;
+            clearInterval(timer);
+            signal?.removeEventListener('abort', onAbort);
+            for (const w of workers) w.terminate();
+            if (err) reject(err); else resolve(result);
+        }
+        function onAbort() {
+            finish(new Error('Vanity search cancelled.'));
+        }
+
+        if (signal?.aborted) return onAbort();
+        signal?.addEventListener('abort', onAbort);
+
+        for (let i = 0; i < threads; i++) {
+            const worker = new Worker(new URL(import.meta.url), { workerData: { vanity: pattern } });
+            worker.on('message', msg => {
+                counts[i] = msg.attempts;
+                if (msg.privateKey) {
+                    finish(null, { wallet: new ethers.Wallet(msg.privateKey), attempts: attempts(), seconds: (Date.now() - startedAt) / 1000 });
+                }
+            });
+            worker.on('error', e => finish(e));
+            workers.push(worker);
+        }
+
+        timer = setInterval(() => {
+            if (!onProgress) return;
+            const rate = attempts() / Math.max((Date.now() - startedAt) / 1000, 0.001);
+            onProgress({ attempts: attempts(), rate, eta: estimateSeconds(pattern, rate) });
+        }, PROGRESS_MS);
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Worker
+// ─────────────────────────────────────────────────────────────────────────────
+
+function matches(address, { prefix, suffix, caseSensitive }) {
+    if (!address.startsWith(prefix.toLowerCase()) || !address.endsWith(suffix.toLowerCase())) return false;
+    if (!caseSensitive) return true;
+    // Checksum only for the rare lowercase hit: it costs another keccak
+    const checksummed = ethers.getAddress('0x' + address).slice(2);
+    return checksummed.startsWith(prefix) && checksummed.endsWith(suffix);
+}
+
+function work(pattern) {
+    let attempts = 0;
+    let reportedAt = Date.now();
+    for (;;) {
+        const keys = crypto.randomBytes(32 * BATCH);
+        for (let i = 0; i < BATCH; i++) {
+            const privateKey = '0x' + keys.toString('hex', i * 32, i * 32 + 32);
+            let publicKey;
+            try {
+                publicKey = ethers.SigningKey.computePublicKey(privateKey, false);
+            } catch {
+                continue; // zero or above the curve order
+            }
+            const address = ethers.keccak256('0x' + publicKey.slice(4)).slice(-40);
+            attempts++;
+            if (matches(address, pattern)) {
+                parentPort.postMessage({ attempts, privateKey });
+                return;
+            }
+        }
+        if (Date.now() - reportedAt >= PROGRESS_MS) {
+            parentPort.postMessage({ attempts });
+            reportedAt = Date.now();
+        }
+    }
+}
+
+if (!isMainThread && workerData?.vanity) work(workerData.vanity);
@@ -0,0 +1,452 @@
+/**
+ * vault.js  –  Versioned vault document (my_wallets.json)
+ *
+ * Current format (version 2):
+ *   {
+ *     "format":    "my-wallet-vault",
+ *     "version":   2,
+ *     "encrypted": true,                // false = plain-text keys (user opted out)
+ *     "kdf":       { algorithm: "scrypt", n, r, p, salt, check } | null,
+ *     "createdAt": ISO-8601,
+ *     "updatedAt": ISO-8601,
+ *     "passwordChangedAt": ISO-8601,   // optional; recovery artefacts older than this are stale
+ *     "entries":   [ { name, address, secret | data | privateKey, chain?, seedId?, index?, ... } ]
+ *   }
+ *
+ * `chain` is "solana" for Solana keypairs (see solana.js) and absent for EVM
+ * accounts.
+ *
+ * Watch-only entries ({ name, address, watchOnly: true, ens? }) have no key
+ * material; they open as an ethers.VoidSigner, which refuses to sign.
+ *
+ * Encryption: the password is stretched ONCE with scrypt into a 256-bit vault
+ * key (`kdf.check` is a known value sealed with it, to tell a wrong password
+ * apart from a corrupt entry). Each entry's `secret` is its private key (and
+ * mnemonic/path for HD accounts) sealed with AES-256-GCM under that key, using
+ * the entry address as associated data. Unlock cost is therefore one scrypt
+ * regardless of the number of wallets.
+ *
+ * Entries written by older versions carry a Web3 keystore JSON in `data`
+ * (one scrypt each). They are still read, and are converted to `secret` the
+ * first time the vault is opened with its password.
+ *
+ * Version 0 is the legacy bare array of entries. Older files are upgraded by
+ * running MIGRATIONS in order the first time they are loaded; the original
+ * file is copied next to the vault before the upgraded one is written.
+ *
+ *   loadVault({ onMigrate })  → migrated document ({ entries: [] } if none yet)
+ *   saveVault(entries, opts)  → write entries, refreshing header fields
+ *   vaultExists()             → true if my_wallets.json is on disk
+ *   vaultPasswordChangedAt()  → Date of the last password change, or null
+ *   openVault(password)       → [{ raw, wallet }] for every entry (verifies the password)
+ *   openEntry(raw, password)  → ethers wallet for one vault/trash entry
+ *   openPlainEntry(raw)       → same, for an unencrypted or watch-only entry
+ *   sealEntry(wallet, meta, password)
+ *                             → encrypted entry ready to be stored
+ *   createVaultKey(password)  → start a fresh key (new salt) for a newly encrypted vault
+ *   lockVault()               → forget the cached vault key
+ *   changeVaultPassword(old, new)
+ *                             → re-encrypt vault and trash entries under a new password,
+ *                               then delete the kept copies the old password still opens
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { readJson, peekJson, writeJson, dropGenerations } from './storage.js';
+import { CONFIG_DIR, onProfileChange } from './profiles.js';
+import { SolanaWallet } from './solana.js';
+
+// Follow the active profile (see profiles.js)
+export let WALLETS_FILE;
+export let TRASH_FILE;
+function resolvePaths() {
+    WALLETS_FILE = path.join(CONFIG_DIR, 'my_wallets.json');
+    TRASH_FILE   = path.join(CONFIG_DIR, 'trash_wallets.json');
+}
+resolvePaths();
+
+export const VAULT_FORMAT  = 'my-wallet-vault';
+export const VAULT_VERSION = 2;
+
+// Same cost as the per-wallet keystore scrypt it replaces, paid once per unlock
+const SCRYPT_PARAMS  = { n: 131072, r: 8, p: 1 };
+const SCRYPT_MAXMEM  = 256 * 1024 * 1024;
+const CHECK_VALUE    = 'my-wallet-vault-key';
+
+// MIGRATIONS[n] upgrades a version-n document to version n+1
+const MIGRATIONS = [
+    // 0 → 1: wrap the bare array in a header; encryption is no longer sniffed per load
+    (entries) => {
+        const now = new Date().toISOString();
+        // One flag covers the whole file, so a mix of plain and encrypted keys
+        // cannot be represented; watch-only entries carry neither
+        const plain = entries.filter(e => e.privateKey).length;
+        const sealed = entries.filter(e => e.data).length;
+        if (plain && sealed) {
+            throw new Error(`Cannot upgrade the vault: it mixes ${plain} plain-text and ${sealed} encrypted wallet(s). The file was left unchanged: remove the plain-text entries (or encrypt them with the version that wrote it) and try again.`);
+        }
+        const encrypted = !plain;
+        return {
+            format: VAULT_FORMAT,
+            version: 1,
+            encrypted,
+            kdf: encrypted ? describeKdf(entries) : null,
+            createdAt: now,
+            updatedAt: now,
+            entries
+        };
+    },
+    // 1 → 2: vault-level KDF. The key needs the password, so it is created (and
+    // keystore entries converted) by openVault(); until then entries stay readable.
+    (doc) => ({ ...doc, version: 2, kdf: null })
+];
+
+// The unlocked vault key: { password, kdf, key }
+let session = null;
+
+function newVault(encrypted) {
+    const now = new Date().toISOString();
+    return { format: VAULT_FORMAT, version: VAULT_VERSION, encrypted, kdf: null, createdAt: now, updatedAt: now, entries: [] };
+}
+
+function versionOf(doc) {
+    return Array.isArray(doc) ? 0 : doc.version;
+}
+
+// KDF parameters of the keystore JSON entries (format v1 header)
+function describeKdf(entries) {
+    const sample = entries.find(e => e.data);
+    if (!sample) return null;
+    try {
+        const ks = JSON.parse(sample.data);
+        const c = ks.crypto || ks.Crypto;
+        return { type: 'keystore-v3', algorithm: c.kdf, n: c.kdfparams.n, r: c.kdfparams.r, p: c.kdfparams.p };
+    } catch {
+        return null;
+    }
+}
+
+function upgrade(doc) {
+    for (let v = versionOf(doc); v < VAULT_VERSION; v++) {
+        doc = MIGRATIONS[v](doc);
+    }
+    return doc;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Key derivation and per-entry AEAD
+// ─────────────────────────────────────────────────────────────────────────────
+
+function scryptKey(password, kdf) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password.normalize('NFKC'), Buffer.from(kdf.salt, 'hex'), 32,
+            { N: kdf.n, r: kdf.r, p: kdf.p, maxmem: SCRYPT_MAXMEM },
+            (err, key) => err ? reject(err) : resolve(key));
+    });
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+    const enc = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        data: enc.toString('hex'),
+    };
+}
+
+function open(key, blob, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(blob.iv, 'hex'));
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(Buffer.from(blob.tag, 'hex'));
+    return Buffer.concat([
+        decipher.update(Buffer.from(blob.data, 'hex')),
+        decipher.final(),
+    ]).toString('utf8');
+}
+
+async function newKeyring(password) {
+    const kdf = { algorithm: 'scrypt', ...SCRYPT_PARAMS, salt: crypto.randomBytes(16).toString('hex') };
+    const key = await scryptKey(password, kdf);
+    kdf.check = seal(key, CHECK_VALUE);
+    return { password, kdf, key };
+}
+
+async function keyringFor(password, kdf) {
+    const key = await scryptKey(password, kdf);
+    try {
+        if (open(key, kdf.check) !== CHECK_VALUE) throw new Error();
+    } catch {
+        throw new Error('Wrong vault password.');
+    }
+    return { password, kdf, key };
+}
+
+// Key for the vault on disk, derived at most once per password
+async function unlockKey(password) {
+    const doc = upgrade(peekJson(WALLETS_FILE) || newVault(true));
+    if (session && session.password === password && (!doc.kdf || doc.kdf.salt === session.kdf.salt)) {
+        return session;
+    }
+    // No key yet (new or pre-v2 vault): the first save writes this one to the header
+    session = doc.kdf ? await keyringFor(password, doc.kdf) : await newKeyring(password);
+    return session;
+}
+
+/**
+ * Replace the cached key with a fresh one (new salt). Used when a plain
+ * vault becomes encrypted; every entry must then be re-sealed.
+ *
+ * @param {string} password
+ */
+export async function createVaultKey(password) {
+    session = await newKeyring(password);
+}
+
+/** Forget the cached vault key (and the password it was derived from). */
+export function lockVault() {
+    if (session) session.key.fill(0);
+    session = null;
+}
+
+// A key derived for one profile's vault must not be reused for another's
+onProfileChange(() => {
+    lockVault();
+    resolvePaths();
+});
+
+function walletSecret(wallet) {
+    const secret = { privateKey: wallet.privateKey };
+    if (wallet.mnemonic) {
+        secret.mnemonic = wallet.mnemonic.phrase;
+        secret.path = wallet.path;
+    }
+    return secret;
+}
+
+// `chain` is kept in clear on the entry; EVM entries predate it and have none
+function walletFromSecret(secret, chain) {
+    if (chain === 'solana') {
+        return secret.mnemonic ? SolanaWallet.fromPhrase(secret.mnemonic, secret.path) : SolanaWallet.fromSecretKey(secret.privateKey);
+    }
+    if (secret.mnemonic) return ethers.HDNodeWallet.fromPhrase(secret.mnemonic, undefined, secret.path);
+    return new ethers.Wallet(secret.privateKey);
+}
+
+// Entry fields that are not key material
+function entryMeta(raw) {
+    const { data, secret, privateKey, mnemonic, path: _path, ...meta } = raw;
+    return meta;
+}
+
+function sealWith(keyring, wallet, meta) {
+    const address = wallet.address;
+    if (meta.watchOnly) return { ...entryMeta(meta), address };
+    const chain = wallet.chain ? { chain: wallet.chain } : {};
+    return { ...entryMeta(meta), ...chain, address, secret: seal(keyring.key, JSON.stringify(walletSecret(wallet)), address.toLowerCase()) };
+}
+
+async function openWith(keyring, password, raw) {
+    if (raw.watchOnly) return new ethers.VoidSigner(raw.address);
+    if (raw.secret) {
+        const wallet = walletFromSecret(JSON.parse(open(keyring.key, raw.secret, raw.address.toLowerCase())), raw.chain);
+        if (wallet.address !== raw.address) throw new Error(`Entry "${raw.name}" does not match its address.`);
+        return wallet;
+    }
+    if (raw.data) return ethers.Wallet.fromEncryptedJson(raw.data, password);
+    return walletFromSecret(raw, raw.chain);
+}
+
+/**
+ * @param {object} raw  – entry of an unencrypted vault, or a watch-only entry
+ * @returns {ethers.Wallet|ethers.HDNodeWallet|ethers.VoidSigner}
+ */
+export function openPlainEntry(raw) {
+    return raw.watchOnly ? new ethers.VoidSigner(raw.address) : walletFromSecret(raw, raw.chain);
+}
+
+/**
+ * @param {object} raw       – vault or trash entry
+ * @param {string} password
+ * @returns {Promise<ethers.Wallet|ethers.HDNodeWallet>}
+ */
+export async function openEntry(raw, password) {
+    return openWith(await unlockKey(password), password, raw);
+}
+
+/**
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet
+ * @param {object} meta      – name, seedId, index, … (key material is ignored)
+ * @param {string} password
+ * @returns {Promise<object>} entry to store
+ */
+export async function sealEntry(wallet, meta, password) {
+    return sealWith(await unlockKey(password), wallet, meta);
+}
+
+/**
+ * Decrypt every entry of an encrypted vault. Keystore-JSON entries from
+ * older versions are re-sealed under the vault key and saved.
+ *
+ * @param {string} password
+ * @returns {Promise<{ raw: object, wallet: ethers.Wallet|ethers.HDNodeWallet }[]>}
+ */
+export async function openVault(password) {
+    const vault = loadVault();
+    const keyring = await unlockKey(password);
+
+    const opened = [];
+    for (const raw of vault.entries) {
+        try {
+            opened.push({ raw, wallet: await openWith(keyring, password, raw) });
+        } catch {
+            lockVault();
+            throw new Error('Wrong vault password.');
+        }
+    }
+
+    const legacy = o => !o.raw.secret && !o.raw.watchOnly;
+    if (!vault.kdf || opened.some(legacy)) {
+        for (const o of opened) {
+            if (legacy(o)) o.raw = sealWith(keyring, o.wallet, o.raw);
+        }
+        saveVault(opened.map(o => o.raw));
+    }
+    return opened;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  Document I/O
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function vaultExists() {
+    return fs.existsSync(WALLETS_FILE);
+}
+
+/**
+ * Read my_wallets.json, upgrading it in place if it is an older format.
+ *
+ * @param {{ onMigrate?: (info: { from: number, to: number, backupFile: string }) => void }} [opts]
+ * @returns {object} vault document
+ */
+export function loadVault({ onMigrate } = {}) {
+    const doc = readJson(WALLETS_FILE);
+    if (!doc) return newVault(true);
+    const from = versionOf(doc);
+
+    if (from > VAULT_VERSION) {
+        throw new Error(`Vault format v${from} is newer than this tool supports (v${VAULT_VERSION}). Please update.`);
+    }
+    if (from === VAULT_VERSION) return doc;
+
+    // Upgrade first: a refused migration leaves no backup behind
+    const upgraded = upgrade(doc);
+    const backupFile = `${WALLETS_FILE}.v${from}-${Date.now()}.bak`;
+    fs.copyFileSync(WALLETS_FILE, backupFile);
+    writeJson(WALLETS_FILE, upgraded);
+    if (onMigrate) onMigrate({ from, to: VAULT_VERSION, backupFile });
+    return upgraded;
+}
+
+/**
+ * When the vault password was last changed (null if never recorded). Reads
+ * the header only, so it does not affect conflict detection.
+ *
+ * @returns {Date|null}
+ */
+export function vaultPasswordChangedAt() {
+    const doc = peekJson(WALLETS_FILE);
+    return doc && doc.passwordChangedAt ? new Date(doc.passwordChangedAt) : null;
+}
+
+/**
+ * Replace the vault entries. `encrypted` defaults to the current header value;
+ * pass `passwordChanged: true` whenever the entries were encrypted under a new
+ * password. Encrypted entries must have been sealed with the current key.
+ * Throws (code 'ECONFLICT') if another process changed the vault after this
+ * one last loaded it.
+ *
+ * @param {object[]} entries
+ * @param {{ encrypted?: boolean, passwordChanged?: boolean }} [opts]
+ * @returns {object} the written document
+ */
+export function saveVault(entries, { encrypted, passwordChanged = false } = {}) {
+    // Header only: the revision check must compare against the caller's last load
+    const current = upgrade(peekJson(WALLETS_FILE) || newVault(true));
+    const isEncrypted = encrypted ?? current.encrypted;
+    const doc = {
+        ...current,
+        encrypted: isEncrypted,
+        kdf: isEncrypted ? (session ? session.kdf : current.kdf) : null,
+        updatedAt: new Date().toISOString(),
+        entries
+    };
+    if (passwordChanged) doc.passwordChangedAt = doc.updatedAt;
+    writeJson(WALLETS_FILE, doc);
+    if (!isEncrypted) lockVault();
+    return doc;
+}
+
+// Every local copy of the vault and trash that still opens with the old
+// password: their rollback generations and the originals kept by migrations.
+function dropOldCopies() {
+    let removed = dropGenerations(WALLETS_FILE) + dropGenerations(TRASH_FILE);
+    const dir = path.dirname(WALLETS_FILE);
+    const prefix = `${path.basename(WALLETS_FILE)}.v`;
+    for (const name of fs.readdirSync(dir)) {
+        if (!name.startsWith(prefix) || !name.endsWith('.bak')) continue;
+        fs.unlinkSync(path.join(dir, name));
+        removed++;
+    }
+    return removed;
+}
+
+/**
+ * Re-encrypt every vault entry and every trashed entry under `newPassword`
+ * (with a fresh salt). Vault entries must all open with `oldPassword`
+ * (nothing is written otherwise); trashed entries that do not are left
+ * untouched and counted. Afterwards the rollback generations and migration
+ * backups are deleted, since the old password would still open them.
+ *
+ * @param {string} oldPassword
+ * @param {string} newPassword
+ * @param {{ onProgress?: (name: string) => void }} [opts]
+ * @returns {Promise<{ wallets: number, trashed: number, trashSkipped: number, oldCopiesRemoved: number }>}
+ */
+export async function changeVaultPassword(oldPassword, newPassword, { onProgress } = {}) {
+    if (!loadVault().encrypted) throw new Error('Vault is not encrypted. Use "Toggle Vault Encryption" to set a password.');
+
+    const opened  = await openVault(oldPassword);
+    const oldRing = await unlockKey(oldPassword);
+    const newRing = await newKeyring(newPassword);
+
+    const entries = opened.map(({ raw, wallet }) => {
+        if (onProgress) onProgress(raw.name);
+        return sealWith(newRing, wallet, raw);
+    });
+
+    const trash = readJson(TRASH_FILE, []);
+    const newTrash = [];
+    let trashSkipped = 0;
+    for (const e of trash) {
+        if (onProgress) onProgress(`${e.name} (trash)`);
+        try {
+            newTrash.push(sealWith(newRing, await openWith(oldRing, oldPassword, e), e));
+        } catch {
+            newTrash.push(e);
+            trashSkipped++;
+        }
+    }
+
+    // Vault first: it is the file that must never end up half old, half new
+    session = newRing;
+    saveVault(entries, { encrypted: true, passwordChanged: true });
+    if (trash.length > 0) writeJson(TRASH_FILE, newTrash);
+    const oldCopiesRemoved = dropOldCopies();
+
+    return { wallets: entries.length, trashed: trash.length - trashSkipped, trashSkipped, oldCopiesRemoved };
+}